@@ -12,7 +12,10 @@
  */
 
 import { Command } from 'commander';
-import {Keypair} from '@solana/web3.js';
+import {Keypair, PublicKey} from '@solana/web3.js';
+import {ed25519, x25519} from '@noble/curves/ed25519';
+import {chacha20poly1305} from '@noble/ciphers/chacha.js';
+import {bech32} from '@scure/base';
 import * as bip39 from 'bip39-light';
 import {derivePath} from 'ed25519-hd-key';
 import {Worker, isMainThread, parentPort, workerData} from 'worker_threads';
@@ -31,12 +34,19 @@ import { version } from './package.json' with { type: 'json' };
  * Adjust these values to tune performance and behavior
  */
 const CONFIG = {
-  BATCH_SIZE: 100,                    // Number of addresses to process in each worker iteration
+  BATCH_SIZE: 100,                    // Number of addresses to process in each worker iteration (starting value with --auto-tune)
   UPDATE_INTERVAL: 250,               // UI update frequency in milliseconds
   PERFORMANCE_SAMPLE_SIZE: 100,       // Number of samples for performance averaging
   FILE_WRITE_BUFFER_SIZE: 100,        // Number of addresses to buffer before writing
   WORKER_HEALTH_CHECK_INTERVAL: 1000, // Worker health check interval in milliseconds
   THREAD_MULTIPLIER: 2,  // Multiply CPU cores by this factor for max threads
+  CHECKPOINT_INTERVAL: 30000,         // Checkpoint save frequency in milliseconds
+  AUTO_TUNE_WARMUP: 3000,             // Auto-tune: startup time ignored before the first measurement (ms)
+  AUTO_TUNE_SETTLE: 1000,             // Auto-tune: time ignored after each change (ms)
+  AUTO_TUNE_WINDOW: 3000,             // Auto-tune: measurement window per setup (ms)
+  AUTO_TUNE_WATCH_INTERVAL: 15000,    // Auto-tune: throughput check interval once settled (ms)
+  AUTO_TUNE_MIN_GAIN: 0.05,           // Auto-tune: a change must be this much faster to be kept
+  AUTO_TUNE_SLOWDOWN: 0.85,           // Auto-tune: retune when two checks in a row fall below this share of the tuned speed
 };
 
 /**
@@ -46,1307 +56,5202 @@ const CONFIG = {
 const BASE58_REGEX = /^[1-9A-HJ-NP-Za-km-z]*$/;
 
 /**
- * Validates if a string contains only Base58 characters
- * @param {string} str - String to validate
- * @returns {boolean} True if valid Base58 or empty
+ * Full Base58 alphabet in encoding order
  */
-const isValidBase58 = (str) => {
-  if (!str) return true;
-  return BASE58_REGEX.test(str);
-};
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
 
 /**
- * Converts a BIP39 mnemonic phrase to a Solana private key
- * @param {string} mnemonic - 12-word mnemonic phrase
- * @returns {string} Base58-encoded private key
- * @throws {Error} If conversion fails
+ * Base58 characters matched by the \d pattern class
  */
-const mnemonicToPrivateKey = (mnemonic) => {
-  try {
-    // Convert mnemonic to seed
-    const seed = bip39.mnemonicToSeed(mnemonic);
+const BASE58_DIGITS = '123456789';
 
-    // Use Solana's standard derivation path
-    const derivedPath = "m/44'/501'/0'/0'";
-    const derivedSeed = derivePath(derivedPath, Buffer.from(seed).toString('hex')).key;
+/**
+ * Expands a character to every Base58 character it may stand for
+ * @param {string} char - Single character
+ * @param {boolean} ignoreCase - Include the other letter case
+ * @returns {string} Allowed Base58 characters (empty if none)
+ */
+const expandPatternChar = (char, ignoreCase) => {
+  const variants = ignoreCase ? [char, char.toUpperCase(), char.toLowerCase()] : [char];
+  return [...new Set(variants)].filter(c => BASE58_REGEX.test(c)).join('');
+};
 
-    // Create keypair and encode private key
-    const keypair = Keypair.fromSeed(derivedSeed);
-    const privateKey = bs58.encode(keypair.secretKey);
+/**
+ * Parses a vanity prefix/suffix pattern into the characters allowed at each position
+ *
+ * Supported syntax:
+ *   ?      any Base58 character
+ *   [Ss]   any character from the set (ranges such as [a-k] are allowed)
+ *   \d     any Base58 digit (1-9)
+ *   x      the literal Base58 character x
+ *
+ * @param {string} pattern - Pattern to parse
+ * @param {boolean} ignoreCase - Match letters in either case
+ * @returns {string[]} Allowed characters for each position
+ * @throws {Error} If the pattern is malformed or uses non-Base58 characters
+ */
+const parseVanityPattern = (pattern, ignoreCase = false) => {
+  const positions = [];
+  if (!pattern) return positions;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '?') {
+      positions.push(BASE58_ALPHABET);
+    } else if (char === '\\') {
+      const escaped = pattern[i + 1];
+      if (escaped !== 'd') {
+        throw new Error(`Unsupported escape "\\${escaped ?? ''}" at position ${i + 1}`);
+      }
+      positions.push(BASE58_DIGITS);
+      i++;
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated character set at position ${i + 1}`);
+      }
 
-    return privateKey;
-  } catch (error) {
-    throw new Error(`Failed to convert mnemonic to private key: ${error.message}`);
+      const body = pattern.slice(i + 1, end);
+      let allowed = '';
+      for (let j = 0; j < body.length; j++) {
+        if (body[j + 1] === '-' && j + 2 < body.length) {
+          // Range: keep only the Base58 characters it covers
+          for (let code = body.charCodeAt(j); code <= body.charCodeAt(j + 2); code++) {
+            allowed += expandPatternChar(String.fromCharCode(code), ignoreCase);
+          }
+          j += 2;
+        } else {
+          const expanded = expandPatternChar(body[j], ignoreCase);
+          if (!expanded) {
+            throw new Error(`Invalid Base58 character "${body[j]}" in set at position ${i + 1}`);
+          }
+          allowed += expanded;
+        }
+      }
+
+      allowed = [...new Set(allowed)].join('');
+      if (!allowed) {
+        throw new Error(`Empty character set at position ${i + 1}`);
+      }
+      positions.push(allowed);
+      i = end;
+    } else {
+      const expanded = expandPatternChar(char, ignoreCase);
+      if (!expanded) {
+        throw new Error(`Invalid Base58 character "${char}" at position ${i + 1}`);
+      }
+      positions.push(expanded);
+    }
   }
+
+  return positions;
 };
 
 /**
- * Queue system for file operations to prevent race conditions
- * Ensures all file operations are performed sequentially
+ * Validates if a string contains only Base58 characters or pattern syntax
+ * @param {string} str - String to validate
+ * @param {boolean} ignoreCase - Accept characters whose other case is Base58
+ * @returns {boolean} True if valid Base58 pattern or empty
  */
-class FileOperationQueue {
-  constructor() {
-    this.queue = [];           // Queue of pending operations
-    this.processing = false;   // Flag to indicate if queue is being processed
-    this.buffer = [];          // Buffer for batching write operations
-    this.bufferTimer = null;   // Timer for flushing buffer
+const isValidBase58 = (str, ignoreCase = false) => {
+  if (!str) return true;
+  try {
+    parseVanityPattern(str, ignoreCase);
+    return true;
+  } catch {
+    return false;
   }
+};
 
-  /**
-   * Adds an operation to the queue and processes it
-   * @param {Function} operation - Async function to execute
-   * @returns {Promise} Resolves when operation completes
-   */
-  async enqueue(operation) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({ operation, resolve, reject });
-      this.process();
-    });
-  }
+/**
+ * Calculates the exact probability that a random address matches a pattern
+ *
+ * Addresses are the Base58 encoding of a uniformly distributed 256-bit
+ * public key: each leading zero byte becomes a "1", and the rest is the
+ * number in base 58. Because 2^256 is not a power of 58, the first
+ * character of 44-character addresses can only be "2" to "J", so character
+ * frequencies are far from uniform. This counts matching keys exactly with
+ * a digit-by-digit walk over each possible address length.
+ *
+ * @param {string[]} prefixPositions - Parsed prefix pattern
+ * @param {string[]} suffixPositions - Parsed suffix pattern
+ * @returns {number} Probability that one random address matches
+ */
+const calculateMatchProbability = (prefixPositions, suffixPositions) => {
+  const base = BigInt(BASE58_ALPHABET.length);
+  const allDigits = [...BASE58_ALPHABET].map((_, digit) => digit);
+  const toDigits = (allowed) => [...allowed].map(char => BASE58_ALPHABET.indexOf(char));
+  const prefixSets = prefixPositions.map(toDigits);
+  const suffixSets = suffixPositions.map(toDigits);
+
+  // Counts numbers in [0, limit) whose base-58 digits (padded to sets.length) are all allowed
+  const countBelow = (limit, sets) => {
+    const products = [1n];
+    for (let i = sets.length - 1; i >= 0; i--) {
+      products.unshift(products[0] * BigInt(sets[i].length));
+    }
+    if (limit >= base ** BigInt(sets.length)) return products[0];
 
-  /**
-   * Processes queued operations sequentially
-   * @private
-   */
-  async process() {
-    // Skip if already processing or queue is empty
-    if (this.processing || this.queue.length === 0) return;
+    const digits = [];
+    for (let i = 0, value = limit; i < sets.length; i++, value /= base) {
+      digits.unshift(Number(value % base));
+    }
 
-    this.processing = true;
-    const { operation, resolve, reject } = this.queue.shift();
+    let count = 0n;
+    for (let i = 0; i < sets.length; i++) {
+      for (const digit of sets[i]) {
+        if (digit < digits[i]) count += products[i + 1];
+      }
+      if (!sets[i].includes(digits[i])) break;
+    }
+    return count;
+  };
 
-    try {
-      const result = await operation();
-      resolve(result);
-    } catch (error) {
-      reject(error);
-    } finally {
-      this.processing = false;
-      // Process next item in queue
-      this.process();
+  let matches = 0n;
+
+  // Addresses with `zeros` leading zero bytes start with that many "1"s
+  for (let zeros = 0; zeros < 32; zeros++) {
+    const low = 256n ** BigInt(31 - zeros);
+    const high = 256n ** BigInt(32 - zeros);
+
+    for (let length = 1; base ** BigInt(length - 1) < high; length++) {
+      const start = low > base ** BigInt(length - 1) ? low : base ** BigInt(length - 1);
+      const end = high < base ** BigInt(length) ? high : base ** BigInt(length);
+      if (start >= end) continue;
+
+      // Allowed digits for every character of an address of this length
+      const total = zeros + length;
+      const sets = [];
+      for (let i = 0; i < total; i++) {
+        let allowed = i < prefixSets.length ? prefixSets[i] : allDigits;
+        const suffixIndex = i - (total - suffixSets.length);
+        if (suffixIndex >= 0) {
+          allowed = allowed.filter(digit => suffixSets[suffixIndex].includes(digit));
+        }
+        sets.push(allowed);
+      }
+
+      if (sets.slice(0, zeros).some(allowed => !allowed.includes(0))) continue;
+
+      const digitSets = sets.slice(zeros);
+      matches += countBelow(end, digitSets) - countBelow(start, digitSets);
     }
   }
 
-  /**
-   * Adds data to the write buffer for batch processing
-   * @param {Object} data - Address data to buffer
-   */
-  addToBuffer(data) {
-    this.buffer.push(data);
+  return Number(matches) / 2 ** 256;
+};
 
-    // Clear existing timer to reset the flush timeout
-    if (this.bufferTimer) {
-      clearTimeout(this.bufferTimer);
-      this.bufferTimer = null;
-    }
+/**
+ * Largest number of numeric ranges a prefix is compiled into before it is left to the Base58 check
+ */
+const PREFILTER_MAX_RANGES = 4096;
 
-    // Flush immediately if buffer is full
-    if (this.buffer.length >= CONFIG.FILE_WRITE_BUFFER_SIZE) {
-      // Don't set a timer, flush immediately
-      this.flushAndSave();
-    } else {
-      // Otherwise, set timer to flush after 1 second
-      this.bufferTimer = setTimeout(() => {
-        this.flushAndSave();
-      }, 1000);
+/**
+ * Compiles a prefix/suffix pattern into checks on the raw 32-byte public key
+ *
+ * A key without a leading zero byte encodes as the plain base-58 number,
+ * 43 or 44 digits long. For each length a prefix then fixes the key to a
+ * set of numeric ranges, compared bytewise against big-endian bounds, and
+ * a suffix fixes the key modulo 58^k. Keys with a leading zero byte (1 in
+ * 256) are left to the full check.
+ *
+ * @param {string[]} prefixPositions - Parsed prefix pattern
+ * @param {string[]} suffixPositions - Parsed suffix pattern
+ * @returns {Object|null} Compiled prefilter, or null if the pattern cannot narrow anything down
+ */
+const compileKeyPrefilter = (prefixPositions, suffixPositions) => {
+  const base = BigInt(BASE58_ALPHABET.length);
+  const toDigits = (allowed) => [...allowed].map(char => BASE58_ALPHABET.indexOf(char));
+  const isAny = (allowed) => allowed.length === BASE58_ALPHABET.length;
+
+  // "?" at the end of a prefix or the start of a suffix constrains nothing
+  const prefixSets = prefixPositions.slice(0, prefixPositions.findLastIndex(allowed => !isAny(allowed)) + 1).map(toDigits);
+  const firstSuffix = suffixPositions.findIndex(allowed => !isAny(allowed));
+  const suffixSets = firstSuffix === -1 ? [] : suffixPositions.slice(firstSuffix).map(toDigits);
+
+  let ranges = null;
+  const combinations = prefixSets.reduce((product, digits) => product * digits.length, 1);
+  if (prefixSets.length > 0 && combinations * 2 <= PREFILTER_MAX_RANGES) {
+    // Keys from 2^248 (no leading zero byte) are 43 digits below 58^43 and 44 digits above
+    const lengths = [[43, 2n ** 248n, base ** 43n], [44, base ** 43n, 2n ** 256n]];
+    const found = [];
+
+    for (const [length, low, high] of lengths) {
+      const scale = base ** BigInt(length - prefixSets.length);
+      const walk = (index, value) => {
+        if (index === prefixSets.length) {
+          const start = value * scale > low ? value * scale : low;
+          const end = (value + 1n) * scale < high ? (value + 1n) * scale : high;
+          if (start < end) found.push([start, end]);
+          return;
+        }
+        for (const digit of prefixSets[index]) {
+          walk(index + 1, value * base + BigInt(digit));
+        }
+      };
+      walk(0, 0n);
     }
-  }
 
-  /**
-   * Internal method to flush buffer and trigger save
-   * @private
-   */
-  async flushAndSave() {
-    const data = await this.flushBuffer();
-    if (data && data.length > 0 && this.saveCallback) {
-      await this.saveCallback(data);
+    // Merge touching ranges, then store inclusive big-endian bounds for Buffer.compare
+    found.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    const merged = [];
+    for (const range of found) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = range[1] > last[1] ? range[1] : last[1];
+      } else {
+        merged.push([...range]);
+      }
     }
+    const toBytes = (value) => Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+    ranges = merged.map(([start, end]) => [toBytes(start), toBytes(end - 1n)]);
   }
 
-  /**
-   * Sets the callback for saving flushed data
-   * @param {Function} callback - Callback to handle saving
-   */
-  setSaveCallback(callback) {
-    this.saveCallback = callback;
+  let suffix = null;
+  if (suffixSets.length > 0 && suffixSets.length <= 7) {
+    suffix = {
+      // 58^7 * 256 stays below 2^53, so the remainder fits in plain numbers
+      modulus: BASE58_ALPHABET.length ** suffixSets.length,
+      tables: suffixSets.map(digits => {
+        const table = new Uint8Array(BASE58_ALPHABET.length);
+        digits.forEach(digit => { table[digit] = 1; });
+        return table;
+      })
+    };
   }
 
-  /**
-   * Forces an immediate flush of the buffer
-   * @returns {Promise<Array>} Array of buffered data items
-   */
-  async forceFlush() {
-    // Clear any pending timer
-    if (this.bufferTimer) {
-      clearTimeout(this.bufferTimer);
-      this.bufferTimer = null;
+  return ranges || suffix ? {ranges, suffix} : null;
+};
+
+/**
+ * Checks raw public key bytes against a compiled prefilter
+ * Never rejects a key whose address matches; may pass keys that do not
+ * @param {Uint8Array} bytes - 32-byte public key
+ * @param {Object} prefilter - Result of compileKeyPrefilter
+ * @returns {boolean} False only if the address cannot match
+ */
+const keyMayMatch = (bytes, {ranges, suffix}) => {
+  if (bytes[0] === 0) return true;
+
+  if (ranges) {
+    // No ranges: the prefix needs a leading zero byte (it starts with "1")
+    if (ranges.length === 0) return false;
+
+    // Binary search for the last range starting at or below the key
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (Buffer.compare(ranges[middle][0], bytes) <= 0) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
     }
+    if (Buffer.compare(ranges[low][0], bytes) > 0 || Buffer.compare(bytes, ranges[low][1]) > 0) return false;
+  }
 
-    // Return the flushed data
-    return this.flushBuffer();
+  if (suffix) {
+    let remainder = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      remainder = (remainder * 256 + bytes[i]) % suffix.modulus;
+    }
+    for (let i = suffix.tables.length - 1; i >= 0; i--) {
+      if (!suffix.tables[i][remainder % 58]) return false;
+      remainder = Math.floor(remainder / 58);
+    }
   }
 
-  /**
-   * Flushes the buffer and returns buffered data
-   * @returns {Array} Array of buffered data items
-   */
-  async flushBuffer() {
-    if (this.buffer.length === 0) return [];
+  return true;
+};
 
-    // Copy buffer contents and clear it
-    const dataToWrite = [...this.buffer];
-    this.buffer = [];
+/**
+ * Calculates how many attempts give a chance of finding `count` matches
+ * Uses the geometric distribution for one match and the Erlang (Poisson)
+ * approximation of the negative binomial for several
+ * @param {number} probability - Match probability per attempt
+ * @param {number} count - Number of matches wanted
+ * @param {number} confidence - Desired chance of success (0-1)
+ * @returns {number} Number of attempts
+ */
+const attemptsForConfidence = (probability, count, confidence) => {
+  if (count === 1) {
+    return Math.log1p(-confidence) / Math.log1p(-probability);
+  }
 
-    // Clear timer if exists
-    if (this.bufferTimer) {
-      clearTimeout(this.bufferTimer);
-      this.bufferTimer = null;
+  // P(at least `count` matches) when `expected` matches are expected on average
+  const successChance = (expected) => {
+    let term = Math.exp(-expected);
+    let below = term;
+    for (let k = 1; k < count; k++) {
+      term *= expected / k;
+      below += term;
     }
+    return 1 - below;
+  };
 
-    return dataToWrite;
+  let low = 0;
+  let high = count + 20 * Math.sqrt(count) + 50;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (successChance(mid) < confidence) low = mid; else high = mid;
   }
-}
+  return high / probability;
+};
 
 /**
- * Performs atomic file write operation
- * Writes to temporary file first, then renames to prevent corruption
- * @param {string} filename - Target filename
- * @param {string} data - Data to write
- * @throws {Error} If write operation fails
+ * Formats a duration in seconds as a short human-readable string
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration such as "42.0s", "5m 12s", "3h 20m" or "2d 4h"
  */
-const writeFileAtomic = async (filename, data) => {
-  const tempFile = `${filename}.tmp`;
-  try {
-    // Write to temporary file
-    await fs.promises.writeFile(tempFile, data, 'utf8');
-    // Atomically rename temp file to target
-    await fs.promises.rename(tempFile, filename);
-  } catch (error) {
-    // Clean up temp file if it exists
-    try {
-      await fs.promises.unlink(tempFile);
-    } catch {
-      // Ignore cleanup errors
-    }
-    throw error;
+const formatDuration = (seconds) => {
+  if (!isFinite(seconds)) return '∞';
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.floor(seconds % 60)}s`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  if (seconds < 86400 * 365) return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+  return `${(seconds / (86400 * 365)).toLocaleString(undefined, { maximumFractionDigits: 1 })} years`;
+};
+
+/**
+ * Parses a duration such as "90", "45s", "10m", "2h" or "1.5d"
+ * @param {string} value - Duration; a bare number is taken as seconds
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the value is not a positive duration
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(value).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`expected a positive duration like 90, 45s, 10m, 2h or 1d, got "${value}"`);
   }
+
+  const unitSeconds = {'': 1, s: 1, m: 60, h: 3600, d: 86400};
+  return Number(match[1]) * unitSeconds[match[2].toLowerCase()];
 };
 
 /**
- * Converts address files between JSON and TXT formats
- * @param {string} filename - File to convert
- * @param {string} targetFormat - Target format ('json' or 'txt')
+ * Builds a short display label for a prefix/suffix pair
+ * @param {string} prefix - Pattern prefix
+ * @param {string} suffix - Pattern suffix
+ * @returns {string} Label such as "pay…", "…xyz" or "sol…xyz"
  */
-const convertFile = async (filename, targetFormat) => {
-  const addressDir = 'address';
-  let fullPath = path.join(addressDir, filename);
+const formatPatternLabel = (prefix, suffix) => `${prefix || ''}…${suffix || ''}`;
 
-  // Check if file exists in the address directory
-  if (!fs.existsSync(fullPath)) {
-    // Try the filename as provided (might include path)
-    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
-      fullPath = filename;
-    } else {
-      console.error(chalk.red(`Error: File not found: ${fullPath}`));
-      process.exit(1);
-    }
-  }
+/**
+ * Parses a pattern file for multi-pattern generation
+ *
+ * One pattern per line in the form "prefix[:suffix] [count]":
+ *   pay 5        prefix "pay", 5 addresses
+ *   sol:xyz      prefix "sol" and suffix "xyz", default count
+ *   :end 2       suffix "end" only, 2 addresses
+ * Blank lines and lines starting with # are ignored.
+ *
+ * @param {string} content - File content
+ * @param {number} defaultCount - Count for lines without one
+ * @param {boolean} ignoreCase - Validate patterns case-insensitively
+ * @returns {Array<{prefix: string, suffix: string, count: number}>} Parsed patterns
+ * @throws {Error} If a line is malformed, naming the line number
+ */
+const parsePatternFile = (content, defaultCount, ignoreCase = false) => {
+  const patterns = [];
 
-  console.log(chalk.cyan(`\nConverting file: ${fullPath}\n`));
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
 
-  try {
-    const fileContent = await fs.promises.readFile(fullPath, 'utf8');
-    const ext = path.extname(fullPath).toLowerCase();
-    const baseName = path.basename(fullPath, ext);
+    const fields = line.split(/\s+/);
+    if (fields.length > 2) {
+      throw new Error(`Line ${index + 1}: expected "prefix[:suffix] [count]", got "${line}"`);
+    }
 
-    let data = [];
-    let sourceFormat = null;
-    let outputFormat = null;
+    const [pattern, countField] = fields;
+    const separator = pattern.indexOf(':');
+    const prefix = separator === -1 ? pattern : pattern.slice(0, separator);
+    const suffix = separator === -1 ? '' : pattern.slice(separator + 1);
+    const count = countField === undefined ? defaultCount : Number(countField);
 
-    // Parse JSON files
-    if (ext === '.json') {
-      sourceFormat = 'json';
-      outputFormat = targetFormat || 'txt';
+    if (!prefix && !suffix) {
+      throw new Error(`Line ${index + 1}: pattern needs a prefix or a suffix`);
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Line ${index + 1}: count must be a positive integer, got "${countField}"`);
+    }
 
+    for (const [name, value] of [['prefix', prefix], ['suffix', suffix]]) {
+      let positions;
       try {
-        const jsonData = JSON.parse(fileContent);
-        if (Array.isArray(jsonData)) {
-          // Check for valid address/mnemonic objects
-          if (jsonData.length > 0 && typeof jsonData[0] === 'object' && jsonData[0].address && jsonData[0].mnemonic) {
-            data = jsonData;
-          } else if (jsonData.length > 0 && typeof jsonData[0] === 'string') {
-            // This is a split file (addresses or mnemonics only)
-            console.error(chalk.red(`Error: This appears to be a split file containing only addresses or mnemonics.`));
-            console.error(chalk.red(`Conversion requires files with both address and mnemonic data.`));
-            process.exit(1);
-          }
-        }
+        positions = parseVanityPattern(value, ignoreCase);
       } catch (err) {
-        console.error(chalk.red(`Error: Invalid JSON file: ${err.message}`));
-        process.exit(1);
+        throw new Error(`Line ${index + 1}: invalid ${name} "${value}" (${err.message})`);
+      }
+      if (positions.length > 7) {
+        throw new Error(`Line ${index + 1}: ${name} must be 7 characters or less`);
       }
     }
-    // Parse TXT files
-    else if (ext === '.txt') {
-      sourceFormat = 'txt';
-      outputFormat = targetFormat || 'json';
 
-      const lines = fileContent.split('\n').filter(line => line.trim());
-      lines.forEach((line, index) => {
-        const parts = line.split(':');
-        if (parts.length === 2) {
-          data.push({
-            address: parts[0].trim(),
-            mnemonic: parts[1].trim()
-          });
-        } else if (line.trim()) {
-          console.warn(chalk.yellow(`Warning: Skipping invalid line ${index + 1}: ${line}`));
-        }
-      });
-    } else {
-      console.error(chalk.red(`Error: Unsupported file format. Only .json and .txt files are supported.`));
-      process.exit(1);
-    }
+    patterns.push({ prefix, suffix, count });
+  });
 
-    // Validate parsed data
-    if (data.length === 0) {
-      console.error(chalk.red(`Error: No valid address/mnemonic pairs found in file.`));
-      process.exit(1);
-    }
+  if (patterns.length === 0) {
+    throw new Error('No patterns found');
+  }
 
-    // Check if conversion is needed
-    if (sourceFormat === outputFormat) {
-      console.error(chalk.red(`Error: Source and target formats are the same (${sourceFormat}). No conversion needed.`));
-      process.exit(1);
-    }
+  return patterns;
+};
 
-    // Generate output filename
-    const outputExt = outputFormat === 'json' ? '.json' : '.txt';
-    const outputFilename = path.join(addressDir, `${baseName}-converted${outputExt}`);
+/**
+ * Inserts a pattern tag before a filename's extension
+ * e.g. address/123-address.json → address/123-address-01-pay.json
+ * @param {string} filename - Base output filename
+ * @param {number} index - Zero-based pattern index
+ * @param {Object} pattern - Pattern with prefix and suffix
+ * @returns {string} Per-pattern filename
+ */
+const patternFilename = (filename, index, pattern) => {
+  const ext = path.extname(filename);
+  const tag = [pattern.prefix, pattern.suffix]
+    .filter(Boolean)
+    .map(part => part.replace(/[^1-9A-Za-z]+/g, '_').replace(/^_|_$/g, ''))
+    .filter(Boolean)
+    .join('-');
+  const number = String(index + 1).padStart(2, '0');
+  return path.join(path.dirname(filename), `${path.basename(filename, ext)}-${number}${tag ? '-' + tag : ''}${ext}`);
+};
 
-    // Warn about overwriting existing files
-    if (fs.existsSync(outputFilename)) {
-      console.warn(chalk.yellow(`Warning: Output file ${outputFilename} already exists and will be overwritten.`));
-    }
-
-    // Perform conversion
-    if (outputFormat === 'json') {
-      await writeFileAtomic(outputFilename, JSON.stringify(data, null, 2));
-    } else {
-      const txtContent = data.map(item => `${item.address}:${item.mnemonic}`).join('\n') + '\n';
-      await writeFileAtomic(outputFilename, txtContent);
-    }
+/**
+ * Length range of Base58-encoded Solana addresses matched by --regex
+ */
+const ADDRESS_MIN_LENGTH = 43;
+const ADDRESS_MAX_LENGTH = 44;
 
-    // Display results
-    console.log(chalk.green(`✔ Successfully converted ${data.length} entries\n`));
-    console.log(chalk.dim(`Source format: ${chalk.cyan(sourceFormat)}`));
-    console.log(chalk.dim(`Target format: ${chalk.cyan(outputFormat)}\n`));
-    console.log(chalk.dim(`Output file:`));
-    console.log(chalk.white(`  • ${outputFilename}\n`));
-  } catch (err) {
-    console.error(chalk.red(`Error: ${err.message}`));
-    process.exit(1);
+/**
+ * Parses the --regex option into a source and flags
+ * Accepts either a bare expression or the /expr/flags literal form
+ * Stateful flags (g, y) are dropped since each address is tested once
+ * @param {string} expr - Expression from the command line
+ * @returns {{source: string, flags: string}} Regex source and flags
+ * @throws {Error} If the expression does not compile
+ */
+const parseRegexOption = (expr) => {
+  let source = expr;
+  let flags = '';
+
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(expr);
+  if (literal) {
+    source = literal[1];
+    flags = literal[2].replace(/[gy]/g, '');
   }
+
+  // Throws SyntaxError with the engine's message if invalid
+  new RegExp(source, flags);
+  return { source, flags };
 };
 
 /**
- * Splits an address file into separate address and mnemonic/private key files
- * @param {string} filename - File to split
- * @param {Object} options - Split options
- * @param {string} options.format - Output format ('json' or 'txt')
- * @param {boolean} options.privatekey - Convert mnemonics to private keys
+ * Statically analyzes a regular expression against Base58 addresses
+ * Single-character atoms are checked by running them against every Base58
+ * character, so classes, escapes and the i flag behave exactly like the engine.
+ * Backreferences and lookarounds are treated as always satisfiable.
+ * @param {string} source - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {{possible: boolean, min: number, max: number, anchoredStart: boolean, anchoredEnd: boolean}}
  */
-const splitFile = async (filename, options) => {
-  const addressDir = 'address';
-  let fullPath = path.join(addressDir, filename);
+const analyzeAddressRegex = (source, flags) => {
+  let pos = 0;
 
-  // Check if file exists
-  if (!fs.existsSync(fullPath)) {
-    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
-      fullPath = filename;
-    } else {
-      console.error(chalk.red(`Error: File not found: ${fullPath}`));
-      process.exit(1);
-    }
-  }
+  const zeroWidth = () => ({ possible: true, min: 0, max: 0 });
 
-  console.log(chalk.cyan(`\nSplitting file: ${fullPath}\n`));
+  // Matches a single-character atom against the Base58 alphabet
+  const singleChar = (atomSource) => {
+    const atom = new RegExp(`^(?:${atomSource})$`, flags);
+    const possible = [...BASE58_ALPHABET].some(char => atom.test(char));
+    return { possible, min: 1, max: 1 };
+  };
 
-  try {
-    const fileContent = await fs.promises.readFile(fullPath, 'utf8');
-    const ext = path.extname(fullPath).toLowerCase();
-    const baseName = path.basename(fullPath, ext);
+  // Returns the end index (exclusive) of the escape sequence at pos
+  const escapeEnd = (start) => {
+    const next = source[start + 1];
+    if (next === 'x') return start + 4;
+    if (next === 'c') return start + 3;
+    if (next === 'u') {
+      return source[start + 2] === '{' ? source.indexOf('}', start) + 1 : start + 6;
+    }
+    if ((next === 'p' || next === 'P') && source[start + 2] === '{') {
+      return source.indexOf('}', start) + 1;
+    }
+    return start + 2;
+  };
 
-    let addresses = [];
-    let mnemonics = [];
-    let privateKeys = [];
-    let detectedFormat = null;
+  const parseAtom = () => {
+    const char = source[pos];
 
-    // Parse JSON files
-    if (ext === '.json') {
-      detectedFormat = 'json';
-      try {
-        const data = JSON.parse(fileContent);
-        if (Array.isArray(data)) {
-          data.forEach(item => {
-            if (item.address && item.mnemonic) {
-              addresses.push(item.address);
-              mnemonics.push(item.mnemonic);
-
-              // Convert to private key if requested
-              if (options.privatekey) {
-                try {
-                  privateKeys.push(mnemonicToPrivateKey(item.mnemonic));
-                } catch (err) {
-                  console.warn(chalk.yellow(`Warning: Failed to convert mnemonic for address ${item.address}: ${err.message}`));
-                  privateKeys.push(''); // Maintain array alignment
-                }
-              }
-            }
-          });
-        }
-      } catch (err) {
-        console.error(chalk.red(`Error: Invalid JSON file: ${err.message}`));
-        process.exit(1);
+    if (char === '^' || char === '$') {
+      pos++;
+      return { ...zeroWidth(), anchor: char };
+    }
+
+    if (char === '(') {
+      pos++;
+      let lookaround = false;
+      if (source.startsWith('?:', pos)) {
+        pos += 2;
+      } else if (source.startsWith('?=', pos) || source.startsWith('?!', pos)) {
+        lookaround = true;
+        pos += 2;
+      } else if (source.startsWith('?<=', pos) || source.startsWith('?<!', pos)) {
+        lookaround = true;
+        pos += 3;
+      } else if (source.startsWith('?<', pos)) {
+        pos = source.indexOf('>', pos) + 1;
       }
+      const inner = parseAlternation();
+      pos++; // Closing parenthesis
+      return lookaround ? zeroWidth() : { possible: inner.possible, min: inner.min, max: inner.max };
     }
-    // Parse TXT files
-    else if (ext === '.txt') {
-      detectedFormat = 'txt';
-      const lines = fileContent.split('\n').filter(line => line.trim());
-      lines.forEach(line => {
-        const parts = line.split(':');
-        if (parts.length === 2) {
-          addresses.push(parts[0].trim());
-          mnemonics.push(parts[1].trim());
-
-          // Convert to private key if requested
-          if (options.privatekey) {
-            try {
-              privateKeys.push(mnemonicToPrivateKey(parts[1].trim()));
-            } catch (err) {
-              console.warn(chalk.yellow(`Warning: Failed to convert mnemonic for address ${parts[0].trim()}: ${err.message}`));
-              privateKeys.push(''); // Maintain array alignment
-            }
-          }
-        }
-      });
-    } else {
-      console.error(chalk.red(`Error: Unsupported file format. Only .json and .txt files are supported.`));
-      process.exit(1);
+
+    if (char === '[') {
+      const start = pos;
+      pos++;
+      if (source[pos] === '^') pos++;
+      if (source[pos] === ']') pos++;
+      while (pos < source.length && source[pos] !== ']') {
+        pos = source[pos] === '\\' ? escapeEnd(pos) : pos + 1;
+      }
+      pos++;
+      return singleChar(source.slice(start, pos));
     }
 
-    // Validate parsed data
-    if (addresses.length === 0) {
-      console.error(chalk.red(`Error: No valid addresses found in file.`));
-      process.exit(1);
+    if (char === '\\') {
+      const next = source[pos + 1];
+      // Word boundaries are zero-width
+      if (next === 'b' || next === 'B') {
+        pos += 2;
+        return zeroWidth();
+      }
+      // Backreferences cannot be checked statically
+      if (/[1-9]/.test(next) || (next === 'k' && source[pos + 2] === '<')) {
+        pos = next === 'k' ? source.indexOf('>', pos) + 1 : pos + 2;
+        while (/[0-9]/.test(source[pos])) pos++;
+        return { possible: true, min: 0, max: Infinity };
+      }
+      const start = pos;
+      pos = escapeEnd(pos);
+      return singleChar(source.slice(start, pos));
     }
 
-    // Determine output format
-    const outputFormatToUse = options.format || detectedFormat;
-    const outputExt = outputFormatToUse === 'json' ? '.json' : '.txt';
+    pos++;
+    return char === '.' ? { possible: true, min: 1, max: 1 } : singleChar(char.replace(/[{}]/, '\\$&'));
+  };
 
-    // Generate output filenames
-    const addressesFile = path.join(addressDir, `${baseName}-addresses${outputExt}`);
-    const secretsFile = options.privatekey
-      ? path.join(addressDir, `${baseName}-privatekeys${outputExt}`)
-      : path.join(addressDir, `${baseName}-mnemonics${outputExt}`);
+  const parseQuantified = () => {
+    const atom = parseAtom();
+    let qMin = 1;
+    let qMax = 1;
+
+    const quantifier = /^(?:\*|\+|\?|\{(\d+)(,(\d*))?\})/.exec(source.slice(pos));
+    if (!quantifier || atom.anchor) return atom;
+
+    const symbol = quantifier[0];
+    if (symbol === '*') { qMin = 0; qMax = Infinity; }
+    else if (symbol === '+') { qMin = 1; qMax = Infinity; }
+    else if (symbol === '?') { qMin = 0; qMax = 1; }
+    else {
+      qMin = parseInt(quantifier[1]);
+      qMax = quantifier[2] === undefined ? qMin : (quantifier[3] === '' ? Infinity : parseInt(quantifier[3]));
+    }
+    pos += symbol.length;
+    if (source[pos] === '?') pos++; // Lazy modifier
 
-    // Save split files
-    if (outputFormatToUse === 'json') {
-      await writeFileAtomic(addressesFile, JSON.stringify(addresses, null, 2));
-      if (options.privatekey) {
-        await writeFileAtomic(secretsFile, JSON.stringify(privateKeys, null, 2));
-      } else {
-        await writeFileAtomic(secretsFile, JSON.stringify(mnemonics, null, 2));
-      }
-    } else {
-      await writeFileAtomic(addressesFile, addresses.join('\n') + '\n');
-      if (options.privatekey) {
-        await writeFileAtomic(secretsFile, privateKeys.join('\n') + '\n');
-      } else {
-        await writeFileAtomic(secretsFile, mnemonics.join('\n') + '\n');
-      }
+    if (!atom.possible) {
+      return qMin === 0 ? zeroWidth() : atom;
     }
+    return {
+      possible: true,
+      min: atom.min * qMin,
+      max: atom.max === 0 ? 0 : atom.max * qMax
+    };
+  };
 
-    // Display results
-    console.log(chalk.green(`✔ Successfully split ${addresses.length} entries\n`));
-    console.log(chalk.dim(`Original file format: ${chalk.cyan(detectedFormat)}`));
-    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormatToUse)}`));
-    if (options.privatekey) {
-      console.log(chalk.dim(`Conversion: ${chalk.cyan('Mnemonics → Private Keys')}\n`));
+  const parseSequence = () => {
+    const sequence = { possible: true, min: 0, max: 0, anchoredStart: false, anchoredEnd: false };
+    let first = true;
+
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      const atom = parseQuantified();
+      if (first && atom.anchor === '^') sequence.anchoredStart = true;
+      sequence.anchoredEnd = atom.anchor === '$';
+      sequence.possible = sequence.possible && atom.possible;
+      sequence.min += atom.min;
+      sequence.max += atom.max;
+      first = false;
     }
-    console.log(chalk.dim(`Created files:`));
-    console.log(chalk.white(`  • ${addressesFile}`));
-    console.log(chalk.white(`  • ${secretsFile}\n`));
 
-    // Security warning for private keys
-    if (options.privatekey) {
-      console.log(chalk.yellow(`⚠️  Warning: Private keys have been exported!`));
-      console.log(chalk.yellow(`   Keep these files secure and never share them.\n`));
+    return sequence;
+  };
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      branches.push(parseSequence());
     }
-  } catch (err) {
-    console.error(chalk.red(`Error: ${err.message}`));
-    process.exit(1);
-  }
+
+    const viable = branches.filter(branch => branch.possible);
+    if (viable.length === 0) {
+      return { possible: false, min: Infinity, max: 0, anchoredStart: false, anchoredEnd: false };
+    }
+
+    return {
+      possible: true,
+      min: Math.min(...viable.map(branch => branch.min)),
+      max: Math.max(...viable.map(branch => branch.max)),
+      anchoredStart: viable.every(branch => branch.anchoredStart),
+      anchoredEnd: viable.every(branch => branch.anchoredEnd)
+    };
+  };
+
+  return parseAlternation();
 };
 
 /**
- * Manages worker threads for parallel address generation
- * Handles worker lifecycle, health monitoring, and automatic restarts
+ * Rejects regular expressions that can never match a Solana address
+ * @param {string} source - Regex source
+ * @param {string} flags - Regex flags
+ * @throws {Error} Describing why no address can match
  */
-class WorkerManager {
-  /**
-   * @param {number} threadCount - Number of worker threads to create
-   * @param {Object} workerData - Data to pass to each worker
-   * @param {Function} onMessage - Callback for worker messages
-   */
-  constructor(threadCount, workerData, onMessage) {
-    this.threadCount = threadCount;
-    this.workerData = workerData;
-    this.onMessage = onMessage;
-    this.workers = new Map();        // Map of worker ID to worker instance
-    this.workerTotals = new Map();   // Map of worker ID to addresses generated
-    this.isShuttingDown = false;     // Flag to prevent new workers during shutdown
-  }
+const validateAddressRegex = (source, flags) => {
+  const analysis = analyzeAddressRegex(source, flags);
 
-  /**
-   * Starts all worker threads
-   */
-  async start() {
-    for (let i = 0; i < this.threadCount; i++) {
-      await this.createWorker(i);
-    }
+  if (!analysis.possible) {
+    throw new Error('Expression requires characters outside the Base58 alphabet');
   }
 
-  /**
-   * Creates a single worker thread
-   * @param {number} id - Worker ID
-   * @private
-   */
-  async createWorker(id) {
-    // Don't create workers during shutdown
-    if (this.isShuttingDown) return;
-
-    try {
-      const worker = new Worker(import.meta.url, {
-        workerData: this.workerData
-      });
+  if (analysis.min > ADDRESS_MAX_LENGTH) {
+    throw new Error(`Expression needs at least ${analysis.min} characters, but addresses are ${ADDRESS_MIN_LENGTH}-${ADDRESS_MAX_LENGTH} characters long`);
+  }
 
-      // Store worker and initialize counter
-      this.workers.set(id, worker);
-      this.workerTotals.set(id, 0);
+  if (analysis.anchoredStart && analysis.anchoredEnd && analysis.max < ADDRESS_MIN_LENGTH) {
+    throw new Error(`Expression matches at most ${analysis.max} characters, but addresses are ${ADDRESS_MIN_LENGTH}-${ADDRESS_MAX_LENGTH} characters long`);
+  }
+};
 
-      // Handle worker messages
-      worker.on('message', (message) => {
-        if (message.type === 'progress') {
-          // Update this worker's total
-          this.workerTotals.set(id, message.total);
-        }
-        // Forward message to callback
-        this.onMessage(message, id);
-      });
+/**
+ * Seed limits enforced by the Solana runtime for program-derived addresses
+ */
+const PDA_MAX_SEED_LENGTH = 32;
+const PDA_MAX_SEEDS = 15; // 16 including the bump seed
 
-      // Handle worker errors
-      worker.on('error', (err) => {
-        console.error(chalk.red(`Worker ${id} error: ${err.message}`));
-        // Only attempt to handle failure if not shutting down
-        if (!this.isShuttingDown) {
-          this.handleWorkerFailure(id);
-        }
-      });
+/**
+ * Byte sizes of the little-endian integer seed types, as produced by Rust's to_le_bytes()
+ */
+const PDA_INTEGER_SIZES = {u8: 1, u16: 2, u32: 4, u64: 8};
 
-      // Handle worker exit
-      worker.on('exit', (code) => {
-        if (code !== 0 && !this.isShuttingDown) {
-          console.warn(chalk.yellow(`Worker ${id} exited with code ${code}`));
-          this.handleWorkerFailure(id);
-        }
-        // Remove worker from map on exit
-        this.workers.delete(id);
-        this.workerTotals.delete(id);
-      });
+/**
+ * Encodes an unsigned integer as a little-endian PDA seed
+ * @param {bigint} value - Value to encode
+ * @param {string} type - One of u8, u16, u32 or u64
+ * @returns {Buffer|null} Encoded seed, or null if the value does not fit the type
+ */
+const encodeSeedInteger = (value, type) => {
+  const size = PDA_INTEGER_SIZES[type];
+  if (value < 0n || value >= 1n << BigInt(size * 8)) return null;
 
-    } catch (error) {
-      console.error(chalk.red(`Failed to create worker ${id}: ${error.message}`));
-    }
+  const bytes = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] = Number((value >> BigInt(i * 8)) & 0xffn);
   }
+  return bytes;
+};
 
-  /**
-   * Handles worker failure by attempting to restart it
-   * @param {number} id - ID of failed worker
-   * @private
-   */
-  async handleWorkerFailure(id) {
-    // Don't restart during shutdown
-    if (this.isShuttingDown) return;
-
-    // Get the worker before removing it
-    const worker = this.workers.get(id);
-    
-    // Remove failed worker from tracking
-    this.workers.delete(id);
-    this.workerTotals.delete(id);
-
-    // Only attempt restart if we had a valid worker and not shutting down
-    if (worker && !this.isShuttingDown) {
-      // Attempt to restart after delay
-      console.log(chalk.yellow(`Attempting to restart worker ${id}...`));
-      setTimeout(() => {
-        if (!this.isShuttingDown) {
-          this.createWorker(id);
-        }
-      }, 1000);
+/**
+ * Parses a fixed PDA seed such as "str:vault", "pubkey:<address>", "hex:beef" or "u64:7"
+ * The literal "var" marks where the variable seed goes
+ * @param {string} spec - Seed specification
+ * @returns {Object} {variable: true} for the slot, otherwise {spec, bytes}
+ * @throws {Error} If the seed is malformed or longer than 32 bytes
+ */
+const parsePdaSeed = (spec) => {
+  if (spec === 'var') return {variable: true};
+
+  const separator = spec.indexOf(':');
+  const type = separator === -1 ? '' : spec.slice(0, separator).toLowerCase();
+  const value = spec.slice(separator + 1);
+  let bytes;
+
+  if (type === 'str') {
+    bytes = Buffer.from(value, 'utf8');
+  } else if (type === 'hex') {
+    if (!/^([0-9a-f]{2})*$/i.test(value)) {
+      throw new Error(`Seed "${spec}" is not valid hex`);
+    }
+    bytes = Buffer.from(value, 'hex');
+  } else if (type === 'pubkey') {
+    try {
+      bytes = new PublicKey(value).toBuffer();
+    } catch (err) {
+      throw new Error(`Seed "${spec}" is not a valid public key`);
+    }
+  } else if (type in PDA_INTEGER_SIZES) {
+    bytes = /^\d+$/.test(value) ? encodeSeedInteger(BigInt(value), type) : null;
+    if (!bytes) {
+      throw new Error(`Seed "${spec}" is not a ${type} number`);
     }
+  } else {
+    throw new Error(`Seed "${spec}" needs a type: str:, hex:, pubkey:, u8:, u16:, u32: or u64: (or "var" for the variable seed)`);
   }
 
-  /**
-   * Gets total addresses generated across all workers
-   * @returns {number} Total addresses generated
-   */
-  getTotalAddresses() {
-    return Array.from(this.workerTotals.values()).reduce((sum, val) => sum + val, 0);
+  if (bytes.length > PDA_MAX_SEED_LENGTH) {
+    throw new Error(`Seed "${spec}" is ${bytes.length} bytes, the maximum is ${PDA_MAX_SEED_LENGTH}`);
   }
 
-  /**
-   * Gracefully shuts down all workers
-   * Sends shutdown message and waits for workers to exit
-   */
-  async shutdown() {
-    // Prevent multiple shutdown calls
-    if (this.isShuttingDown) return;
-    
-    this.isShuttingDown = true;
-    const shutdownPromises = [];
+  return {spec: `${type}:${value}`, bytes};
+};
 
-    // Send shutdown message to each worker
-    for (const [id, worker] of this.workers) {
-      shutdownPromises.push(
-        new Promise((resolve) => {
-          try {
-            // Check if worker is still active before sending message
-            if (worker.threadId !== -1) {
-              // Send shutdown message
-              worker.postMessage({ type: 'shutdown' });
+/**
+ * Parses the kind of variable PDA seed to grind
+ * Integer kinds and "str" count upwards; "bytes:N" draws N random bytes per attempt
+ * @param {string} spec - u8, u16, u32, u64, str or bytes:N
+ * @returns {Object} {kind, size} where size is the byte count for random bytes
+ * @throws {Error} If the kind is unknown or the size is out of range
+ */
+const parsePdaVariable = (spec) => {
+  const [kind, size] = String(spec).toLowerCase().split(':');
 
-              // Force terminate after 5 seconds
-              const timeout = setTimeout(() => {
-                try {
-                  worker.terminate();
-                } catch (err) {
-                  // Worker may already be terminated
-                }
-                resolve();
-              }, 5000);
+  if (kind in PDA_INTEGER_SIZES || kind === 'str') {
+    if (size !== undefined) throw new Error(`"${spec}" does not take a size`);
+    return {kind, size: null};
+  }
 
-              // Use 'once' to ensure we only add one listener
-              worker.once('exit', () => {
-                clearTimeout(timeout);
-                resolve();
-              });
-            } else {
-              // Worker already terminated
-              resolve();
-            }
-          } catch (err) {
-            // If any error occurs (worker already terminated, etc.), just resolve
-            resolve();
-          }
-        })
-      );
+  if (kind === 'bytes') {
+    const byteCount = Number(size ?? PDA_MAX_SEED_LENGTH);
+    if (!Number.isInteger(byteCount) || byteCount < 1 || byteCount > PDA_MAX_SEED_LENGTH) {
+      throw new Error(`bytes size must be 1-${PDA_MAX_SEED_LENGTH}, got "${spec}"`);
     }
+    return {kind, size: byteCount};
+  }
 
-    // Wait for all workers to shut down
-    await Promise.all(shutdownPromises);
+  throw new Error(`expected u8, u16, u32, u64, str or bytes:N, got "${spec}"`);
+};
 
-    // Clear internal state
-    this.workers.clear();
-    this.workerTotals.clear();
-  }
-}
+/**
+ * Longest seed string PublicKey.createWithSeed accepts, in UTF-8 bytes
+ */
+const ACCOUNT_SEED_MAX_LENGTH = 32;
 
 /**
- * Main function to generate vanity addresses
- * Coordinates workers, handles I/O, and manages the generation process
- * @param {Object} options - Generation options from command line
+ * Characters for random createWithSeed seeds; 64 of them so a random byte maps without bias
  */
-const generateVanityAddresses = async (options) => {
-  // Extract and validate options
-  const count = options.count || 1;
-  const prefix = options.prefix || '';
-  const suffix = options.suffix || '';
-  const collectStats = options.stats || false;
-  const cpuCount = os.cpus().length;
-  const maxRecommendedThreads = cpuCount * CONFIG.THREAD_MULTIPLIER;
-  
-  // Check if this is a simple random address generation (no prefix/suffix)
-  const isRandomGeneration = !prefix && !suffix;
-  
-  // Use only 1 thread for random generation, otherwise use specified or default thread count
-  const threadCount = isRandomGeneration ? 1 : (options.threads || cpuCount);
-  
-  const outputMode = options.output || 'combined';
-  const outputFormat = options.format || 'json';
-  const showQRCodes = options.qr || false;
-  const outputPrivateKeys = options.privatekey || false;
-  let outputFilename = options.filename || null;
-  let secretFilename = null; // For split mode
+const ACCOUNT_SEED_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Well-known owner programs for createWithSeed accounts
+ */
+const SEED_OWNER_PROGRAMS = {
+  system: '11111111111111111111111111111111', // system-owned and nonce accounts
+  stake: 'Stake11111111111111111111111111111111111111',
+  vote: 'Vote111111111111111111111111111111111111111'
+};
+
+/**
+ * Derives an address the same way as PublicKey.createWithSeed, without the async wrapper
+ * @param {Buffer} base - Base public key bytes
+ * @param {string} seed - Seed string (at most 32 UTF-8 bytes)
+ * @param {Buffer} owner - Owner program ID bytes
+ * @returns {Buffer} Raw 32-byte address
+ */
+const createAddressWithSeed = (base, seed, owner) => (
+  crypto.createHash('sha256').update(base).update(seed, 'utf8').update(owner).digest()
+);
+
+/**
+ * Mnemonic lengths allowed by BIP39; each 3 words carry 32 bits of entropy
+ */
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+/**
+ * Resolves the BIP39 passphrase from --passphrase or --passphrase-file
+ * The passphrase is only ever held in memory and never written to disk
+ * @param {Object} options - Command options
+ * @param {string} [options.passphrase] - Passphrase given on the command line
+ * @param {string} [options.passphraseFile] - File whose first line is the passphrase
+ * @returns {Promise<string>} NFKD-normalized passphrase, or '' when none is given
+ * @throws {Error} If both sources are given or the file is unreadable or empty
+ */
+const resolvePassphrase = async (options) => {
+  if (options.passphrase !== undefined && options.passphraseFile) {
+    throw new Error('use either --passphrase or --passphrase-file, not both');
+  }
+
+  let passphrase = options.passphrase || '';
+  if (options.passphraseFile) {
+    const content = await fs.promises.readFile(options.passphraseFile, 'utf8');
+    passphrase = content.split(/\r?\n/)[0];
+    if (!passphrase) {
+      throw new Error(`passphrase file ${options.passphraseFile} is empty`);
+    }
+  }
+
+  // BIP39 requires NFKD so wallets derive the same seed from non-ASCII passphrases
+  return passphrase.normalize('NFKD');
+};
+
+/**
+ * Encrypted secrets: every secret value is replaced by a self-contained envelope string
+ *
+ *   $svenc$v1$scrypt$N=131072,r=8,p=1$<salt>$<nonce>$<ciphertext>$<tag>
+ *
+ * The key is derived from the password with scrypt and the secret is sealed with
+ * AES-256-GCM; salt, nonce, ciphertext and tag are base64url. Everything before the
+ * ciphertext is authenticated as additional data. Envelopes contain no colons, quotes
+ * or whitespace, so they fit in JSON, NDJSON and address:secret TXT lines alike.
+ * One salt (and key) is used per run, so opening a file costs one key derivation per run
+ */
+const SECRET_ENVELOPE_VERSION = 1;
+const SECRET_ENVELOPE_PATTERN = /\$svenc\$v(\d+)\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([\w-]+)\$([\w-]+)\$([\w-]*)\$([\w-]+)/g;
+const SCRYPT_PARAMS = {N: 2 ** 17, r: 8, p: 1};
+const SECRET_FIELDS = ['mnemonic', 'privateKey', 'partialKey', 'expandedKey'];
+
+/**
+ * Derives an AES-256 key from a password with scrypt
+ * @param {string} password - Password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt cost parameters {N, r, p}
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+const deriveSecretKey = (password, salt, {N, r, p}) => new Promise((resolve, reject) => {
+  crypto.scrypt(password.normalize('NFKC'), salt, 32, {N, r, p, maxmem: 256 * N * r}, (err, key) => err ? reject(err) : resolve(key));
+});
+
+/**
+ * Creates a sealer that encrypts secrets with one freshly salted key
+ * @param {string} password - Password
+ * @returns {Promise<Function>} seal(secret) returning the envelope string
+ */
+const createSecretSealer = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await deriveSecretKey(password, salt, SCRYPT_PARAMS);
+  const header = `$svenc$v${SECRET_ENVELOPE_VERSION}$scrypt$N=${SCRYPT_PARAMS.N},r=${SCRYPT_PARAMS.r},p=${SCRYPT_PARAMS.p}$${salt.toString('base64url')}`;
+
+  return (secret) => {
+    const nonce = crypto.randomBytes(12);
+    const aad = `${header}$${nonce.toString('base64url')}`;
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return `${aad}$${ciphertext.toString('base64url')}$${cipher.getAuthTag().toString('base64url')}`;
+  };
+};
+
+/**
+ * Copies a result with its secret fields sealed
+ * @param {Object} item - Result with mnemonic, privateKey, partialKey or expandedKey
+ * @param {Function} seal - Sealer from createSecretSealer
+ * @returns {Object} Copy with the secrets replaced by envelopes
+ */
+const sealItem = (item, seal) => {
+  const sealed = {...item};
+  for (const field of SECRET_FIELDS) {
+    if (typeof sealed[field] === 'string') sealed[field] = seal(sealed[field]);
+  }
+  return sealed;
+};
+
+/**
+ * Checks whether file content holds encrypted secrets
+ * @param {string} content - File content
+ * @returns {boolean} True if at least one envelope is present
+ */
+const hasSealedSecrets = (content) => new RegExp(SECRET_ENVELOPE_PATTERN.source).test(content);
+
+/**
+ * Replaces every envelope in file content by the secret it holds
+ * @param {string} content - File content
+ * @param {string} password - Password
+ * @returns {Promise<string>} Content with plaintext secrets
+ * @throws {Error} If the password is wrong, the file was modified or the version is unknown
+ */
+const openSealedSecrets = async (content, password) => {
+  const envelopes = [...content.matchAll(SECRET_ENVELOPE_PATTERN)];
+  const keys = new Map(); // One derivation per salt, i.e. per run that wrote to the file
+
+  const secrets = [];
+  for (const [envelope, version, N, r, p, salt, nonce, ciphertext, tag] of envelopes) {
+    if (Number(version) !== SECRET_ENVELOPE_VERSION) {
+      throw new Error(`unsupported encryption version ${version}`);
+    }
+    // Bounded, so a crafted file cannot make the derivation exhaust memory
+    if (Number(N) > 2 ** 20 || Number(r) > 32 || Number(p) > 16) {
+      throw new Error(`unsupported scrypt parameters N=${N},r=${r},p=${p}`);
+    }
+    const keyId = `${N},${r},${p}$${salt}`;
+    if (!keys.has(keyId)) {
+      keys.set(keyId, await deriveSecretKey(password, Buffer.from(salt, 'base64url'), {N: Number(N), r: Number(r), p: Number(p)}));
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keys.get(keyId), Buffer.from(nonce, 'base64url'));
+      decipher.setAAD(Buffer.from(envelope.slice(0, envelope.length - ciphertext.length - tag.length - 2)));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      secrets.push(Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8'));
+    } catch {
+      throw new Error('wrong password, or the file was modified');
+    }
+  }
+
+  let index = 0;
+  return content.replace(SECRET_ENVELOPE_PATTERN, () => secrets[index++]);
+};
+
+/**
+ * Secrets encrypted to age recipients, for machines that cannot be given a password
+ *
+ *   $svage$v1$<base64 of a binary age v1 file holding the secret>
+ *
+ * Every secret is a complete age file (https://age-encryption.org/v1) with one X25519
+ * stanza per recipient, so the age tools read it too: base64 -d | age -d -i identity.txt.
+ */
+const AGE_ENVELOPE_PATTERN = /\$svage\$v1\$([A-Za-z0-9+/]+=*)/g;
+const AGE_VERSION_LINE = 'age-encryption.org/v1';
+const AGE_X25519_LABEL = 'age-encryption.org/v1/X25519';
+const AGE_CHUNK_SIZE = 64 * 1024;
+const AGE_RECIPIENT_HRP = 'age';
+const AGE_IDENTITY_HRP = 'age-secret-key-';
+
+/**
+ * Derives a 32-byte key with HKDF-SHA256 (RFC 5869)
+ * @param {Buffer} ikm - Input key material
+ * @param {Buffer} salt - Salt (may be empty)
+ * @param {string} info - Context label
+ * @returns {Buffer} Key
+ */
+const hkdfSha256 = (ikm, salt, info) => {
+  const pseudoRandomKey = crypto.createHmac('sha256', salt).update(ikm).digest();
+  return crypto.createHmac('sha256', pseudoRandomKey).update(Buffer.concat([Buffer.from(info), Buffer.from([1])])).digest();
+};
+
+/**
+ * Encodes bytes as unpadded standard base64, as age headers require
+ * @param {Buffer} bytes - Data
+ * @returns {string} Base64 without padding
+ */
+const ageBase64 = (bytes) => Buffer.from(bytes).toString('base64').replace(/=+$/, '');
+
+/**
+ * Parses an age X25519 recipient
+ * @param {string} value - Recipient such as age1...
+ * @returns {Buffer} 32-byte X25519 public key
+ * @throws {Error} If the value is not an X25519 recipient
+ */
+const parseAgeRecipient = (value) => {
+  let decoded = null;
+  try {
+    decoded = bech32.decodeToBytes(value.trim());
+  } catch {
+    // Reported below
+  }
+  if (!decoded || decoded.prefix !== AGE_RECIPIENT_HRP || decoded.bytes.length !== 32) {
+    throw new Error(`expected an X25519 age recipient (age1...), got "${value}"`);
+  }
+  return decoded.bytes;
+};
+
+/**
+ * Collects the recipients from --recipient and --recipients-file
+ * @param {Object} options - Command options
+ * @param {string[]} [options.recipient] - Recipients given on the command line
+ * @param {string} [options.recipientsFile] - File with one recipient per line (# comments allowed)
+ * @returns {Promise<Object[]>} Unique recipients as {text, key}
+ * @throws {Error} If a recipient is invalid or the file cannot be read
+ */
+const resolveRecipients = async (options) => {
+  const values = [...(options.recipient || [])];
+  if (options.recipientsFile) {
+    const content = await fs.promises.readFile(options.recipientsFile, 'utf8');
+    values.push(...content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+  }
+  return [...new Set(values.map(value => value.trim().toLowerCase()))]
+    .map(text => ({text, key: parseAgeRecipient(text)}));
+};
+
+/**
+ * Reads X25519 identities from an age identity file, as written by keygen-recipient or age-keygen
+ * @param {string} filename - Identity file
+ * @returns {Promise<Buffer[]>} 32-byte X25519 secret keys
+ * @throws {Error} If the file holds no identity or a line that is not one
+ */
+const readAgeIdentities = async (filename) => {
+  const lines = (await fs.promises.readFile(filename, 'utf8')).split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const identities = lines.map((line) => {
+    let decoded = null;
+    try {
+      decoded = bech32.decodeToBytes(line);
+    } catch {
+      // Reported below
+    }
+    if (!decoded || decoded.prefix !== AGE_IDENTITY_HRP || decoded.bytes.length !== 32) {
+      throw new Error(`${filename} contains a line that is not an X25519 age identity (AGE-SECRET-KEY-1...)`);
+    }
+    return decoded.bytes;
+  });
+  if (identities.length === 0) {
+    throw new Error(`${filename} contains no identities`);
+  }
+  return identities;
+};
+
+/**
+ * Creates a sealer that encrypts each secret as an age file to every recipient
+ * @param {Buffer[]} recipients - X25519 public keys
+ * @returns {Function} seal(secret) returning the envelope string
+ */
+const createAgeSealer = (recipients) => {
+  return (secret) => {
+    const fileKey = crypto.randomBytes(16);
+    const stanzas = recipients.map((recipient) => {
+      const ephemeral = x25519.utils.randomPrivateKey();
+      const share = Buffer.from(x25519.getPublicKey(ephemeral));
+      const wrapKey = hkdfSha256(Buffer.from(x25519.getSharedSecret(ephemeral, recipient)), Buffer.concat([share, recipient]), AGE_X25519_LABEL);
+      return `-> X25519 ${ageBase64(share)}\n${ageBase64(chacha20poly1305(wrapKey, Buffer.alloc(12)).encrypt(fileKey))}\n`;
+    });
+
+    // The MAC covers the header up to and including "---"
+    const header = `${AGE_VERSION_LINE}\n${stanzas.join('')}---`;
+    const mac = crypto.createHmac('sha256', hkdfSha256(fileKey, Buffer.alloc(0), 'header')).update(header).digest();
+
+    // Secrets are far below the 64 KiB chunk size: one chunk, counter 0, flagged as last
+    const nonce = crypto.randomBytes(16);
+    const chunkNonce = Buffer.alloc(12);
+    chunkNonce[11] = 1;
+    const payload = chacha20poly1305(hkdfSha256(fileKey, nonce, 'payload'), chunkNonce).encrypt(Buffer.from(secret, 'utf8'));
+
+    return `$svage$v1$${Buffer.concat([Buffer.from(`${header} ${ageBase64(mac)}\n`), nonce, payload]).toString('base64')}`;
+  };
+};
+
+/**
+ * Decrypts an age file with X25519 identities
+ * Stanzas of other types, such as those of other recipients' tools, are skipped
+ * @param {Buffer} file - Binary age file
+ * @param {Buffer[]} identities - X25519 secret keys
+ * @returns {string} Decrypted content
+ * @throws {Error} If the file is malformed, no identity matches or it was modified
+ */
+const openAgeFile = (file, identities) => {
+  const macLine = file.indexOf('\n--- ');
+  const headerEnd = file.indexOf('\n', macLine + 1);
+  if (macLine < 0 || headerEnd < 0) {
+    throw new Error('not an age file');
+  }
+  const header = file.subarray(0, macLine + 4).toString('latin1');
+  const lines = header.split('\n');
+  if (lines[0] !== AGE_VERSION_LINE) {
+    throw new Error(`unsupported age version "${lines[0]}"`);
+  }
+
+  let fileKey = null;
+  for (let index = 1; index < lines.length - 1;) {
+    if (!lines[index].startsWith('-> ')) {
+      throw new Error('malformed age header');
+    }
+    const args = lines[index++].slice(3).split(' ');
+
+    // A stanza body ends with its first line shorter than 64 characters
+    let body = '';
+    for (;;) {
+      if (index >= lines.length - 1) throw new Error('malformed age header');
+      body += lines[index];
+      if (lines[index++].length < 64) break;
+    }
+    if (fileKey || args[0] !== 'X25519' || args.length !== 2) continue;
+
+    const share = Buffer.from(args[1], 'base64');
+    for (const identity of identities) {
+      try {
+        const shared = Buffer.from(x25519.getSharedSecret(identity, share));
+        if (shared.every(byte => byte === 0)) continue;
+        const wrapKey = hkdfSha256(shared, Buffer.concat([share, Buffer.from(x25519.getPublicKey(identity))]), AGE_X25519_LABEL);
+        fileKey = chacha20poly1305(wrapKey, Buffer.alloc(12)).decrypt(Buffer.from(body, 'base64'));
+        break;
+      } catch {
+        // Wrapped for another recipient
+      }
+    }
+  }
+  if (!fileKey) {
+    throw new Error('none of the identities is a recipient of this secret');
+  }
+
+  const mac = Buffer.from(file.subarray(macLine + 5, headerEnd).toString('latin1'), 'base64');
+  const expectedMac = crypto.createHmac('sha256', hkdfSha256(fileKey, Buffer.alloc(0), 'header')).update(header).digest();
+  if (mac.length !== expectedMac.length || !crypto.timingSafeEqual(mac, expectedMac)) {
+    throw new Error('age header was modified');
+  }
+
+  const nonce = file.subarray(headerEnd + 1, headerEnd + 17);
+  const payloadKey = hkdfSha256(fileKey, nonce, 'payload');
+  const chunks = [];
+  for (let offset = headerEnd + 17, counter = 0n; offset < file.length; counter++) {
+    const chunk = file.subarray(offset, offset + AGE_CHUNK_SIZE + 16);
+    offset += chunk.length;
+    const chunkNonce = Buffer.alloc(12);
+    chunkNonce.writeBigUInt64BE(counter, 3);
+    chunkNonce[11] = offset >= file.length ? 1 : 0;
+    chunks.push(chacha20poly1305(payloadKey, chunkNonce).decrypt(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Checks whether file content holds secrets encrypted to age recipients
+ * @param {string} content - File content
+ * @returns {boolean} True if at least one age envelope is present
+ */
+const hasAgeSecrets = (content) => new RegExp(AGE_ENVELOPE_PATTERN.source).test(content);
+
+/**
+ * Replaces every age envelope in file content by the secret it holds
+ * @param {string} content - File content
+ * @param {Buffer[]} identities - X25519 secret keys
+ * @returns {string} Content with plaintext secrets
+ * @throws {Error} If a secret cannot be decrypted with the identities
+ */
+const openAgeSecrets = (content, identities) =>
+  content.replace(AGE_ENVELOPE_PATTERN, (envelope, file) => openAgeFile(Buffer.from(file, 'base64'), identities));
+
+/**
+ * Reads a password from the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Password as typed
+ */
+const promptPassword = (question) => new Promise((resolve, reject) => {
+  const input = process.stdin;
+  let password = '';
+  process.stderr.write(question);
+  input.setRawMode(true);
+  input.resume();
+  input.setEncoding('utf8');
+
+  const onData = (chunk) => {
+    for (const char of chunk) {
+      if (char === '\r' || char === '\n') {
+        done();
+        resolve(password);
+        return;
+      } else if (char === '\u0003') {
+        done();
+        reject(new Error('password entry cancelled'));
+        return;
+      } else if (char === '\u007f' || char === '\b') {
+        password = password.slice(0, -1);
+      } else {
+        password += char;
+      }
+    }
+  };
+  const done = () => {
+    input.removeListener('data', onData);
+    input.setRawMode(false);
+    input.pause();
+    process.stderr.write('\n');
+  };
+  input.on('data', onData);
+});
+
+/**
+ * Gets the password for encrypted secrets from --password-fd or a terminal prompt
+ * @param {Object} options - Command options
+ * @param {string} [options.passwordFd] - File descriptor whose first line is the password
+ * @param {boolean} [confirm=false] - Ask twice when prompting, for new encrypted files
+ * @returns {Promise<string>} Password
+ * @throws {Error} If no password is available or it is empty
+ */
+const readPassword = async (options, confirm = false) => {
+  let password;
+  if (options.passwordFd !== undefined) {
+    const fd = Number(options.passwordFd);
+    if (!Number.isInteger(fd) || fd < 0) {
+      throw new Error(`--password-fd must be a file descriptor number, got "${options.passwordFd}"`);
+    }
+    password = fs.readFileSync(fd, 'utf8').split(/\r?\n/)[0];
+  } else if (process.stdin.isTTY) {
+    password = await promptPassword('Password: ');
+    if (confirm && password && await promptPassword('Repeat password: ') !== password) {
+      throw new Error('passwords do not match');
+    }
+  } else {
+    throw new Error('a password is needed; run in a terminal or pass it with --password-fd');
+  }
+
+  if (!password) {
+    throw new Error('the password is empty');
+  }
+  return password;
+};
+
+/**
+ * Decrypts the secrets in address file content, whichever way they were encrypted
+ * @param {string} content - File content
+ * @param {Object} options - Command options (passwordFd for readPassword, identity file)
+ * @returns {Promise<Object>} {content, createSealer}; createSealer is null for plaintext content
+ *   and otherwise resolves to a sealer that encrypts new secrets the same way
+ * @throws {Error} If a password or identity is missing or does not open the secrets
+ */
+const openAddressContent = async (content, options) => {
+  let opened = content;
+  let createSealer = null;
+
+  if (hasSealedSecrets(opened)) {
+    const password = await readPassword(options);
+    opened = await openSealedSecrets(opened, password);
+    createSealer = () => createSecretSealer(password);
+  }
+
+  // Written again to the identities' own recipients, the only ones known here
+  if (hasAgeSecrets(opened)) {
+    if (!options.identity) {
+      throw new Error('the secrets are encrypted to age recipients; pass an identity file with --identity');
+    }
+    const identities = await readAgeIdentities(options.identity);
+    opened = openAgeSecrets(opened, identities);
+    createSealer = async () => createAgeSealer(identities.map(identity => Buffer.from(x25519.getPublicKey(identity))));
+  }
+
+  return {content: opened, createSealer};
+};
+
+/**
+ * Reads an address file, decrypting its secrets if it holds any
+ * @param {string} fullPath - File to read
+ * @param {Object} options - Command options, for openAddressContent
+ * @returns {Promise<Object>} {content, createSealer} as returned by openAddressContent
+ * @throws {Error} If the file cannot be read or decrypted
+ */
+const readAddressFile = async (fullPath, options) => openAddressContent(await fs.promises.readFile(fullPath, 'utf8'), options);
+
+/**
+ * Derivation paths used by common wallets; {account} is replaced by the account index
+ * The same mnemonic opens a different address under each of them
+ */
+const DERIVATION_PRESETS = {
+  phantom: {template: "m/44'/501'/{account}'/0'", wallets: 'Phantom, Solflare, Backpack, solana-keygen with prompt://?key=N/0'},
+  ledger: {template: "m/44'/501'/{account}'", wallets: 'Ledger Live, Trust Wallet, older Solflare'},
+  keygen: {template: null, wallets: 'solana-keygen recover without a derivation path (bare seed)'}
+};
+const DEFAULT_DERIVATION = 'phantom';
+
+/**
+ * Parses a --derivation value into a preset or custom derivation
+ * Custom paths must be fully hardened, as SLIP-10 ed25519 derivation requires
+ * @param {string} [value='phantom'] - Preset name or path such as m/44'/501'/{account}'/0'
+ * @returns {Object} Derivation with name, template (null for the bare seed) and wallets
+ * @throws {Error} If the value is neither a preset nor a valid hardened path
+ */
+const parseDerivation = (value = DEFAULT_DERIVATION) => {
+  const name = String(value).trim();
+  const preset = DERIVATION_PRESETS[name.toLowerCase()];
+  if (preset) {
+    return {name: name.toLowerCase(), ...preset};
+  }
+
+  if (!/^m(\/(\d+|\{account\})')+$/.test(name)) {
+    throw new Error(`expected ${Object.keys(DERIVATION_PRESETS).join(', ')} or a hardened path like m/44'/501'/{account}'/0', got "${value}"`);
+  }
+  if ((name.match(/\d+(?=')/g) || []).some(index => Number(index) >= 2 ** 31)) {
+    throw new Error(`path indexes must be below 2^31, got "${value}"`);
+  }
+
+  return {name, template: name, wallets: null};
+};
+
+/**
+ * Builds the concrete derivation path for an account index
+ * @param {Object} derivation - Result of parseDerivation
+ * @param {number} accountIndex - Zero-based account index
+ * @returns {string|null} Path such as m/44'/501'/0'/0', or null for the bare seed
+ */
+const derivationPathFor = (derivation, accountIndex) =>
+  derivation.template === null ? null : derivation.template.replaceAll('{account}', accountIndex);
+
+/**
+ * Derives the 32-byte ed25519 key seed from a BIP39 seed
+ * @param {Buffer} seed - 64-byte BIP39 seed
+ * @param {Object} derivation - Result of parseDerivation
+ * @param {number} accountIndex - Zero-based account index
+ * @returns {Buffer} Seed for Keypair.fromSeed
+ */
+const deriveKeySeed = (seed, derivation, accountIndex) => {
+  // solana-keygen without a derivation path uses the first half of the BIP39 seed directly
+  if (derivation.template === null) {
+    return Buffer.from(seed).subarray(0, 32);
+  }
+  return derivePath(derivationPathFor(derivation, accountIndex), Buffer.from(seed).toString('hex')).key;
+};
+
+/**
+ * Converts a BIP39 mnemonic phrase to a Solana private key
+ * @param {string} mnemonic - BIP39 mnemonic phrase (12-24 words)
+ * @param {string} [passphrase=''] - Optional BIP39 passphrase
+ * @param {Object} [derivation] - Result of parseDerivation (default: Phantom path)
+ * @param {number} [accountIndex=0] - Account index the address was found at
+ * @returns {string} Base58-encoded private key
+ * @throws {Error} If conversion fails
+ */
+const mnemonicToPrivateKey = (mnemonic, passphrase = '', derivation = parseDerivation(), accountIndex = 0) => {
+  try {
+    // Convert mnemonic to seed
+    const seed = bip39.mnemonicToSeed(mnemonic, passphrase);
+
+    // Derive the key the same way the wallet that made the address does
+    const derivedSeed = deriveKeySeed(seed, derivation, accountIndex);
+
+    // Create keypair and encode private key
+    const keypair = Keypair.fromSeed(derivedSeed);
+    const privateKey = bs58.encode(keypair.secretKey);
+
+    return privateKey;
+  } catch (error) {
+    throw new Error(`Failed to convert mnemonic to private key: ${error.message}`);
+  }
+};
+
+/**
+ * DER header that wraps a 32-byte seed into a PKCS#8 Ed25519 private key
+ */
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Backends for the keypair stage; each turns a 32-byte seed into a Keypair
+ */
+const KEY_BACKENDS = {
+  // Pure-JS ed25519 bundled with @solana/web3.js
+  web3: (seed) => Keypair.fromSeed(seed),
+  // The runtime's native ed25519. The public key is read from the private key's JWK export,
+  // because createPublicKey() returns wrong bytes for Ed25519 keys in some Bun versions
+  native: (seed) => {
+    const privateKey = crypto.createPrivateKey({key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8'});
+    const publicKey = Buffer.from(privateKey.export({format: 'jwk'}).x, 'base64url');
+    return Keypair.fromSecretKey(Buffer.concat([seed, publicKey]), {skipValidation: true});
+  }
+};
+
+/**
+ * RFC 8032 test vector 1: a seed and the public key every backend must derive from it
+ */
+const ED25519_TEST_VECTOR = {
+  seed: '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60',
+  publicKey: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'
+};
+
+/**
+ * Checks that a backend produces byte-identical keys to web3.js for the test vector and random seeds
+ * @param {string} name - Backend name
+ * @param {number} [samples=32] - Number of random seeds to compare
+ * @returns {boolean} True if every key matches
+ */
+const verifyKeyBackend = (name, samples = 32) => {
+  try {
+    const vector = KEY_BACKENDS[name](Buffer.from(ED25519_TEST_VECTOR.seed, 'hex'));
+    if (Buffer.from(vector.publicKey.toBytes()).toString('hex') !== ED25519_TEST_VECTOR.publicKey) {
+      return false;
+    }
+
+    for (let i = 0; i < samples; i++) {
+      const seed = crypto.randomBytes(32);
+      const expected = Keypair.fromSeed(seed);
+      const actual = KEY_BACKENDS[name](seed);
+      if (!Buffer.from(actual.secretKey).equals(Buffer.from(expected.secretKey))
+        || !actual.publicKey.equals(expected.publicKey)) {
+        return false;
+      }
+    }
+    return true;
+  } catch (err) {
+    // A runtime without native Ed25519 support throws here
+    return false;
+  }
+};
+
+/**
+ * Measures how many keypairs per second a backend creates on this thread
+ * @param {string} name - Backend name
+ * @param {number} [durationMs=200] - Measurement time in milliseconds
+ * @returns {number} Keypairs per second
+ */
+const measureKeyBackend = (name, durationMs = 200) => {
+  const createKeypair = KEY_BACKENDS[name];
+  const start = performance.now();
+  let created = 0;
+  while (performance.now() - start < durationMs) {
+    createKeypair(crypto.randomBytes(32));
+    created++;
+  }
+  return created / ((performance.now() - start) / 1000);
+};
+
+/**
+ * Resolves --backend to a verified keypair backend
+ * "auto" self-checks every backend and picks the fastest one that passes
+ * @param {string} [requested='auto'] - auto, web3 or native
+ * @returns {Object} {name, label} with a description for the startup summary
+ * @throws {Error} If the backend is unknown or fails the self-check
+ */
+const selectKeyBackend = (requested = 'auto') => {
+  if (requested !== 'auto') {
+    if (!(requested in KEY_BACKENDS)) {
+      throw new Error(`expected auto, ${Object.keys(KEY_BACKENDS).join(', ')}, got "${requested}"`);
+    }
+    if (!verifyKeyBackend(requested)) {
+      throw new Error(`the ${requested} backend failed its self-check and cannot be used on this runtime`);
+    }
+    return {name: requested, label: requested};
+  }
+
+  const speeds = Object.keys(KEY_BACKENDS)
+    .filter(name => verifyKeyBackend(name))
+    .map(name => ({name, speed: measureKeyBackend(name)}))
+    .sort((a, b) => b.speed - a.speed);
+
+  const [fastest] = speeds;
+  const label = `${fastest.name} (auto: ${speeds.map(({name, speed}) => `${name} ${Math.round(speed).toLocaleString()}/s`).join(', ')})`;
+  return {name: fastest.name, label};
+};
+
+// Token programs an associated token account (ATA) can belong to
+const TOKEN_PROGRAMS = {
+  token: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'token-2022': 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+};
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+
+/**
+ * Finds the associated token account of an owner, like getAssociatedTokenAddressSync in @solana/spl-token
+ * @param {PublicKey} owner - Wallet that owns the token account
+ * @param {PublicKey} mint - Token mint
+ * @param {PublicKey} tokenProgram - Token program the mint belongs to
+ * @returns {PublicKey} Associated token account address
+ */
+const findAssociatedTokenAddress = (owner, mint, tokenProgram) => {
+  return PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), tokenProgram.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  )[0];
+};
+
+/**
+ * Order of the ed25519 base point; split-key scalars are added modulo it
+ */
+const ED25519_ORDER = ed25519.CURVE.n;
+
+/**
+ * Encodes a scalar as 32 little-endian bytes, the ed25519 convention
+ * @param {bigint} scalar - Scalar below the curve order
+ * @returns {Buffer} 32-byte encoding
+ */
+const scalarToBytes = (scalar) => Buffer.from(scalar.toString(16).padStart(64, '0'), 'hex').reverse();
+
+/**
+ * Decodes little-endian bytes into a scalar
+ * @param {Uint8Array} bytes - Little-endian bytes
+ * @returns {bigint} Decoded number
+ */
+const bytesToScalar = (bytes) => BigInt('0x' + Buffer.from(bytes).reverse().toString('hex'));
+
+/**
+ * Draws a uniformly random non-zero scalar
+ * 64 random bytes reduced modulo the order keep the bias negligible
+ * @returns {bigint} Scalar in [1, order)
+ */
+const randomScalar = () => {
+  let scalar = 0n;
+  while (scalar === 0n) {
+    scalar = bytesToScalar(crypto.randomBytes(64)) % ED25519_ORDER;
+  }
+  return scalar;
+};
+
+/**
+ * Parses the public point a requester shares from `splitkey init`
+ * @param {string} value - Base58-encoded ed25519 point
+ * @returns {Object} Decoded curve point
+ * @throws {Error} If the value is not a usable ed25519 point
+ */
+const parseSplitKeyPoint = (value) => {
+  let point;
+  try {
+    point = ed25519.ExtendedPoint.fromHex(bs58.decode(value));
+  } catch (err) {
+    throw new Error(`"${value}" is not a valid ed25519 public key`);
+  }
+  if (point.isSmallOrder()) {
+    throw new Error(`"${value}" is a low-order point and cannot hide a secret`);
+  }
+  return point;
+};
+
+/**
+ * Says in every combined file what its keys are, since they look like 64-byte secret keys
+ */
+const EXPANDED_KEY_TYPE = 'expanded ed25519 key (scalar + nonce prefix), not a Solana secret key';
+
+/**
+ * Adds the requester's secret scalar and a grinder's partial scalar into the final key
+ * Split keys are bare scalars, not seeds, so the result is an expanded ed25519 key:
+ * scalar || nonce prefix, with the prefix derived from the scalar
+ * @param {bigint} secretScalar - Scalar kept by the requester
+ * @param {bigint} partialScalar - Scalar found by the grinder
+ * @returns {Object} {address, expandedKey, keyType} with the key Base58-encoded (64 bytes)
+ */
+const combineSplitKey = (secretScalar, partialScalar) => {
+  const scalar = (secretScalar + partialScalar) % ED25519_ORDER;
+  const scalarBytes = scalarToBytes(scalar);
+  const prefix = crypto.createHash('sha512').update(scalarBytes).digest().subarray(32);
+
+  return {
+    address: bs58.encode(ed25519.ExtendedPoint.BASE.multiply(scalar).toRawBytes()),
+    expandedKey: bs58.encode(Buffer.concat([scalarBytes, prefix])),
+    keyType: EXPANDED_KEY_TYPE
+  };
+};
+
+/**
+ * Queue system for file operations to prevent race conditions
+ * Ensures all file operations are performed sequentially
+ */
+class FileOperationQueue {
+  constructor() {
+    this.queue = [];           // Queue of pending operations
+    this.processing = false;   // Flag to indicate if queue is being processed
+    this.buffer = [];          // Buffer for batching write operations
+    this.bufferTimer = null;   // Timer for flushing buffer
+  }
+
+  /**
+   * Adds an operation to the queue and processes it
+   * @param {Function} operation - Async function to execute
+   * @returns {Promise} Resolves when operation completes
+   */
+  async enqueue(operation) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ operation, resolve, reject });
+      this.process();
+    });
+  }
+
+  /**
+   * Processes queued operations sequentially
+   * @private
+   */
+  async process() {
+    // Skip if already processing or queue is empty
+    if (this.processing || this.queue.length === 0) return;
+
+    this.processing = true;
+    const { operation, resolve, reject } = this.queue.shift();
+
+    try {
+      const result = await operation();
+      resolve(result);
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.processing = false;
+      // Process next item in queue
+      this.process();
+    }
+  }
+
+  /**
+   * Adds data to the write buffer for batch processing
+   * @param {Object} data - Address data to buffer
+   */
+  addToBuffer(data) {
+    this.buffer.push(data);
+
+    // Clear existing timer to reset the flush timeout
+    if (this.bufferTimer) {
+      clearTimeout(this.bufferTimer);
+      this.bufferTimer = null;
+    }
+
+    // Flush immediately if buffer is full
+    if (this.buffer.length >= CONFIG.FILE_WRITE_BUFFER_SIZE) {
+      // Don't set a timer, flush immediately
+      this.flushAndSave();
+    } else {
+      // Otherwise, set timer to flush after 1 second
+      this.bufferTimer = setTimeout(() => {
+        this.flushAndSave();
+      }, 1000);
+    }
+  }
+
+  /**
+   * Internal method to flush buffer and trigger save
+   * @private
+   */
+  async flushAndSave() {
+    const data = await this.flushBuffer();
+    if (data && data.length > 0 && this.saveCallback) {
+      await this.saveCallback(data);
+    }
+  }
+
+  /**
+   * Sets the callback for saving flushed data
+   * @param {Function} callback - Callback to handle saving
+   */
+  setSaveCallback(callback) {
+    this.saveCallback = callback;
+  }
+
+  /**
+   * Forces an immediate flush of the buffer
+   * @returns {Promise<Array>} Array of buffered data items
+   */
+  async forceFlush() {
+    // Clear any pending timer
+    if (this.bufferTimer) {
+      clearTimeout(this.bufferTimer);
+      this.bufferTimer = null;
+    }
+
+    // Return the flushed data
+    return this.flushBuffer();
+  }
+
+  /**
+   * Flushes the buffer and returns buffered data
+   * @returns {Array} Array of buffered data items
+   */
+  async flushBuffer() {
+    if (this.buffer.length === 0) return [];
+
+    // Copy buffer contents and clear it
+    const dataToWrite = [...this.buffer];
+    this.buffer = [];
+
+    // Clear timer if exists
+    if (this.bufferTimer) {
+      clearTimeout(this.bufferTimer);
+      this.bufferTimer = null;
+    }
+
+    return dataToWrite;
+  }
+}
+
+/**
+ * Performs atomic file write operation
+ * Writes to temporary file first, then renames to prevent corruption
+ * @param {string} filename - Target filename
+ * @param {string} data - Data to write
+ * @throws {Error} If write operation fails
+ */
+const writeFileAtomic = async (filename, data) => {
+  const tempFile = `${filename}.tmp`;
+  try {
+    // Write to temporary file
+    await fs.promises.writeFile(tempFile, data, 'utf8');
+    // Atomically rename temp file to target
+    await fs.promises.rename(tempFile, filename);
+  } catch (error) {
+    // Clean up temp file if it exists
+    try {
+      await fs.promises.unlink(tempFile);
+    } catch {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+};
+
+/**
+ * File extensions of the address file formats
+ */
+const FORMAT_EXTENSIONS = {
+  json: '.json',
+  ndjson: '.ndjson',
+  txt: '.txt',
+  csv: '.csv'
+};
+
+/**
+ * Finds the address file format of a file extension
+ * @param {string} ext - Extension with the dot, in any letter case
+ * @returns {string|undefined} Format name
+ */
+const formatOfExtension = (ext) => Object.keys(FORMAT_EXTENSIONS).find(format => FORMAT_EXTENSIONS[format] === ext.toLowerCase());
+
+/**
+ * Formats one CSV line, quoting fields with commas, quotes, line breaks or edge spaces (RFC 4180)
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {string} CSV line without the line break
+ */
+const csvLine = (values) => values.map((value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',');
+
+/**
+ * Parses CSV text into rows of fields; quoted fields may hold commas, quotes and line breaks
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows, without empty lines
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('unterminated quoted field');
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+};
+
+/**
+ * Fields that CSV stores as text but JSON files hold as numbers or booleans
+ */
+const CSV_NUMBER_FIELDS = ['accountIndex', 'words'];
+const CSV_BOOLEAN_FIELDS = ['passphrase'];
+
+/**
+ * Turns address file entries into CSV records with an optional numbered label first
+ * @param {Array} entries - Objects, or strings that fill the single column
+ * @param {Object} options - {column, label, start}; "{n}" in the label becomes the row number after start
+ * @returns {Object[]} Records
+ */
+const csvRecords = (entries, {column, label, start = 0}) => entries.map((entry, index) => ({
+  ...(label ? {label: label.replaceAll('{n}', String(start + index + 1))} : {}),
+  ...(typeof entry === 'string' ? {[column]: entry} : entry)
+}));
+
+/**
+ * Names the secret of an address:secret TXT line, which the line does not say itself
+ * Mnemonics have spaces, partial keys are 32 bytes, and 64-byte keys are private keys
+ * when they end with their address (expanded split keys do not)
+ * @param {string} address - Address of the line
+ * @param {string} secret - Secret of the line
+ * @returns {string} Field name: mnemonic, privateKey, partialKey or expandedKey
+ */
+const txtSecretField = (address, secret) => {
+  if (/\s/.test(secret)) return 'mnemonic';
+  try {
+    const bytes = bs58.decode(secret);
+    if (bytes.length === 32) return 'partialKey';
+    if (bytes.length === 64 && bs58.encode(bytes.subarray(32)) !== address) return 'expandedKey';
+  } catch {
+    // Not Base58; keep the default
+  }
+  return 'privateKey';
+};
+
+/**
+ * Reads the entries of an address file in any format solvanity writes
+ * Combined files give objects, split files give strings (addresses or secrets)
+ * @param {string} content - File content, with encrypted secrets already opened
+ * @param {string} format - json, ndjson, txt or csv
+ * @returns {Object} {entries, column}; column names the values of a split CSV file
+ * @throws {Error} If the content does not parse
+ */
+const parseAddressEntries = (content, format) => {
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) throw new Error('expected a JSON array');
+    return {entries: data, column: null};
+  }
+  if (format === 'ndjson') {
+    return {entries: content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)), column: null};
+  }
+  if (format === 'txt') {
+    return {
+      entries: content.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+        const separator = line.indexOf(':');
+        if (separator < 0) return line;
+        const address = line.slice(0, separator).trim();
+        const secret = line.slice(separator + 1).trim();
+        return {address, [txtSecretField(address, secret)]: secret};
+      }),
+      column: null
+    };
+  }
+
+  const [header = [], ...rows] = parseCsv(content);
+  const dataColumns = header.filter(name => name !== 'label');
+  if (dataColumns.length === 1) {
+    // A split file: one value per row, next to its label
+    const index = header.indexOf(dataColumns[0]);
+    return {entries: rows.map(row => row[index] || ''), column: dataColumns[0]};
+  }
+  return {
+    entries: rows.map((row) => {
+      const entry = {};
+      header.forEach((name, index) => {
+        const value = row[index];
+        if (value === undefined || value === '') return;
+        entry[name] = CSV_NUMBER_FIELDS.includes(name) ? Number(value)
+          : CSV_BOOLEAN_FIELDS.includes(name) ? value === 'true' : value;
+      });
+      return entry;
+    }),
+    column: null
+  };
+};
+
+/**
+ * Names of the values that address files hold, for messages
+ */
+const ADDRESS_FIELD_NAMES = {
+  address: 'address',
+  mnemonic: 'mnemonic',
+  privateKey: 'private key',
+  partialKey: 'partial key',
+  expandedKey: 'expanded key'
+};
+
+/**
+ * Works out which variant of address file the entries come from
+ * Combined files pair each address with a secret; split files hold only addresses or only
+ * secrets. Partial keys have the length of addresses, so a split file holds partial keys
+ * only when its name says so, as generate --split-key names them
+ * @param {Array} entries - Entries from parseAddressEntries
+ * @param {string|null} column - Column name of a split CSV file
+ * @param {string} filename - File the entries come from
+ * @returns {Object} {split, field, description}, e.g. {false, 'privateKey', 'combined private key'}
+ * @throws {Error} If the file is empty, mixes variants or holds values of no known kind
+ */
+const detectAddressVariant = (entries, column, filename) => {
+  if (entries.length === 0) {
+    throw new Error('No entries found in file.');
+  }
+
+  if (entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+    const field = SECRET_FIELDS.find(name => entries.every(entry => entry.address && entry[name]));
+    if (!field) {
+      throw new Error('Every entry needs an address and a mnemonic, private key or split-key secret.');
+    }
+    return {split: false, field, description: `combined ${ADDRESS_FIELD_NAMES[field]}`};
+  }
+
+  if (entries.every(entry => typeof entry === 'string')) {
+    let field = column;
+    if (!field) {
+      let bytes = null;
+      try {
+        bytes = bs58.decode(entries[0]);
+      } catch {
+        // Not Base58: only a mnemonic is left
+      }
+      field = /\s/.test(entries[0]) ? 'mnemonic'
+        : bytes?.length === 64 ? 'privateKey'
+          : bytes?.length === 32 ? (/partialkey/i.test(path.basename(filename)) ? 'partialKey' : 'address')
+            : null;
+    }
+    if (!Object.hasOwn(ADDRESS_FIELD_NAMES, field || '')) {
+      throw new Error(`Unrecognized values in a split file: ${column ? `column "${column}"` : `"${entries[0]}"`}`);
+    }
+    return {split: true, field, description: `split ${ADDRESS_FIELD_NAMES[field]}`};
+  }
+
+  throw new Error('The file mixes combined entries with split values.');
+};
+
+/**
+ * Formats address file entries as a complete file, for commands that write whole files
+ * @param {Array} entries - Objects for combined files, strings for split files
+ * @param {string} format - json, ndjson, txt or csv
+ * @param {Object} [options] - {column, label} for CSV, as for AddressFileWriter
+ * @returns {string} File content
+ */
+const formatAddressFile = (entries, format, {column = 'address', label} = {}) => {
+  if (format === 'json') return JSON.stringify(entries, null, 2);
+  if (format === 'ndjson') return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+  if (format === 'txt') {
+    return entries.map((entry) => {
+      if (typeof entry === 'string') return entry;
+      return `${entry.address}:${entry[SECRET_FIELDS.find(field => entry[field])] || ''}`;
+    }).join('\n') + '\n';
+  }
+
+  // Every field of every entry gets a column, in order of first appearance
+  const records = csvRecords(entries, {column, label});
+  const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return [columns, ...records.map(record => columns.map(name => record[name]))].map(csvLine).join('\n') + '\n';
+};
+
+/**
+ * Appends entries to an address file without rewriting what is already there
+ *
+ * JSON files are a streamed array: "[" when opened, each batch appended with its
+ * separators, and the closing "]" when closed. NDJSON, TXT and CSV files hold one
+ * entry per line; CSV files start with a header taken from the first entry. A file
+ * left open by a crash is repaired when it is opened again: the array is reopened
+ * and a torn last entry or line is dropped.
+ */
+class AddressFileWriter {
+  /**
+   * @param {string} filename - File to write
+   * @param {string} format - json, ndjson, txt or csv
+   * @param {Object} [options] - CSV options
+   * @param {string} [options.column='address'] - Column name for string entries
+   * @param {string} [options.label] - Label column text; "{n}" becomes the row number
+   */
+  constructor(filename, format, {column = 'address', label} = {}) {
+    this.filename = filename;
+    this.format = format;
+    this.column = column;
+    this.label = label;
+    this.columns = null;  // CSV header, once written or read back
+    this.count = 0;       // Entries in an open JSON array or CSV file, for separators and labels
+    this.isOpen = false;
+  }
+
+  /**
+   * Turns the content of a JSON array file back into an open array
+   * A closed array loses its bracket; an open one is cut back to its last complete entry
+   * @param {string} content - File content
+   * @returns {Object|null} {text, count} of the open array, or null if the file is not an array
+   */
+  static reopenJsonArray(content) {
+    const trimmed = content.trimEnd();
+    try {
+      const data = JSON.parse(trimmed);
+      return Array.isArray(data) ? {text: trimmed.slice(0, -1).trimEnd(), count: data.length} : null;
+    } catch {
+      // Not closed; possibly left open by a crash
+    }
+    if (!trimmed.startsWith('[')) return null;
+
+    // Top-level entries are indented by two spaces, so only such lines can end one
+    const lines = trimmed.split('\n');
+    for (let end = lines.length; end >= 1; end--) {
+      if (end > 1 && !/^  [^ {[]/.test(lines[end - 1])) continue;
+      const text = lines.slice(0, end).join('\n').replace(/,$/, '');
+      try {
+        return {text, count: JSON.parse(text + '\n]').length};
+      } catch {
+        // Torn entry; keep cutting
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Opens the file for appending, creating it or repairing it as needed
+   * Existing JSON arrays are always continued; line files only when not starting fresh
+   * @param {boolean} fresh - Whether a new run starts (line files are emptied)
+   */
+  async open(fresh) {
+    const exists = fs.existsSync(this.filename);
+
+    if (this.format !== 'json') {
+      if (fresh || !exists) {
+        await fs.promises.writeFile(this.filename, '');
+      } else {
+        // Drop a torn last line
+        let content = await fs.promises.readFile(this.filename, 'utf8');
+        if (content && !content.endsWith('\n')) {
+          content = content.slice(0, content.lastIndexOf('\n') + 1);
+          await writeFileAtomic(this.filename, content);
+        }
+
+        // Continue below the existing header and row numbers
+        if (this.format === 'csv' && content) {
+          const [header, ...rows] = parseCsv(content);
+          this.columns = header;
+          this.count = rows.length;
+        }
+      }
+    } else {
+      const reopened = exists ? AddressFileWriter.reopenJsonArray(await fs.promises.readFile(this.filename, 'utf8')) : null;
+      if (exists && !reopened) {
+        console.warn(chalk.yellow(`Warning: Could not parse existing file ${this.filename}, creating new file`));
+      }
+      await writeFileAtomic(this.filename, reopened ? reopened.text : '[');
+      this.count = reopened ? reopened.count : 0;
+    }
+
+    this.isOpen = true;
+  }
+
+  /**
+   * Appends entries; JSON and NDJSON take any JSON value, TXT takes lines, CSV takes objects or strings
+   * @param {Array} entries - Entries to append
+   */
+  async append(entries) {
+    if (entries.length === 0) return;
+    if (!this.isOpen) await this.open(false);
+
+    let text;
+    if (this.format === 'json') {
+      text = entries.map(entry => (this.count++ === 0 ? '\n' : ',\n') + '  ' + JSON.stringify(entry, null, 2).replace(/\n/g, '\n  ')).join('');
+    } else if (this.format === 'ndjson') {
+      text = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    } else if (this.format === 'csv') {
+      const records = csvRecords(entries, {column: this.column, label: this.label, start: this.count});
+      this.count += records.length;
+      text = '';
+      if (!this.columns) {
+        this.columns = Object.keys(records[0]);
+        text = csvLine(this.columns) + '\n';
+      }
+      text += records.map(record => csvLine(this.columns.map(name => record[name])) + '\n').join('');
+    } else {
+      text = entries.map(entry => entry + '\n').join('');
+    }
+    await fs.promises.appendFile(this.filename, text);
+  }
+
+  /**
+   * Closes the file; JSON arrays get their closing bracket
+   */
+  async close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    if (this.format === 'json') {
+      await fs.promises.appendFile(this.filename, this.count > 0 ? '\n]' : ']');
+    }
+  }
+}
+
+/**
+ * Writes a Solana CLI keypair file, the 64-byte secret key as a JSON array in <address>.json
+ * This is the layout of solana-keygen, so solana, Anchor and "program deploy --program-id" read it as is
+ * @param {string} directory - Directory for the file
+ * @param {string} privateKey - Base58 64-byte secret key
+ * @returns {Promise<string>} Path of the written file
+ * @throws {Error} If the key is not a valid 64-byte secret key
+ */
+const writeKeypairFile = async (directory, privateKey) => {
+  const keypair = Keypair.fromSecretKey(bs58.decode(privateKey));
+  const filename = path.join(directory, `${keypair.publicKey.toBase58()}.json`);
+  await fs.promises.writeFile(filename, JSON.stringify(Array.from(keypair.secretKey)), {mode: 0o600});
+  return filename;
+};
+
+/**
+ * Writes results as Solana CLI keypair files, one per address, for -f keypair
+ * Has the interface of AddressFileWriter; the filename is the directory the files go to
+ */
+class KeypairFileWriter {
+  /**
+   * @param {string} directory - Directory for the keypair files
+   */
+  constructor(directory) {
+    this.filename = directory;
+  }
+
+  /**
+   * Creates the directory; files already in it are kept
+   */
+  async open() {
+    await fs.promises.mkdir(this.filename, {recursive: true});
+  }
+
+  /**
+   * Writes one keypair file per result
+   * @param {Object[]} entries - Results with a privateKey
+   */
+  async append(entries) {
+    for (const entry of entries) {
+      await writeKeypairFile(this.filename, entry.privateKey);
+    }
+  }
+
+  /**
+   * Nothing to close; every file is complete once written
+   */
+  async close() {}
+}
+
+/**
+ * Converts an address file to another format: JSON, NDJSON, TXT or CSV
+ * Every variant solvanity writes is converted, and detected from the content: combined
+ * mnemonic, private key and split-key files, and split address and secret files
+ * Encrypted secrets are opened and encrypted again the same way in the converted file
+ * @param {string} filename - File to convert
+ * @param {string|null} targetFormat - Target format; defaults to txt for JSON files, json otherwise
+ * @param {Object} [options] - Command options (label, passwordFd, identity)
+ */
+const convertFile = async (filename, targetFormat, options = {}) => {
+  const addressDir = 'address';
+  let fullPath = path.join(addressDir, filename);
+
+  // Check if file exists in the address directory
+  if (!fs.existsSync(fullPath)) {
+    // Try the filename as provided (might include path)
+    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
+      fullPath = filename;
+    } else {
+      console.error(chalk.red(`Error: File not found: ${fullPath}`));
+      process.exit(1);
+    }
+  }
+
+  console.log(chalk.cyan(`\nConverting file: ${fullPath}\n`));
+
+  try {
+    const ext = path.extname(fullPath).toLowerCase();
+    const baseName = path.basename(fullPath, ext);
+    const sourceFormat = formatOfExtension(ext);
+    if (!sourceFormat) {
+      throw new Error('Unsupported file format. Only .json, .ndjson, .txt and .csv files are supported.');
+    }
+
+    // Check if conversion is needed
+    const outputFormat = targetFormat || (sourceFormat === 'json' ? 'txt' : 'json');
+    if (sourceFormat === outputFormat) {
+      throw new Error(`Source and target formats are the same (${sourceFormat}). No conversion needed.`);
+    }
+    if (options.label && outputFormat !== 'csv') {
+      throw new Error('--label adds a column to CSV files and needs the csv target format');
+    }
+
+    const {content: fileContent, createSealer} = await readAddressFile(fullPath, options);
+    let parsed;
+    try {
+      parsed = parseAddressEntries(fileContent, sourceFormat);
+    } catch (err) {
+      throw new Error(`Invalid ${sourceFormat.toUpperCase()} file: ${err.message}`);
+    }
+    const variant = detectAddressVariant(parsed.entries, parsed.column, fullPath);
+
+    // Secrets from an encrypted file are sealed again; addresses stay readable
+    const seal = createSealer ? await createSealer() : null;
+    const entries = seal
+      ? parsed.entries.map(entry => typeof entry === 'string' ? seal(entry) : sealItem(entry, seal))
+      : parsed.entries;
+
+    // TXT lines hold the address and the secret, nothing else
+    if (outputFormat === 'txt' && !variant.split) {
+      const dropped = [...new Set(entries.flatMap(entry => Object.keys(entry)))]
+        .filter(name => name !== 'address' && name !== variant.field);
+      if (dropped.length > 0) {
+        console.warn(chalk.yellow(`Warning: TXT files hold only address:${variant.field}; ${dropped.join(', ')} will not be kept.`));
+      }
+    }
+
+    // Generate output filename
+    const outputFilename = path.join(addressDir, `${baseName}-converted${FORMAT_EXTENSIONS[outputFormat]}`);
+
+    // Warn about overwriting existing files
+    if (fs.existsSync(outputFilename)) {
+      console.warn(chalk.yellow(`Warning: Output file ${outputFilename} already exists and will be overwritten.`));
+    }
+
+    // Perform conversion
+    await writeFileAtomic(outputFilename, formatAddressFile(entries, outputFormat, {column: variant.field, label: options.label}));
+
+    // Display results
+    console.log(chalk.green(`✔ Successfully converted ${entries.length} entries\n`));
+    console.log(chalk.dim(`Detected: ${chalk.cyan(variant.description + ' file')}`));
+    console.log(chalk.dim(`Source format: ${chalk.cyan(sourceFormat)}`));
+    console.log(chalk.dim(`Target format: ${chalk.cyan(outputFormat)}\n`));
+    if (seal) {
+      console.log(chalk.dim(`Secrets stay encrypted\n`));
+    }
+    console.log(chalk.dim(`Output file:`));
+    console.log(chalk.white(`  • ${outputFilename}\n`));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Splits an address file into separate address and mnemonic/private key files
+ * @param {string} filename - File to split
+ * @param {Object} options - Split options
+ * @param {string} [options.format] - Output format: json, ndjson, txt or csv (default: the input format)
+ * @param {string} [options.label] - CSV label column text; "{n}" becomes the row number
+ * @param {boolean} options.privatekey - Convert mnemonics to private keys
+ * @param {string} [options.passwordFd] - File descriptor with the password of an encrypted file
+ * @param {string} [options.identity] - age identity file for secrets encrypted to recipients
+ */
+const splitFile = async (filename, options) => {
+  const addressDir = 'address';
+  let fullPath = path.join(addressDir, filename);
+
+  // Check if file exists
+  if (!fs.existsSync(fullPath)) {
+    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
+      fullPath = filename;
+    } else {
+      console.error(chalk.red(`Error: File not found: ${fullPath}`));
+      process.exit(1);
+    }
+  }
+
+  let passphrase = '';
+  let derivation;
+  try {
+    passphrase = await resolvePassphrase(options);
+    derivation = parseDerivation(options.derivation);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (options.format && !Object.hasOwn(FORMAT_EXTENSIONS, options.format)) {
+    console.error(chalk.red('Error: Format must be "json", "ndjson", "txt" or "csv"'));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(`\nSplitting file: ${fullPath}\n`));
+
+  try {
+    const ext = path.extname(fullPath).toLowerCase();
+    const baseName = path.basename(fullPath, ext);
+    const detectedFormat = formatOfExtension(ext);
+    if (!detectedFormat) {
+      console.error(chalk.red(`Error: Unsupported file format. Only .json, .ndjson, .txt and .csv files are supported.`));
+      process.exit(1);
+    }
+
+    // Determine output format
+    const outputFormat = options.format || detectedFormat;
+    if (options.label && outputFormat !== 'csv') {
+      console.error(chalk.red('Error: --label adds a column to CSV files and needs -f csv'));
+      process.exit(1);
+    }
+
+    const {content: fileContent, createSealer} = await readAddressFile(fullPath, options);
+    let entries = [];
+    try {
+      entries = parseAddressEntries(fileContent, detectedFormat).entries
+        .filter(item => item && typeof item === 'object' && item.address && (item.mnemonic || item.privateKey));
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid ${detectedFormat.toUpperCase()} file: ${err.message}`));
+      process.exit(1);
+    }
+
+    // Without the passphrase these mnemonics would silently derive different keys
+    if (options.privatekey && !passphrase && entries.some(item => item.mnemonic && item.passphrase)) {
+      console.error(chalk.red('Error: These mnemonics were generated with a BIP39 passphrase. Pass it with --passphrase or --passphrase-file.'));
+      process.exit(1);
+    }
+
+    // Files of private keys have no mnemonics to keep, so they always split into private keys
+    const secretField = options.privatekey || !entries.some(item => item.mnemonic) ? 'privateKey' : 'mnemonic';
+    if (secretField === 'mnemonic') {
+      entries = entries.filter(item => item.mnemonic);
+    }
+
+    const addresses = [];
+    let secrets = [];
+    entries.forEach(item => {
+      addresses.push(item.address);
+      if (secretField === 'mnemonic' || item.privateKey) {
+        secrets.push(item[secretField]);
+        return;
+      }
+
+      // Convert to private key if requested
+      try {
+        // A derivation saved with the entry wins over --derivation
+        const itemDerivation = item.derivation ? parseDerivation(item.derivation) : derivation;
+        secrets.push(mnemonicToPrivateKey(item.mnemonic, passphrase, itemDerivation, item.accountIndex || 0));
+      } catch (err) {
+        console.warn(chalk.yellow(`Warning: Failed to convert mnemonic for address ${item.address}: ${err.message}`));
+        secrets.push(''); // Maintain array alignment
+      }
+    });
+
+    // Validate parsed data
+    if (addresses.length === 0) {
+      console.error(chalk.red(`Error: No valid addresses found in file.`));
+      process.exit(1);
+    }
+
+    // Generate output filenames
+    const outputExt = FORMAT_EXTENSIONS[outputFormat];
+    const addressesFile = path.join(addressDir, `${baseName}-addresses${outputExt}`);
+    const secretsFile = path.join(addressDir, `${baseName}-${secretField === 'privateKey' ? 'privatekeys' : 'mnemonics'}${outputExt}`);
+
+    // Secrets from an encrypted file are sealed again; addresses stay readable
+    if (createSealer) {
+      const seal = await createSealer();
+      secrets = secrets.map(secret => secret && seal(secret));
+    }
+
+    // Save split files
+    await writeFileAtomic(addressesFile, formatAddressFile(addresses, outputFormat, {column: 'address', label: options.label}));
+    await writeFileAtomic(secretsFile, formatAddressFile(secrets, outputFormat, {column: secretField, label: options.label}));
+
+    // Display results
+    const converted = options.privatekey && entries.some(item => item.mnemonic);
+    console.log(chalk.green(`✔ Successfully split ${addresses.length} entries\n`));
+    console.log(chalk.dim(`Original file format: ${chalk.cyan(detectedFormat)}`));
+    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
+    if (converted) {
+      console.log(chalk.dim(`Conversion: ${chalk.cyan('Mnemonics → Private Keys')}\n`));
+    }
+    if (createSealer) {
+      console.log(chalk.dim(`Secrets stay encrypted\n`));
+    }
+    console.log(chalk.dim(`Created files:`));
+    console.log(chalk.white(`  • ${addressesFile}`));
+    console.log(chalk.white(`  • ${secretsFile}\n`));
+
+    // Security warning for private keys
+    if (converted) {
+      console.log(chalk.yellow(`⚠️  Warning: Private keys have been exported!`));
+      console.log(chalk.yellow(`   Keep these files secure and never share them.\n`));
+    }
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Writes a plaintext copy of an address file with encrypted secrets
+ * @param {string} filename - Encrypted file
+ * @param {Object} options - Command options (filename, passwordFd, identity)
+ */
+const decryptFile = async (filename, options) => {
+  const addressDir = 'address';
+  let fullPath = path.join(addressDir, filename);
+
+  if (!fs.existsSync(fullPath)) {
+    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
+      fullPath = filename;
+    } else {
+      console.error(chalk.red(`Error: File not found: ${fullPath}`));
+      process.exit(1);
+    }
+  }
+
+  const ext = path.extname(fullPath);
+  const outputFilename = path.join(addressDir, options.filename
+    ? path.basename(options.filename, path.extname(options.filename)) + ext
+    : `${path.basename(fullPath, ext)}-decrypted${ext}`);
+
+  try {
+    const content = await fs.promises.readFile(fullPath, 'utf8');
+    const entries = (content.match(SECRET_ENVELOPE_PATTERN) || []).length + (content.match(AGE_ENVELOPE_PATTERN) || []).length;
+    if (entries === 0) {
+      throw new Error(`${fullPath} contains no encrypted secrets`);
+    }
+    await writeFileAtomic(outputFilename, (await openAddressContent(content, options)).content);
+
+    console.log(chalk.green(`✔ Decrypted ${entries} secrets\n`));
+    console.log(chalk.dim(`Output file:`));
+    console.log(chalk.white(`  • ${outputFilename}\n`));
+    console.log(chalk.yellow(`⚠️  Warning: Secrets are now stored in plaintext!`));
+    console.log(chalk.yellow(`   Keep this file secure and delete it when you no longer need it.\n`));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Writes a Solana CLI keypair file for every entry of a combined address file
+ * Mnemonics are derived the way the entry records (or --derivation), and each key must
+ * reproduce its address, so a wrong passphrase or derivation never yields a file
+ * @param {string} filename - Combined JSON, NDJSON, TXT or CSV file with mnemonics or private keys
+ * @param {Object} options - Command options (filename, passphrase, passphraseFile, derivation, passwordFd, identity)
+ */
+const exportKeypairs = async (filename, options) => {
+  const addressDir = 'address';
+  let fullPath = path.join(addressDir, filename);
+
+  if (!fs.existsSync(fullPath)) {
+    if (fs.existsSync(filename) && filename.startsWith(addressDir)) {
+      fullPath = filename;
+    } else {
+      console.error(chalk.red(`Error: File not found: ${fullPath}`));
+      process.exit(1);
+    }
+  }
+
+  let passphrase = '';
+  let derivation;
+  try {
+    passphrase = await resolvePassphrase(options);
+    derivation = parseDerivation(options.derivation);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  const outputDir = options.filename ? path.join(addressDir, path.basename(options.filename)) : addressDir;
+
+  console.log(chalk.cyan(`\nExporting keypairs from: ${fullPath}\n`));
+
+  try {
+    const format = formatOfExtension(path.extname(fullPath));
+    if (!format) {
+      throw new Error('Unsupported file format. Only .json, .ndjson, .txt and .csv files are supported.');
+    }
+
+    const {content} = await readAddressFile(fullPath, options);
+    const {entries} = parseAddressEntries(content, format);
+    if (entries.some(entry => !entry || typeof entry !== 'object')) {
+      throw new Error('export needs a combined file with an address and its secret in each entry, not a split file');
+    }
+
+    // Without the passphrase these mnemonics would silently derive different keys
+    if (!passphrase && entries.some(entry => entry.mnemonic && entry.passphrase)) {
+      throw new Error('These mnemonics were generated with a BIP39 passphrase. Pass it with --passphrase or --passphrase-file.');
+    }
+
+    await fs.promises.mkdir(outputDir, {recursive: true});
+
+    let exported = 0;
+    for (const entry of entries) {
+      try {
+        let privateKey = entry.privateKey;
+        if (!privateKey && entry.mnemonic) {
+          // A derivation saved with the entry wins over --derivation
+          const entryDerivation = entry.derivation ? parseDerivation(entry.derivation) : derivation;
+          privateKey = mnemonicToPrivateKey(entry.mnemonic, passphrase, entryDerivation, entry.accountIndex || 0);
+        }
+        if (!privateKey) {
+          // Split-key results are partial scalars or expanded keys, which keypair files cannot hold
+          throw new Error('no mnemonic or private key');
+        }
+
+        const keyFile = await writeKeypairFile(outputDir, privateKey);
+        if (path.basename(keyFile, '.json') !== entry.address) {
+          await fs.promises.unlink(keyFile);
+          throw new Error('the key does not match the address (wrong passphrase or derivation?)');
+        }
+        exported++;
+      } catch (err) {
+        console.warn(chalk.yellow(`Warning: Skipped ${entry.address}: ${err.message}`));
+      }
+    }
+
+    if (exported === 0) {
+      throw new Error('No keypairs were exported');
+    }
+
+    console.log(chalk.green(`✔ Exported ${exported} of ${entries.length} keypairs\n`));
+    console.log(chalk.dim(`Keypair files: ${chalk.cyan(path.join(outputDir, '<address>.json'))}\n`));
+    console.log(chalk.yellow(`⚠️  Warning: Keypair files hold private keys in plaintext!`));
+    console.log(chalk.yellow(`   Keep them secure and never share them.\n`));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates an age X25519 identity for --recipient encryption
+ * The identity file has the age-keygen layout, so the age tools can use it too
+ * @param {Object} options - Command options (filename)
+ */
+const generateRecipientKey = async (options) => {
+  const addressDir = 'address';
+  const filename = path.join(addressDir, options.filename
+    ? path.basename(options.filename, path.extname(options.filename)) + '.txt'
+    : `${Math.floor(Date.now() / 1000)}-identity.txt`);
+
+  if (fs.existsSync(filename)) {
+    console.error(chalk.red(`Error: ${filename} already exists and holds a secret; choose another --filename`));
+    process.exit(1);
+  }
+
+  const identity = x25519.utils.randomPrivateKey();
+  const recipient = bech32.encodeFromBytes(AGE_RECIPIENT_HRP, x25519.getPublicKey(identity));
+
+  try {
+    await fs.promises.mkdir(addressDir, {recursive: true});
+    await fs.promises.writeFile(filename, [
+      `# created: ${new Date().toISOString()}`,
+      `# public key: ${recipient}`,
+      bech32.encodeFromBytes(AGE_IDENTITY_HRP, identity).toUpperCase()
+    ].join('\n') + '\n', {mode: 0o600, flag: 'wx'});
+  } catch (err) {
+    console.error(chalk.red(`Error: Could not save identity: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.dim.green.bold(`✔ Recipient key created\n`));
+  console.log(`   Recipient: ${chalk.cyan(recipient)}`);
+  console.log(`   Identity: ${chalk.white(filename)}\n`);
+  console.log(chalk.yellow(`⚠️  Keep ${filename} offline. It decrypts every secret encrypted to this recipient.\n`));
+  console.log(chalk.bold('Grind with only the recipient:'));
+  console.log(`   solvanity generate -p <prefix> --recipient ${recipient}\n`);
+  console.log(chalk.bold('Then decrypt the results where the identity is kept:'));
+  console.log(`   solvanity decrypt <file> --identity ${filename}\n`);
+};
+
+/**
+ * Indexes of the global flags in the control block
+ */
+const CONTROL_STOP = 0;       // Set once every worker should stop
+const CONTROL_BATCH_SIZE = 1; // Addresses per worker iteration, adjustable at runtime
+
+/**
+ * Opens typed views on the control block shared by the main thread and its workers
+ *
+ * Layout: two Int32 global flags, one Int32 found counter per pattern, one Int32
+ * retire flag per worker slot, padding to 8 bytes, then one 64-bit attempt counter
+ * per worker slot. Workers write only their own attempt counter; found counters
+ * are claimed with Atomics.add.
+ *
+ * @param {SharedArrayBuffer|null} buffer - Existing block, or null to allocate one
+ * @param {number} patternCount - Number of patterns searched
+ * @param {number} slotCount - Most workers that can run at once
+ * @returns {Object} {buffer, flags, found, retired, attempts}
+ */
+const openControlBlock = (buffer, patternCount, slotCount) => {
+  const int32Count = 2 + patternCount + slotCount;
+  const attemptsOffset = Math.ceil(int32Count / 2) * 8;
+  const block = buffer || new SharedArrayBuffer(attemptsOffset + slotCount * 8);
+  return {
+    buffer: block,
+    flags: new Int32Array(block, 0, 2),
+    found: new Int32Array(block, 8, patternCount),
+    retired: new Int32Array(block, 8 + patternCount * 4, slotCount),
+    attempts: new BigInt64Array(block, attemptsOffset, slotCount)
+  };
+};
+
+/**
+ * Manages worker threads for parallel address generation
+ * Handles worker lifecycle, health monitoring, and automatic restarts
+ * Attempts, found counts and the stop signal live in a shared control block,
+ * so totals are exact and workers stop without waiting for a message
+ */
+class WorkerManager {
+  /**
+   * @param {number} threadCount - Number of worker threads to create
+   * @param {Object} workerData - Data to pass to each worker
+   * @param {Function} onMessage - Callback for worker messages
+   * @param {number} [maxThreads=threadCount] - Most workers addWorker may run at once
+   */
+  constructor(threadCount, workerData, onMessage, maxThreads = threadCount) {
+    this.threadCount = threadCount;
+    this.maxThreads = Math.max(maxThreads, threadCount);
+    this.workerData = workerData;
+    this.onMessage = onMessage;
+    this.workers = new Map();        // Map of worker ID to worker instance
+    this.retiring = new Set();       // IDs of workers asked to stop that have not exited yet
+    this.isShuttingDown = false;     // Flag to prevent new workers during shutdown
+    // Counters survive worker exits and restarts, so nothing already counted is lost
+    this.control = openControlBlock(null, workerData.patterns.length, this.maxThreads);
+    Atomics.store(this.control.flags, CONTROL_BATCH_SIZE, CONFIG.BATCH_SIZE);
+  }
+
+  /**
+   * Starts all worker threads
+   */
+  async start() {
+    for (let i = 0; i < this.threadCount; i++) {
+      await this.createWorker(i);
+    }
+  }
+
+  /**
+   * Creates a single worker thread
+   * @param {number} id - Worker ID
+   * @private
+   */
+  async createWorker(id) {
+    // Don't create workers during shutdown
+    if (this.isShuttingDown) return;
+
+    try {
+      const worker = new Worker(import.meta.url, {
+        // Workers that count through values need to know their slot, and a replacement for
+        // a failed or retired worker continues after the values its slot already tried
+        workerData: {
+          ...this.workerData, workerId: id, workerCount: this.threadCount, control: this.control.buffer, controlSlots: this.maxThreads,
+          previousAttempts: Atomics.load(this.control.attempts, id).toString()
+        }
+      });
+
+      // Store worker
+      this.workers.set(id, worker);
+
+      // Forward worker messages to callback
+      worker.on('message', (message) => {
+        this.onMessage(message, id);
+      });
+
+      // Handle worker errors
+      worker.on('error', (err) => {
+        console.error(chalk.red(`Worker ${id} error: ${err.message}`));
+        // Only attempt to handle failure if not shutting down
+        if (!this.isShuttingDown) {
+          this.handleWorkerFailure(id);
+        }
+      });
+
+      // Handle worker exit
+      worker.on('exit', (code) => {
+        if (code !== 0 && !this.isShuttingDown) {
+          console.warn(chalk.yellow(`Worker ${id} exited with code ${code}`));
+          this.handleWorkerFailure(id);
+        }
+        // Remove worker from map on exit
+        this.workers.delete(id);
+        this.retiring.delete(id);
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`Failed to create worker ${id}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Handles worker failure by attempting to restart it
+   * @param {number} id - ID of failed worker
+   * @private
+   */
+  async handleWorkerFailure(id) {
+    // Don't restart during shutdown
+    if (this.isShuttingDown) return;
+
+    // Get the worker before removing it
+    const worker = this.workers.get(id);
+    
+    // Remove failed worker from tracking
+    this.workers.delete(id);
+
+    // Only attempt restart if we had a valid worker and not shutting down
+    if (worker && !this.isShuttingDown) {
+      // Attempt to restart after delay
+      console.log(chalk.yellow(`Attempting to restart worker ${id}...`));
+      setTimeout(() => {
+        if (!this.isShuttingDown) {
+          this.createWorker(id);
+        }
+      }, 1000);
+    }
+  }
+
+  /**
+   * Gets the number of workers currently searching
+   * @returns {number} Running workers, not counting those being retired
+   */
+  getActiveCount() {
+    return this.workers.size - this.retiring.size;
+  }
+
+  /**
+   * Starts one more worker in the first free slot
+   * @returns {Promise<boolean>} False if every slot is taken or the pool is shutting down
+   */
+  async addWorker() {
+    if (this.isShuttingDown) return false;
+
+    for (let id = 0; id < this.maxThreads; id++) {
+      if (this.workers.has(id)) continue;
+      Atomics.store(this.control.retired, id, 0);
+      await this.createWorker(id);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Asks the highest-numbered active worker to stop after its current address
+   * Its attempts stay counted; the exit is clean, so it is not restarted
+   * @returns {boolean} False if only one worker is left
+   */
+  retireWorker() {
+    if (this.getActiveCount() <= 1) return false;
+
+    const id = Math.max(...[...this.workers.keys()].filter(id => !this.retiring.has(id)));
+    this.retiring.add(id);
+    Atomics.store(this.control.retired, id, 1);
+    return true;
+  }
+
+  /**
+   * Changes how many addresses each worker processes per iteration
+   * Workers pick the new size up at the start of their next batch
+   * @param {number} size - Addresses per batch
+   */
+  setBatchSize(size) {
+    Atomics.store(this.control.flags, CONTROL_BATCH_SIZE, size);
+  }
+
+  /**
+   * Gets the current batch size
+   * @returns {number} Addresses per batch
+   */
+  getBatchSize() {
+    return Atomics.load(this.control.flags, CONTROL_BATCH_SIZE);
+  }
+
+  /**
+   * Gets total addresses generated across all workers, read straight from the control block
+   * @returns {number} Total addresses generated
+   */
+  getTotalAddresses() {
+    let total = 0n;
+    for (let id = 0; id < this.maxThreads; id++) {
+      total += Atomics.load(this.control.attempts, id);
+    }
+    return Number(total);
+  }
+
+  /**
+   * Gracefully shuts down all workers
+   * Raises the stop flag and waits for workers to exit
+   */
+  async shutdown() {
+    // Prevent multiple shutdown calls
+    if (this.isShuttingDown) return;
+    
+    this.isShuttingDown = true;
+    const shutdownPromises = [];
+
+    // Raise the stop flag; workers check it before every candidate
+    Atomics.store(this.control.flags, CONTROL_STOP, 1);
+
+    for (const [id, worker] of this.workers) {
+      shutdownPromises.push(
+        new Promise((resolve) => {
+          try {
+            // Check if worker is still active before sending message
+            if (worker.threadId !== -1) {
+              // Force terminate after 5 seconds
+              const timeout = setTimeout(() => {
+                try {
+                  worker.terminate();
+                } catch (err) {
+                  // Worker may already be terminated
+                }
+                resolve();
+              }, 5000);
+
+              // Use 'once' to ensure we only add one listener
+              worker.once('exit', () => {
+                clearTimeout(timeout);
+                resolve();
+              });
+            } else {
+              // Worker already terminated
+              resolve();
+            }
+          } catch (err) {
+            // If any error occurs (worker already terminated, etc.), just resolve
+            resolve();
+          }
+        })
+      );
+    }
+
+    // Wait for all workers to shut down
+    await Promise.all(shutdownPromises);
+
+    // Clear internal state
+    this.workers.clear();
+  }
+}
+
+/**
+ * Tunes a running worker pool for throughput
+ * Warms up, then hill-climbs the thread count and the batch size one change at a
+ * time, keeping a change only if it measurably helps. Once settled it keeps
+ * watching throughput and retunes after a sustained drop, such as thermal throttling.
+ * Every decision is logged for the --stats output.
+ */
+class AutoTuner {
+  /**
+   * @param {WorkerManager} workerManager - Running pool to tune
+   */
+  constructor(workerManager) {
+    this.workerManager = workerManager;
+    this.decisions = [];    // {elapsedSeconds, message} in the order they were made
+    this.phase = 'warming up';
+    this.stopped = false;
+    this.timer = null;
+    this.startTime = performance.now();
+  }
+
+  /**
+   * Starts tuning in the background
+   */
+  start() {
+    this.run().catch(err => this.log(`Stopped after an error: ${err.message}`));
+  }
+
+  /**
+   * Stops tuning and leaves the pool as it is
+   * The setup is remembered, since the pool is usually shut down next
+   */
+  stop() {
+    if (this.stopped) return;
+    this.finalSetup = this.describeSetup();
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Describes the current setup
+   * @returns {string} Threads and batch size
+   */
+  describeSetup() {
+    const threads = this.workerManager.getActiveCount();
+    return `${threads} thread${threads === 1 ? '' : 's'}, batch ${this.workerManager.getBatchSize()}`;
+  }
+
+  /**
+   * Describes the current setup and what the tuner is doing
+   * @returns {string} Threads, batch size and phase
+   */
+  describe() {
+    return this.stopped ? `${this.finalSetup} (stopped while ${this.phase})` : `${this.describeSetup()} (${this.phase})`;
+  }
+
+  /**
+   * Records a tuning decision
+   * @param {string} message - What was decided and why
+   * @private
+   */
+  log(message) {
+    this.decisions.push({elapsedSeconds: (performance.now() - this.startTime) / 1000, message});
+  }
+
+  /**
+   * Waits unless tuning has been stopped
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<boolean>} False if tuning was stopped meanwhile
+   * @private
+   */
+  async wait(ms) {
+    if (this.stopped) return false;
+    await new Promise(resolve => {
+      this.timer = setTimeout(resolve, ms);
+    });
+    return !this.stopped;
+  }
+
+  /**
+   * Measures throughput of the current setup after letting it settle
+   * @param {number} windowMs - Measurement window
+   * @returns {Promise<number|null>} Addresses per second, or null if tuning was stopped
+   * @private
+   */
+  async measure(windowMs) {
+    if (!await this.wait(CONFIG.AUTO_TUNE_SETTLE)) return null;
+
+    const startTotal = this.workerManager.getTotalAddresses();
+    const startTime = performance.now();
+    if (!await this.wait(windowMs)) return null;
+    return (this.workerManager.getTotalAddresses() - startTotal) / ((performance.now() - startTime) / 1000);
+  }
+
+  /**
+   * Adds or retires workers until the pool has the given size
+   * @param {number} threads - Target number of workers
+   * @private
+   */
+  async setThreads(threads) {
+    while (this.workerManager.getActiveCount() < threads && await this.workerManager.addWorker());
+    while (this.workerManager.getActiveCount() > threads && this.workerManager.retireWorker());
+  }
+
+  /**
+   * Hill-climbs one setting from its current value, first upward and then downward
+   * @param {string} label - Setting name for the decision log
+   * @param {number} speed - Measured speed of the current value
+   * @param {Function} current - Returns the current value
+   * @param {Function} neighbour - Returns the next value in a direction (1 or -1), or null at a limit
+   * @param {Function} apply - Applies a value
+   * @returns {Promise<number|null>} Speed of the value kept, or null if tuning was stopped
+   * @private
+   */
+  async climb(label, speed, current, neighbour, apply) {
+    let best = speed;
+    for (const direction of [1, -1]) {
+      let improved = false;
+      for (let value = current(), next = neighbour(value, direction); next !== null; value = next, next = neighbour(value, direction)) {
+        await apply(next);
+        const nextSpeed = await this.measure(CONFIG.AUTO_TUNE_WINDOW);
+        if (nextSpeed === null) return null;
+
+        const change = `${((nextSpeed / best - 1) * 100).toFixed(1)}%`;
+        if (nextSpeed > best * (1 + CONFIG.AUTO_TUNE_MIN_GAIN)) {
+          this.log(`${label} ${value} → ${next}: ${Math.round(nextSpeed).toLocaleString()} addr/s (+${change}), kept`);
+          best = nextSpeed;
+          improved = true;
+        } else {
+          this.log(`${label} ${value} → ${next}: ${Math.round(nextSpeed).toLocaleString()} addr/s (${nextSpeed > best ? '+' : ''}${change}), back to ${value}`);
+          await apply(value);
+          break;
+        }
+      }
+      // A setting that improved going up is not tried lower
+      if (improved) break;
+    }
+    return best;
+  }
+
+  /**
+   * Tunes thread count, then batch size, starting from the current setup
+   * @param {number} speed - Measured speed of the current setup
+   * @returns {Promise<number|null>} Speed of the tuned setup, or null if tuning was stopped
+   * @private
+   */
+  async tune(speed) {
+    const {maxThreads} = this.workerManager;
+    this.phase = 'tuning threads';
+    speed = await this.climb('Threads', speed,
+      () => this.workerManager.getActiveCount(),
+      (threads, direction) => {
+        const next = threads + direction * Math.max(1, Math.round(threads / 4));
+        return next >= 1 && next <= maxThreads ? next : null;
+      },
+      (threads) => this.setThreads(threads));
+    if (speed === null) return null;
+
+    this.phase = 'tuning batch size';
+    speed = await this.climb('Batch size', speed,
+      () => this.workerManager.getBatchSize(),
+      (size, direction) => {
+        const next = direction > 0 ? size * 2 : Math.floor(size / 2);
+        return next >= 10 && next <= 10000 ? next : null;
+      },
+      (size) => this.workerManager.setBatchSize(size));
+    if (speed === null) return null;
+
+    this.phase = 'watching';
+    this.log(`Settled on ${this.describeSetup()}: ${Math.round(speed).toLocaleString()} addr/s`);
+    return speed;
+  }
+
+  /**
+   * Warm-up, initial tuning, then watching for sustained slowdowns
+   * @private
+   */
+  async run() {
+    if (!await this.wait(CONFIG.AUTO_TUNE_WARMUP)) return;
+
+    const warmSpeed = await this.measure(CONFIG.AUTO_TUNE_WINDOW);
+    if (warmSpeed === null) return;
+    this.log(`Warm-up: ${this.describeSetup()}: ${Math.round(warmSpeed).toLocaleString()} addr/s`);
+
+    let tunedSpeed = await this.tune(warmSpeed);
+    let slowChecks = 0;
+    while (tunedSpeed !== null) {
+      const speed = await this.measure(CONFIG.AUTO_TUNE_WATCH_INTERVAL);
+      if (speed === null) return;
+
+      slowChecks = speed < tunedSpeed * CONFIG.AUTO_TUNE_SLOWDOWN ? slowChecks + 1 : 0;
+      if (slowChecks >= 2) {
+        this.log(`Throughput fell to ${Math.round(speed).toLocaleString()} addr/s (${(speed / tunedSpeed * 100).toFixed(0)}% of tuned), retuning`);
+        slowChecks = 0;
+        tunedSpeed = await this.tune(speed);
+      }
+    }
+  }
+}
+
+/**
+ * Exit codes of a generation run, so scripts can tell how it ended
+ */
+const EXIT_CODES = {
+  COMPLETE: 0,    // Every requested address was found
+  ERROR: 1,       // Invalid input, I/O failure or interrupted by a signal
+  PARTIAL: 2,     // A time or attempt limit stopped the run after some matches
+  NONE_FOUND: 3   // A time or attempt limit stopped the run before any match
+};
+
+/**
+ * Checkpoint file format version, bumped whenever the layout changes
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Reads and validates a checkpoint written by generate --checkpoint
+ * Checkpoints only hold public data: patterns, found addresses and counters
+ * @param {string} fullPath - Path to the checkpoint file
+ * @returns {Promise<Object>} Parsed checkpoint state
+ * @throws {Error} If the file is not a usable checkpoint
+ */
+const readCheckpoint = async (fullPath) => {
+  const state = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+
+  if (!state || typeof state !== 'object' || state.version !== CHECKPOINT_VERSION) {
+    throw new Error(`unsupported checkpoint version (expected ${CHECKPOINT_VERSION})`);
+  }
+  if (!state.options || !Array.isArray(state.patterns) || state.patterns.length === 0) {
+    throw new Error('missing search options or patterns');
+  }
+  if (!Array.isArray(state.outputs) || state.outputs.length !== state.patterns.length) {
+    throw new Error('output files do not match the patterns');
+  }
+  if (!Array.isArray(state.found) || !Number.isFinite(state.totalAttempts) || !Number.isFinite(state.elapsedSeconds)) {
+    throw new Error('missing progress counters');
+  }
+
+  return state;
+};
+
+/**
+ * Main function to generate vanity addresses
+ * Coordinates workers, handles I/O, and manages the generation process
+ * @param {Object} options - Generation options from command line
+ */
+const generateVanityAddresses = async (options) => {
+  // Extract and validate options
+  const prefix = options.prefix || '';
+  const suffix = options.suffix || '';
+  const ignoreCase = options.ignoreCase || false;
+  const regexExpr = options.regex || '';
+  const patternsFile = options.patterns || null;
+  const isMultiPattern = patternsFile !== null;
+  const collectStats = options.stats || false;
+  const resumeState = options.resumeState || null;
+  const cpuCount = os.cpus().length;
+  const maxRecommendedThreads = cpuCount * CONFIG.THREAD_MULTIPLIER;
+
+  // Every run searches a list of patterns; a single -p/-x run is a list of one
+  let patterns = [{prefix, suffix, count: options.count || 1}];
+
+  if (resumeState) {
+    // The checkpoint holds the parsed patterns, so the pattern file may be gone
+    patterns = resumeState.patterns.map(({prefix, suffix, count}) => ({prefix, suffix, count}));
+  } else if (isMultiPattern) {
+    if (prefix || suffix || regexExpr) {
+      console.error(chalk.red('Error: --patterns cannot be combined with --prefix, --suffix or --regex'));
+      process.exit(1);
+    }
+
+    try {
+      const content = await fs.promises.readFile(patternsFile, 'utf8');
+      patterns = parsePatternFile(content, options.count || 1, ignoreCase);
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid pattern file ${patternsFile}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Track matches per pattern so completed patterns can be dropped
+  patterns.forEach((pattern, index) => {
+    pattern.label = formatPatternLabel(pattern.prefix, pattern.suffix);
+    pattern.found = resumeState ? Math.min(resumeState.patterns[index].found, pattern.count) : 0;
+  });
+
+  // A resumed run only needs the matches its checkpoint is still missing
+  const previouslyFound = patterns.reduce((sum, pattern) => sum + pattern.found, 0);
+  const count = patterns.reduce((sum, pattern) => sum + pattern.count, 0) - previouslyFound;
+
+  // Check if this is a simple random address generation (no prefix/suffix/regex)
+  const isRandomGeneration = !isMultiPattern && !prefix && !suffix && !regexExpr;
+  
+  // Use only 1 thread for random generation, otherwise use specified or default thread count
+  const threadCount = isRandomGeneration ? 1 : (options.threads || cpuCount);
+  // Auto-tuning starts from that count and may go up to the recommended maximum
+  const autoTune = Boolean(options.autoTune) && !isRandomGeneration;
+  
+  const outputMode = options.output || 'combined';
+  const outputFormat = options.format || 'json';
+  const showQRCodes = options.qr || false;
+  const rawMode = options.raw || false;
+  // Raw keypairs have no mnemonic and keypair files hold keys, so the private key is the secret saved
+  const outputPrivateKeys = options.privatekey || rawMode || outputFormat === 'keypair';
+  // Split-key searches only ever hold the grinder's partial scalar
+  const splitKey = options.splitKey || null;
+  const wordCount = options.words || 12;
+  const accountCount = options.accounts || 1;
+  let outputFilename = options.filename || null;
+  let secretFilename = null; // For split mode
+  let checkpointFilename = null;
+  // CSV label column, numbered with "{n}"; split secret files name their column after the secret
+  const label = options.label || null;
+  const secretField = splitKey ? 'partialKey' : outputPrivateKeys ? 'privateKey' : 'mnemonic';
+
+  // Mnemonic length, passphrase and derivation only matter when keys come from a mnemonic
+  let passphrase = '';
+  let derivation;
+  try {
+    passphrase = await resolvePassphrase(options);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+  try {
+    // Checkpoints store a missing --derivation as null, which would bypass the default
+    derivation = parseDerivation(options.derivation ?? undefined);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid --derivation: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (label && outputFormat !== 'csv') {
+    console.error(chalk.red('Error: --label adds a column to CSV files and needs -f csv'));
+    process.exit(1);
+  }
+
+  // Keypair files are full plaintext keys that the Solana CLI reads, one file per address
+  if (outputFormat === 'keypair' && outputMode !== 'display') {
+    if (outputMode === 'split') {
+      console.error(chalk.red('Error: -f keypair stores each address with its key, it cannot be used with -o split'));
+      process.exit(1);
+    }
+    if (splitKey) {
+      console.error(chalk.red('Error: -f keypair needs complete keys; finish split-key results with "splitkey combine", then run "export"'));
+      process.exit(1);
+    }
+    if (options.encrypt || options.recipient || options.recipientsFile) {
+      console.error(chalk.red('Error: keypair files cannot be encrypted; save encrypted JSON and run "export" where the keys are needed'));
+      process.exit(1);
+    }
+  }
+
+  if (!MNEMONIC_WORD_COUNTS.includes(wordCount)) {
+    console.error(chalk.red(`Error: --words must be one of ${MNEMONIC_WORD_COUNTS.join(', ')}`));
+    process.exit(1);
+  }
+
+  if (rawMode && (options.words || passphrase)) {
+    console.error(chalk.red('Error: --words and --passphrase cannot be used with --raw, which has no mnemonic'));
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(accountCount) || accountCount < 1 || accountCount > 2 ** 31) {
+    console.error(chalk.red('Error: --accounts must be a positive number'));
+    process.exit(1);
+  }
+
+  if (rawMode && (accountCount > 1 || options.derivation)) {
+    console.error(chalk.red('Error: --accounts and --derivation cannot be used with --raw, which has no mnemonic to derive keys from'));
+    process.exit(1);
+  }
+
+  if (accountCount > 1 && !(derivation.template || '').includes('{account}')) {
+    console.error(chalk.red(`Error: --accounts needs a derivation with an {account} index, "${derivation.name}" has none`));
+    process.exit(1);
+  }
+
+  // A mnemonic alone does not say which account matched, so it must be saved alongside
+  if (accountCount > 1 && !outputPrivateKeys && (outputMode === 'split' || (outputFormat === 'txt' && outputMode !== 'display'))) {
+    console.error(chalk.red('Error: --accounts needs combined JSON, NDJSON or CSV output to record the account index of each mnemonic (or use -k to save private keys)'));
+    process.exit(1);
+  }
+
+  // ATA mode matches the token account address, which must be saved next to its wallet
+  let ata = null;
+  if (options.ataMint) {
+    try {
+      ata = {
+        mint: new PublicKey(options.ataMint).toBase58(),
+        tokenProgram: TOKEN_PROGRAMS[options.token2022 ? 'token-2022' : 'token']
+      };
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid --ata-mint: ${options.ataMint}`));
+      process.exit(1);
+    }
+
+    if (outputMode === 'split' || (outputFormat === 'txt' && outputMode !== 'display')) {
+      console.error(chalk.red('Error: --ata-mint needs combined JSON, NDJSON or CSV output to save each token account with its wallet'));
+      process.exit(1);
+    }
+  } else if (options.token2022) {
+    console.error(chalk.red('Error: --token-2022 only applies together with --ata-mint'));
+    process.exit(1);
+  }
+
+  if (splitKey) {
+    try {
+      parseSplitKeyPoint(splitKey);
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid --split-key: ${err.message}`));
+      process.exit(1);
+    }
+
+    if (rawMode || outputPrivateKeys || options.words || passphrase || accountCount > 1 || options.derivation || ata) {
+      console.error(chalk.red('Error: --split-key cannot be combined with --raw, -k, --words, --passphrase, --accounts, --derivation or --ata-mint'));
+      process.exit(1);
+    }
+  }
+
+  // Split-key candidates are curve points, so only keypair searches need a backend
+  let keyBackend = {name: 'web3', label: 'web3'};
+  if (!splitKey) {
+    try {
+      keyBackend = selectKeyBackend(options.backend);
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid --backend: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (resumeState && resumeState.options.passphraseRequired && !passphrase) {
+    console.error(chalk.red('Error: This search uses a BIP39 passphrase. Pass it again with --passphrase or --passphrase-file.'));
+    process.exit(1);
+  }
+
+  // Secrets are sealed before they reach a file; the password itself is never saved
+  const encrypt = Boolean(options.encrypt);
+  let recipients = [];
+  let password = null;
+  let sealSecret = null;
+  try {
+    recipients = await resolveRecipients(options);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid --recipient: ${err.message}`));
+    process.exit(1);
+  }
+  if (encrypt || recipients.length > 0) {
+    if (encrypt && recipients.length > 0) {
+      console.error(chalk.red('Error: use either --encrypt or --recipient, not both'));
+      process.exit(1);
+    }
+    if (outputMode === 'display') {
+      console.error(chalk.red('Error: --encrypt and --recipient need an output file, they cannot be used with -o display'));
+      process.exit(1);
+    }
+    try {
+      if (encrypt) {
+        password = await readPassword(options, !resumeState);
+        sealSecret = await createSecretSealer(password);
+      } else {
+        sealSecret = createAgeSealer(recipients.map(({key}) => key));
+      }
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Validate prefix/suffix constraints
+  if (!isValidBase58(prefix, ignoreCase) || !isValidBase58(suffix, ignoreCase)) {
+    try {
+      parseVanityPattern(prefix, ignoreCase);
+      parseVanityPattern(suffix, ignoreCase);
+    } catch (err) {
+      console.error(`Error: Prefix and suffix must contain only valid Base58 characters (${err.message})`);
+    }
+    process.exit(1);
+  }
+
+  // Patterns are measured in address positions, so "[Ss]ol" counts as 3
+  const prefixPositions = parseVanityPattern(prefix, ignoreCase);
+  const suffixPositions = parseVanityPattern(suffix, ignoreCase);
+
+  if (prefixPositions.length > 7) {
+    console.error('Error: Prefix must be 7 characters or less');
+    process.exit(1);
+  }
+
+  if (suffixPositions.length > 7) {
+    console.error('Error: Suffix must be 7 characters or less');
+    process.exit(1);
+  }
+
+  // Compile and sanity-check the regular expression before any output file is created
+  let regex = null;
+  let regexLabel = null;
+  if (regexExpr) {
+    try {
+      regex = parseRegexOption(regexExpr);
+      validateAddressRegex(regex.source, regex.flags);
+      regexLabel = `/${regex.source}/${regex.flags}`;
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid regex ${regexExpr}: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Optional budgets that stop this run early, e.g. for scheduled CI jobs
+  let timeoutSeconds = null;
+  let maxAttempts = null;
+  if (options.timeout !== undefined) {
+    try {
+      timeoutSeconds = parseDuration(options.timeout);
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid --timeout: ${err.message}`));
+      process.exit(1);
+    }
+  }
+  if (options.maxAttempts !== undefined) {
+    maxAttempts = Number(options.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts <= 0) {
+      console.error(chalk.red(`Error: Invalid --max-attempts: expected a positive whole number, got "${options.maxAttempts}"`));
+      process.exit(1);
+    }
+  }
+
+  // Add this validation after threadCount assignment:
+  // Only show thread warning for vanity generation (random generation always uses 1 thread)
+  if (!isRandomGeneration && threadCount > maxRecommendedThreads) {
+    console.warn(chalk.yellow(`Warning: Using ${threadCount} threads (more than ${maxRecommendedThreads} recommended for your ${cpuCount}-core CPU). This may degrade performance.`));
+  }
+
+  // Ensure address directory exists
+  const addressDir = 'address';
+  try {
+    await fs.promises.mkdir(addressDir, { recursive: true });
+  } catch (err) {
+    console.error(chalk.red(`Error creating address directory: ${err.message}`));
+    process.exit(1);
+  }
+
+  // Checkpoints live next to the output files and are never overwritten by a new search
+  if (options.checkpoint) {
+    if (outputMode === 'display') {
+      console.error(chalk.red('Error: --checkpoint needs an output file, it cannot be used with -o display'));
+      process.exit(1);
+    }
+
+    checkpointFilename = path.join(addressDir, path.basename(options.checkpoint));
+    if (!resumeState && fs.existsSync(checkpointFilename)) {
+      console.error(chalk.red(`Error: Checkpoint ${checkpointFilename} already exists. Continue it with: solvanity resume ${path.basename(checkpointFilename)}`));
+      process.exit(1);
+    }
+  }
+
+  // Keypair files go to address/, or to a subdirectory named by --filename
+  if (outputFormat === 'keypair' && outputMode !== 'display') {
+    outputFilename = outputFilename ? path.join(addressDir, path.basename(outputFilename)) : addressDir;
+  }
+
+  // Generate default filename if needed
+  if ((outputMode === 'combined' || outputMode === 'both' || outputMode === 'split') && !outputFilename) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const extension = FORMAT_EXTENSIONS[outputFormat];
+    outputFilename = `${timestamp}-address${extension}`;
+    
+    // For split mode, also generate secret filename
+    if (outputMode === 'split') {
+      const secretType = splitKey ? 'partialkeys' : outputPrivateKeys ? 'privatekeys' : 'mnemonics';
+      secretFilename = `${timestamp}-secret-${secretType}${extension}`;
+    }
+  }
+
+  // Process filename for file output modes
+  if ((outputMode === 'combined' || outputMode === 'both' || outputMode === 'split') && outputFormat !== 'keypair') {
+    // Extract basename if path is included
+    if (outputFilename.includes(path.sep)) {
+      outputFilename = path.basename(outputFilename);
+    }
+
+    // Ensure correct file extension
+    const currentExt = path.extname(outputFilename).toLowerCase();
+    const expectedExt = FORMAT_EXTENSIONS[outputFormat];
+
+    if (currentExt !== expectedExt) {
+      const baseName = path.basename(outputFilename, currentExt);
+      outputFilename = baseName + expectedExt;
+    }
+
+    // A custom split filename names the secrets file after it
+    if (outputMode === 'split' && !secretFilename) {
+      const secretType = splitKey ? 'partialkeys' : outputPrivateKeys ? 'privatekeys' : 'mnemonics';
+      secretFilename = `${path.basename(outputFilename, expectedExt)}-${secretType}${expectedExt}`;
+    }
+
+    // Add address directory prefix
+    outputFilename = path.join(addressDir, outputFilename);
+    
+    // Process secret filename for split mode
+    if (outputMode === 'split' && secretFilename) {
+      secretFilename = path.join(addressDir, secretFilename);
+    }
+  }
+
+  // A resumed run appends to the files the checkpoint was writing
+  if (resumeState) {
+    ({outputFilename, secretFilename} = resumeState.outputs[0]);
+  }
+
+  // Keypair output is a directory; show the files it will hold
+  const describeOutput = (filename) => outputFormat === 'keypair' ? path.join(filename, '<address>.json') : filename;
+
+  // Initialize one output target (buffer + files) per pattern
+  const outputTargets = patterns.map((pattern, index) => {
+    const target = {
+      ...(resumeState ? resumeState.outputs[index] : {
+        // Keypair files are named by address, so every pattern shares the directory
+        outputFilename: isMultiPattern && outputFilename && outputFormat !== 'keypair' ? patternFilename(outputFilename, index, pattern) : outputFilename,
+        secretFilename: isMultiPattern && secretFilename ? patternFilename(secretFilename, index, pattern) : secretFilename
+      }),
+      fileQueue: new FileOperationQueue()
+    };
+    target.outputWriter = outputMode === 'display' ? null
+      : outputFormat === 'keypair' ? new KeypairFileWriter(target.outputFilename)
+        : new AddressFileWriter(target.outputFilename, outputFormat, {label});
+    target.secretWriter = outputMode === 'split'
+      ? new AddressFileWriter(target.secretFilename, outputFormat, {column: secretField, label})
+      : null;
+    return target;
+  });
+  const checkpointQueue = new FileOperationQueue();
+
+  /**
+   * Appends buffered results to a target's files; every output mode goes through here
+   * Split mode stores addresses and secrets in separate files, TXT lines are address:secret
+   * @param {Object} target - Output target
+   * @param {Object[]} items - Buffered result items
+   */
+  const writeResults = async ({outputWriter, secretWriter}, items) => {
+    if (items.length === 0) return;
+    const seal = sealSecret || ((secret) => secret);
+    const secretOf = (item) => seal(item.privateKey || item.mnemonic || item.partialKey);
+
+    if (outputMode === 'split') {
+      await outputWriter.append(items.map(item => item.address));
+      await secretWriter.append(items.map(secretOf));
+    } else if (outputFormat === 'txt') {
+      await outputWriter.append(items.map(item => `${item.address}:${secretOf(item)}`));
+    } else {
+      await outputWriter.append(sealSecret ? items.map(item => sealItem(item, sealSecret)) : items);
+    }
+  };
+
+  for (const target of outputTargets) {
+    if (!target.outputWriter) continue;
+
+    // Full buffers are written as soon as they fill up
+    target.fileQueue.setSaveCallback((items) => target.fileQueue.enqueue(() => writeResults(target, items)));
+
+    // Secrets sealed with another password would be unreadable next to the new ones
+    for (const filename of [target.outputFilename, target.secretFilename]) {
+      const sealed = password && filename && fs.existsSync(filename)
+        ? fs.readFileSync(filename, 'utf8').match(new RegExp(SECRET_ENVELOPE_PATTERN.source))
+        : null;
+      if (sealed) {
+        try {
+          await openSealedSecrets(sealed[0], password);
+        } catch {
+          console.error(chalk.red(`Error: The password does not open the secrets already in ${filename}`));
+          process.exit(1);
+        }
+      }
+    }
+
+    // Create the files, or continue (and repair) the ones a checkpoint or earlier run left behind
+    try {
+      await target.outputWriter.open(!resumeState);
+      await target.secretWriter?.open(!resumeState);
+    } catch (err) {
+      console.error(chalk.red(`Error initializing output file: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  // Exact per-address match odds for each pattern; unknown when a regex narrows the search
+  patterns.forEach(pattern => {
+    pattern.probability = regexLabel ? null : calculateMatchProbability(
+      parseVanityPattern(pattern.prefix, ignoreCase),
+      parseVanityPattern(pattern.suffix, ignoreCase)
+    );
+  });
+
+  // Warn about large generation counts
+  if (count > 1000) {
+    console.warn(chalk.yellow(`Warning: Generating a large number of addresses (${count}). This may take a while.`));
+  }
+
+  // Initialize tracking variables
+  const results = [];
+  // Public record of every match across resumed sessions, saved in checkpoints
+  const foundAddresses = resumeState ? [...resumeState.found] : [];
+  const previousAttempts = resumeState ? resumeState.totalAttempts : 0;
+  const previousElapsedSeconds = resumeState ? resumeState.elapsedSeconds : 0;
+  const startTimeNs = Bun.nanoseconds();
+  const startTimeMs = performance.now();
+  let isCompleting = false; // Flag to prevent multiple completion calls
+  let hasCompleted = false; // Flag to track if we've already completed
+
+  // Initialize performance tracking
+  let performanceData = collectStats ? {
+    total: 0,
+    seed: 0,
+    derive: 0,
+    keypair: 0,
+    samples: 0
+  } : null;
+
+  // Candidates rejected on raw key bytes before Base58 encoding, summed across workers
+  const prefilterData = {checked: 0, skipped: 0, time: 0, encodeTime: 0};
+
+  /**
+   * Describes the encoding work the raw-byte prefilter saved
+   * @returns {string|null} Summary line, or null before any candidate was checked
+   */
+  const formatPrefilterSavings = () => {
+    if (prefilterData.checked === 0) return null;
+    const skipped = prefilterData.skipped / prefilterData.checked * 100;
+    const saved = (prefilterData.skipped * prefilterData.encodeTime - prefilterData.time) / prefilterData.checked;
+    return `Base58 prefilter: ${skipped.toFixed(1)}% of candidates skipped encoding, saving ${saved.toFixed(4)} ms per address`;
+  };
+
+  // Raw mode replaces the mnemonic seed and HD derivation stages with a single random seed draw
+  const seedStageLabel = rawMode ? 'Entropy' : 'Seed';
+
+  // Display system information
+  console.log(chalk.dim(`CPU: ${chalk.cyan(os.cpus()[0].model + " [" + os.machine() + "]")}`));
+  console.log(chalk.dim(`CPU cores: ${chalk.cyan(os.cpus().length)}`));
+  
+  // Show thread count - for random generation it's always 1
+  if (isRandomGeneration) {
+    console.log(chalk.dim(`Threads spawned: ${chalk.cyan('1')} (optimized for random generation)`));
+  } else {
+    console.log(chalk.dim(`Threads spawned: ${chalk.cyan(threadCount)}${autoTune ? ` (auto-tuning between 1 and ${Math.max(threadCount, maxRecommendedThreads)})` : ''}`));
+  }
+  
+  if (isMultiPattern) {
+    console.log(chalk.dim(`Patterns: ${chalk.cyan(patterns.length)} (from ${patternsFile})`));
+    patterns.forEach((pattern, index) => {
+      console.log(chalk.dim(`  ${String(index + 1).padStart(2)}. ${chalk.cyan(pattern.label)} × ${pattern.count} (1 in ${Math.round(1 / pattern.probability).toLocaleString()})`));
+    });
+  } else {
+    console.log(chalk.dim(`Prefix: ${chalk.cyan(prefix || '-')}`));
+    console.log(chalk.dim(`Suffix: ${chalk.cyan(suffix || '-')}`));
+  }
+  if (ignoreCase) {
+    console.log(chalk.dim(`Case: ${chalk.cyan('insensitive')}`));
+  }
+  if (regexLabel) {
+    console.log(chalk.dim(`Regex: ${chalk.cyan(regexLabel)}`));
+  }
+  if (!isRandomGeneration && !regexLabel && !isMultiPattern) {
+    console.log(chalk.dim(`Difficulty: ${chalk.cyan('1 in ' + Math.round(1 / patterns[0].probability).toLocaleString())}`));
+  }
+  console.log(chalk.dim(`Addresses: ${chalk.cyan(count)}`));
+  if (timeoutSeconds || maxAttempts) {
+    const limits = [];
+    if (timeoutSeconds) limits.push(formatDuration(timeoutSeconds));
+    if (maxAttempts) limits.push(`${maxAttempts.toLocaleString()} attempts`);
+    console.log(chalk.dim(`Limits: ${chalk.cyan(limits.join(', '))}`));
+  }
+  if (resumeState) {
+    console.log(chalk.dim(`Resuming: ${chalk.cyan(`${previouslyFound} found, ${previousAttempts.toLocaleString()} generated in ${formatDuration(previousElapsedSeconds)}`)}`));
+  }
+  if (splitKey) {
+    console.log(chalk.dim(`Secret format: ${chalk.cyan(`Partial keys for split key ${splitKey}`)}`));
+  } else if (rawMode) {
+    console.log(chalk.dim(`Secret format: ${chalk.cyan('Private Keys (raw keypairs, no mnemonic)')}`));
+  } else if (outputPrivateKeys) {
+    console.log(chalk.dim(`Secret format: ${chalk.cyan('Private Keys')}`));
+  }
+  if (!rawMode && !splitKey && (wordCount !== 12 || passphrase)) {
+    console.log(chalk.dim(`Mnemonic: ${chalk.cyan(`${wordCount} words${passphrase ? ' + passphrase' : ''}`)}`));
+  }
+  if (!rawMode && !splitKey && derivation.name !== DEFAULT_DERIVATION) {
+    console.log(chalk.dim(`Derivation: ${chalk.cyan(`${derivation.name}${derivation.template && derivation.template !== derivation.name ? ` (${derivation.template})` : ''}`)}${derivation.wallets ? ` - ${derivation.wallets}` : ''}`));
+  }
+  if (!splitKey) {
+    console.log(chalk.dim(`Key backend: ${chalk.cyan(keyBackend.label)}`));
+  }
+  if (ata) {
+    console.log(chalk.dim(`Matching: ${chalk.cyan(`associated token account for mint ${ata.mint}${options.token2022 ? ' (Token-2022)' : ''}`)}`));
+  }
+  if (accountCount > 1) {
+    console.log(chalk.dim(`Accounts: ${chalk.cyan(`${accountCount} per mnemonic (${derivationPathFor(derivation, 0)} to ${derivationPathFor(derivation, accountCount - 1)})`)}`));
+  }
+
+  // Load blacklist if available
+  let blacklist = new Set();
+  const blacklistFile = 'blacklist';
+
+  try {
+    if (fs.existsSync(blacklistFile)) {
+      const blacklistContent = await fs.promises.readFile(blacklistFile, 'utf8');
+      const words = blacklistContent
+        .split('\n')
+        .map(word => word.trim().toLowerCase())
+        .filter(word => word.length > 0);
+
+      blacklist = new Set(words);
+      if (blacklist.size > 0 && rawMode) {
+        console.log(chalk.dim(`Blacklist: ${chalk.cyan(blacklist.size + " words")} (not applied, raw keypairs have no mnemonic)`));
+      } else if (blacklist.size > 0) {
+        console.log(chalk.dim(`Blacklist: ${chalk.cyan(blacklist.size + " words")}`));
+      }
+    }
+  } catch (err) {
+    console.warn(chalk.yellow(`\nWarning: Could not load blacklist file: ${err.message}`));
+  }
+
+  // Display output configuration
+  if (showQRCodes && (outputMode === 'display' || outputMode === 'both')) {
+    console.log(chalk.dim(`QR codes: ${chalk.cyan('enabled')}`));
+  }
+
+  console.log(chalk.dim(`Output mode: ${chalk.cyan(outputMode)}`));
+
+  if (isMultiPattern && outputMode !== 'display') {
+    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
+    console.log(chalk.dim(`Output files: ${chalk.cyan('one per pattern, e.g. ' + describeOutput(outputTargets[0].outputFilename))}`));
+  } else if (outputMode === 'combined' || outputMode === 'both') {
+    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
+    console.log(chalk.dim(`Output file: ${chalk.cyan(describeOutput(outputFilename))}`));
+  } else if (outputMode === 'split') {
+    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
+    console.log(chalk.dim(`Address file: ${chalk.cyan(outputFilename)}`));
+    console.log(chalk.dim(`Secret file: ${chalk.cyan(secretFilename)}`));
+  }
+  if (checkpointFilename) {
+    console.log(chalk.dim(`Checkpoint: ${chalk.cyan(checkpointFilename)}`));
+  }
+
+  // Add mode information for clarity
+  if (isRandomGeneration) {
+    console.log(chalk.dim(`Mode: ${chalk.cyan('Random address generation')}`));
+  } else if (isMultiPattern) {
+    console.log(chalk.dim(`Mode: ${chalk.cyan('Multi-pattern vanity address generation')}`));
+  } else {
+    console.log(chalk.dim(`Mode: ${chalk.cyan('Vanity address generation')}`));
+  }
+  if (rawMode) {
+    console.log(chalk.dim(`Key source: ${chalk.cyan('Raw ed25519 seed (BIP39/PBKDF2 skipped)')}`));
+  }
+  if (encrypt) {
+    console.log(chalk.dim(`Encryption: ${chalk.cyan('AES-256-GCM, scrypt password key (secrets only)')}`));
+  } else if (recipients.length > 0) {
+    console.log(chalk.dim(`Encryption: ${chalk.cyan(`age, ${recipients.length} X25519 recipient${recipients.length === 1 ? '' : 's'} (secrets only)`)}`));
+  }
+
+  console.log();
+
+  // Show note about thread usage for random generation if user tried to set threads manually
+  if (isRandomGeneration && options.threads && options.threads !== 1) {
+    console.log(chalk.yellow(`Note: Random address generation (no prefix/suffix) always uses 1 thread for optimal performance.\n`));
+  }
+
+  // Initialize progress spinner
+  const spinner = ora({
+    text: `Processing addresses...`,
+    color: 'cyan'
+  }).start();
+
+  /**
+   * Saves buffered addresses to file
+   * Called periodically and at completion
+   */
+  const saveBufferedAddresses = async () => {
+    if (outputMode === 'display') return;
+
+    for (const target of outputTargets) {
+      const items = await target.fileQueue.forceFlush();
+      await target.fileQueue.enqueue(() => writeResults(target, items));
+    }
+  };
+
+  /**
+   * Saves buffered addresses and closes the output files
+   * A JSON file is only a complete array once closed
+   */
+  const closeOutputFiles = async () => {
+    await saveBufferedAddresses();
+    for (const {fileQueue, outputWriter, secretWriter} of outputTargets) {
+      await fileQueue.enqueue(async () => {
+        await outputWriter?.close();
+        await secretWriter?.close();
+      });
+    }
+  };
+
+  // Create worker manager with message handler
+  const workerManager = new WorkerManager(
+    threadCount,
+    {
+      patterns: patterns.map(({prefix, suffix, found, count}) => ({prefix, suffix, remaining: count - found})),
+      ignoreCase, regex, collectStats, blacklist, outputPrivateKeys, rawMode, isRandomGeneration,
+      mnemonicStrength: wordCount / 3 * 32, passphrase, accountCount, derivation, ata, splitKey,
+      keyBackend: keyBackend.name
+    },
+    async (message, workerId) => {
+      // Handle performance metrics
+      if (message.type === 'performance' && collectStats) {
+        const metrics = message.metrics;
+        const oldSamples = performanceData.samples;
+        const newSamples = oldSamples + CONFIG.PERFORMANCE_SAMPLE_SIZE;
+
+        // Calculate weighted average
+        performanceData.total = (performanceData.total * oldSamples + metrics.total * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
+        performanceData.seed = (performanceData.seed * oldSamples + metrics.seed * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
+        performanceData.derive = (performanceData.derive * oldSamples + metrics.derive * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
+        performanceData.keypair = (performanceData.keypair * oldSamples + metrics.keypair * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
+        performanceData.samples = newSamples;
+
+        if (message.prefilter) {
+          prefilterData.checked += message.prefilter.checked;
+          prefilterData.skipped += message.prefilter.skipped;
+          prefilterData.time += message.prefilter.time;
+          prefilterData.encodeTime = message.prefilter.encodeTime;
+        }
+      }
+      // Handle found addresses
+      else if (message.type === 'result') {
+        // Skip if we've already reached the target or are completing
+        if (results.length >= count || isCompleting) {
+          return;
+        }
+
+        // Skip late results for a pattern that has already been satisfied
+        const patternId = message.patternId || 0;
+        const pattern = patterns[patternId];
+        if (pattern.found >= pattern.count) {
+          return;
+        }
+        pattern.found++;
+
+        // Determine which secret to use (partial key, private key or mnemonic)
+        const secret = message.partialKey || (outputPrivateKeys && message.privateKey ? message.privateKey : message.mnemonic);
+
+        // Add to results
+        results.push({
+          address: message.address,
+          mnemonic: message.mnemonic,
+          privateKey: message.privateKey,
+          secret: secret,
+          regex: regexLabel,
+          accountIndex: message.accountIndex,
+          ata: message.ata,
+          patternId
+        });
+        foundAddresses.push({address: message.ata || message.address, pattern: pattern.label});
+
+        // Buffer for file output
+        const {fileQueue} = outputTargets[patternId];
+        if (outputMode === 'combined' || outputMode === 'both') {
+          const usesMnemonic = !outputPrivateKeys && !splitKey;
+          const dataItem = splitKey
+            ? {address: message.address, partialKey: message.partialKey, splitKey}
+            : outputPrivateKeys
+              ? {address: message.address, privateKey: message.privateKey || secret}
+              : {address: message.address, mnemonic: message.mnemonic};
+          // The pattern matched the token account, the secret unlocks its owner
+          if (ata) {
+            dataItem.ata = message.ata;
+            dataItem.mint = ata.mint;
+            dataItem.tokenProgram = ata.tokenProgram;
+          }
+          // Record which expression the address satisfied
+          if (regexLabel) {
+            dataItem.regex = regexLabel;
+          }
+          // Note non-default mnemonics so recovery knows what to expect
+          if (usesMnemonic && wordCount !== 12) {
+            dataItem.words = wordCount;
+          }
+          if (usesMnemonic && passphrase) {
+            dataItem.passphrase = true;
+          }
+          if (usesMnemonic && accountCount > 1) {
+            dataItem.accountIndex = message.accountIndex;
+          }
+          // Record how the key was derived so users know which wallet shows this address
+          if (usesMnemonic) {
+            dataItem.derivation = derivation.name;
+            if (derivation.template) {
+              dataItem.derivationPath = derivationPathFor(derivation, message.accountIndex);
+            }
+          }
+          fileQueue.addToBuffer(dataItem);
+        } else if (outputMode === 'split') {
+          // Addresses and secrets are written to separate files
+          fileQueue.addToBuffer({
+            address: message.address,
+            privateKey: outputPrivateKeys ? (message.privateKey || secret) : null,
+            mnemonic: !outputPrivateKeys ? message.mnemonic : null,
+            partialKey: message.partialKey || null
+          });
+        }
+
+        // Check if we've reached the target count
+        if (results.length >= count && !isCompleting) {
+          isCompleting = true; // Set flag to prevent multiple calls
+          await handleCompletion();
+        }
+      }
+    },
+    autoTune ? maxRecommendedThreads : threadCount
+  );
+
+  // Adjusts threads and batch size while the search runs
+  const autoTuner = autoTune ? new AutoTuner(workerManager) : null;
+
+  /**
+   * Formats the auto-tuner's decisions for the statistics output
+   * @param {string} indent - Indentation of each line
+   * @param {number} [limit=Infinity] - Show only this many of the latest decisions
+   * @returns {string[]} Lines to print; empty without auto-tuning
+   */
+  const formatTuningDecisions = (indent, limit = Infinity) => autoTuner ? [
+    `${indent}Auto-tune: ${autoTuner.describe()}`,
+    ...autoTuner.decisions.slice(-limit).map(({elapsedSeconds, message}) => `${indent}  +${formatDuration(elapsedSeconds)} ${message}`)
+  ] : [];
+
+  /**
+   * Computes how far along the search is for the patterns still pending
+   * @param {number} attempts - Addresses generated so far
+   * @param {number} speed - Current speed in addr/s
+   * @returns {Object|null} Expected attempts per match, luck and ETA; null when the odds are unknown
+   */
+  const calculateSearchOdds = (attempts, speed) => {
+    if (isRandomGeneration || regexLabel) return null;
+
+    const pending = patterns.filter(pattern => pattern.found < pattern.count);
+    const probability = (pending.length > 0 ? pending : patterns)
+      .reduce((sum, pattern) => sum + pattern.probability, 0);
+
+    // Chance that at least one match should have appeared after this many attempts
+    const luck = -Math.expm1(attempts * Math.log1p(-probability));
+
+    // Remaining time is set by the slowest pending pattern
+    const remainingAttempts = Math.max(0, ...pending.map(pattern => (pattern.count - pattern.found) / pattern.probability));
+    const etaSeconds = speed > 0 ? remainingAttempts / speed : Infinity;
+
+    return {expectedAttempts: 1 / probability, luck, etaSeconds, remaining: pending.length > 0};
+  };
+
+  /**
+   * Formats search odds as indented statistic lines
+   * @param {Object} odds - Result of calculateSearchOdds
+   * @returns {string[]} Lines to print
+   */
+  const formatSearchOdds = (odds) => {
+    const lines = [
+      `   Expected per match: ${chalk.yellow(Math.round(odds.expectedAttempts).toLocaleString())}`,
+      `   Luck: ${chalk.cyan((odds.luck * 100).toFixed(1) + '%')} chance of a match by now`
+    ];
+    if (odds.remaining) {
+      lines.push(`   ETA: ${chalk.magenta(formatDuration(odds.etaSeconds))}`);
+    }
+    return lines;
+  };
+
+  /**
+   * Formats per-pattern progress lines for multi-pattern runs
+   * @returns {string} One indented line per pattern
+   */
+  const formatPatternProgress = () => patterns.map((pattern, index) => {
+    const done = pattern.found >= pattern.count;
+    const progress = `${pattern.found}/${pattern.count}`;
+    return `     ${String(index + 1).padStart(2)}. ${pattern.label} ${done ? chalk.green(progress + ' ✔') : chalk.yellow(progress)}`;
+  }).join('\n') + '\n';
+
+  /**
+   * Prints the matches found so far, grouped by pattern
+   */
+  const printGeneratedAddresses = () => {
+    console.log(chalk.dim.blue.bold(`GENERATED ADDRESSES:\n`));
+
+    // Group displayed results by pattern (a single group for normal runs)
+    const displayOrder = [...results.slice(0, count)].sort((a, b) => a.patternId - b.patternId);
+    let currentPatternId = null;
+
+    displayOrder.forEach(({address, secret, regex, accountIndex, ata: tokenAccount, patternId}, index) => {
+      if (isMultiPattern && patternId !== currentPatternId) {
+        currentPatternId = patternId;
+        console.log(chalk.bold(`Pattern ${patterns[patternId].label}\n`));
+      }
+      console.log(chalk.underline.cyan(`Address ${index + 1}`));
+
+      // Display QR code if enabled
+      if (showQRCodes) {
+        qrcode.generate(address, {small: true});
+      }
+
+      console.log(address);
+      if (tokenAccount) {
+        console.log(`Token account: ${tokenAccount}`);
+      }
+      console.log(chalk.dim(secret));
+      if (accountCount > 1) {
+        console.log(chalk.dim(`Account: ${accountIndex} (${derivationPathFor(derivation, accountIndex)})`));
+      } else if (!rawMode && derivation.name !== DEFAULT_DERIVATION) {
+        console.log(chalk.dim(`Derivation: ${derivationPathFor(derivation, 0) || 'bare seed'}`));
+      }
+      if (regex) {
+        console.log(chalk.dim(`Matched: ${regex}`));
+      }
+      console.log();
+    });
+  };
+
+  /**
+   * Prints where results were saved, one entry per pattern
+   * @param {string} heading - Heading line to print first
+   */
+  const printPatternFiles = (heading) => {
+    console.log(heading);
+    patterns.forEach((pattern, index) => {
+      const {outputFilename, secretFilename} = outputTargets[index];
+      const files = outputMode === 'split' ? `${outputFilename}, ${secretFilename}` : describeOutput(outputFilename);
+      console.log(chalk.white(`  • ${pattern.label} (${pattern.found}/${pattern.count}): ${files}`));
+    });
+    console.log();
+  };
+
+  /**
+   * Saves the public search state so the run can be continued with solvanity resume
+   * Found addresses are flushed to the output files before the checkpoint records them
+   * @param {boolean} completed - Whether every pattern has been satisfied
+   */
+  const saveCheckpoint = async (completed) => {
+    if (!checkpointFilename) return;
+
+    const state = {
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      completed,
+      options: {
+        prefix, suffix, ignoreCase,
+        regex: regexExpr || null,
+        patterns: patternsFile,
+        threads: options.threads,
+        output: outputMode,
+        format: outputFormat,
+        label,
+        privatekey: options.privatekey || false,
+        raw: rawMode,
+        words: options.words || null,
+        accounts: accountCount,
+        derivation: options.derivation || null,
+        ataMint: ata ? ata.mint : null,
+        splitKey,
+        token2022: options.token2022 || false,
+        // Only whether a passphrase is needed; the passphrase itself never touches disk
+        passphraseRequired: Boolean(passphrase),
+        encrypt,
+        recipient: recipients.length > 0 ? recipients.map(({text}) => text) : null,
+        stats: collectStats,
+        autoTune,
+        qr: showQRCodes
+      },
+      patterns: patterns.map(({prefix, suffix, count, found}) => ({prefix, suffix, count, found})),
+      outputs: outputTargets.map(({outputFilename, secretFilename}) => ({outputFilename, secretFilename})),
+      found: [...foundAddresses],
+      totalAttempts: previousAttempts + workerManager.getTotalAddresses(),
+      elapsedSeconds: previousElapsedSeconds + (Bun.nanoseconds() - startTimeNs) / 1_000_000_000
+    };
+
+    await saveBufferedAddresses();
+    await checkpointQueue.enqueue(() => writeFileAtomic(checkpointFilename, JSON.stringify(state, null, 2)));
+  };
+
+  /**
+   * Cleanup function for graceful shutdown
+   * @param {string} signal - Signal name that triggered shutdown
+   * @param {string|null} limit - Time or attempt limit that stopped the run, if any
+   */
+  const cleanupAndExit = async (signal, limit = null) => {
+    // Stop the update interval first to freeze the display
+    clearInterval(updateInterval);
+    autoTuner?.stop();
+
+    // Stop spinner without clearing the output
+    spinner.stop();
+
+    // Calculate final statistics once the workers have finished their last batch
+    // Totals include earlier sessions of a resumed search; speed covers this session only
+    const sessionSeconds = (Bun.nanoseconds() - startTimeNs) / 1_000_000_000;
+    await workerManager.shutdown();
+    const sessionAddresses = workerManager.getTotalAddresses();
+    const grandTotalAddresses = previousAttempts + sessionAddresses;
+    const elapsedSeconds = previousElapsedSeconds + sessionSeconds;
+    const finalSpeed = Math.floor(sessionAddresses / sessionSeconds);
+    const totalFound = previouslyFound + results.length;
+
+    // Format elapsed time
+    const minutes = Math.floor(elapsedSeconds / 60);
+    const seconds = Math.floor(elapsedSeconds % 60);
+    const timeFormatted = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+    // Display final statistics
+    console.log(chalk.bold(`≡ Statistics:`));
+    console.log(`   ${chalk.bold(`Found:`)} ${totalFound > 0 ? chalk.dim.green.bold(totalFound) : chalk.dim.red.bold(totalFound)}`);
+    if (isMultiPattern) {
+      process.stdout.write(formatPatternProgress());
+    }
+    console.log(`   Generated: ${chalk.yellow(grandTotalAddresses.toLocaleString())}`);
+    if (!isRandomGeneration) {
+      console.log(`   Success rate: ${chalk.green((totalFound / grandTotalAddresses * 100).toFixed(5) + '%')}`);
+    }
+    console.log(`   Speed (addr/s): ${chalk.cyan(finalSpeed.toLocaleString())}`);
+    console.log(`   Time elapsed: ${chalk.magenta(timeFormatted)}`);
+    const odds = calculateSearchOdds(grandTotalAddresses, finalSpeed);
+    if (odds) {
+      formatSearchOdds(odds).forEach(line => console.log(line));
+    }
+
+    // Display performance data if it was being collected
+    if (collectStats && performanceData && performanceData.samples > 0) {
+      console.log(chalk.dim(`\n≡ Performance (ms):`));
+      console.log(chalk.dim(`   Time per address: ${performanceData.total.toFixed(2)}`));
+      console.log(chalk.dim(`   ${seedStageLabel}: ${performanceData.seed.toFixed(2)} (${(performanceData.seed / performanceData.total * 100).toFixed(1)}%)`));
+      if (!rawMode) {
+        console.log(chalk.dim(`   Derive: ${performanceData.derive.toFixed(2)} (${(performanceData.derive / performanceData.total * 100).toFixed(1)}%)`));
+      }
+      console.log(chalk.dim(`   Keypair: ${performanceData.keypair.toFixed(2)} (${(performanceData.keypair / performanceData.total * 100).toFixed(1)}%)`));
+      if (formatPrefilterSavings()) {
+        console.log(chalk.dim(`   ${formatPrefilterSavings()}`));
+      }
+      formatTuningDecisions('   ').forEach(line => console.log(chalk.dim(line)));
+    }
+
+    // Now show the interruption message
+    if (limit) {
+      console.log(chalk.yellow(`\n⏱  Stopped: ${limit} reached (${totalFound} of ${previouslyFound + count} addresses found)\n`));
+
+      // Display mode keeps matches only in memory, so show what the budget found
+      if (results.length > 0 && (outputMode === 'display' || outputMode === 'both')) {
+        printGeneratedAddresses();
+      }
+    } else {
+      console.log(chalk.red(`\n❌ Interrupted by ${signal}\n`));
+    }
+
+    // IMPORTANT: Force flush any buffered data before exiting
+    clearInterval(checkpointInterval);
+    await closeOutputFiles();
+    await saveCheckpoint(false);
+
+    // If any results were saved, notify the user
+    if (totalFound > 0 && isMultiPattern && outputMode !== 'display') {
+      printPatternFiles(chalk.yellow(`💾 Partial results (${totalFound} addresses) have been saved to:`));
+    } else if (totalFound > 0 && (outputMode === 'combined' || outputMode === 'both')) {
+      console.log(chalk.yellow(`💾 Partial results (${totalFound} addresses) have been saved to: ${chalk.white(describeOutput(outputFilename))}\n`));
+    } else if (totalFound > 0 && outputMode === 'split') {
+      console.log(chalk.yellow(`💾 Partial results (${totalFound} addresses) have been saved to:`));
+      console.log(chalk.white(`  • Addresses: ${outputFilename}`));
+      console.log(chalk.white(`  • Secrets: ${secretFilename}\n`));
+    }
+    if (checkpointFilename) {
+      console.log(chalk.yellow(`💾 Progress has been saved to: ${chalk.white(checkpointFilename)}`));
+      console.log(chalk.yellow(`   Continue the search with: ${chalk.white(`solvanity resume ${path.basename(checkpointFilename)}`)}\n`));
+    }
+
+    // Shutdown workers
+    await workerManager.shutdown();
+    if (limit) {
+      process.exit(totalFound > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.NONE_FOUND);
+    }
+    process.exit(EXIT_CODES.ERROR);
+  };
+
+  // Register signal handlers for graceful shutdown
+  process.on('SIGINT', () => cleanupAndExit('SIGINT'));
+  process.on('SIGTERM', () => cleanupAndExit('SIGTERM'));
+
+  // Update spinner with progress information
+  const updateInterval = setInterval(() => {
+    const sessionAddresses = workerManager.getTotalAddresses();
+    const sessionSeconds = (Bun.nanoseconds() - startTimeNs) / 1_000_000_000;
+    const grandTotalAddresses = previousAttempts + sessionAddresses;
+    const elapsedSeconds = previousElapsedSeconds + sessionSeconds;
+    const speed = Math.floor(sessionAddresses / sessionSeconds);
+    const totalFound = previouslyFound + results.length;
+
+    // Stop cleanly once this run's time or attempt budget is used up
+    const limit = maxAttempts && sessionAddresses >= maxAttempts ? `attempt limit of ${maxAttempts.toLocaleString()}`
+      : timeoutSeconds && sessionSeconds >= timeoutSeconds ? `time limit of ${formatDuration(timeoutSeconds)}`
+      : null;
+    if (limit && !isCompleting) {
+      isCompleting = true;
+      cleanupAndExit(null, limit);
+      return;
+    }
 
-  // Add this validation after threadCount assignment:
-  // Only show thread warning for vanity generation (random generation always uses 1 thread)
-  if (!isRandomGeneration && threadCount > maxRecommendedThreads) {
-    console.warn(chalk.yellow(`Warning: Using ${threadCount} threads (more than ${maxRecommendedThreads} recommended for your ${cpuCount}-core CPU). This may degrade performance.`));
-  }
+    // Format elapsed time as MM:SS
+    const minutes = Math.floor(elapsedSeconds / 60);
+    const seconds = Math.floor(elapsedSeconds % 60);
+    const timeFormatted = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 
-  // Ensure address directory exists
-  const addressDir = 'address';
-  try {
-    await fs.promises.mkdir(addressDir, { recursive: true });
-  } catch (err) {
-    console.error(chalk.red(`Error creating address directory: ${err.message}`));
-    process.exit(1);
-  }
+    // Build status text
+    let statusText = chalk.bold(`Processing addresses...\n`);
+    statusText += `   ${chalk.bold(`Found:`)} ${totalFound > 0 ? chalk.dim.green.bold(totalFound) : chalk.dim.red.bold(totalFound)}\n`;
+    if (isMultiPattern) {
+      statusText += formatPatternProgress();
+    }
+    statusText += `   Generated: ${chalk.yellow(grandTotalAddresses.toLocaleString())}\n   Speed (addr/s): ${chalk.cyan(speed.toLocaleString())}\n   Time elapsed: ${chalk.magenta(timeFormatted)}\n`;
 
-  // Generate default filename if needed
-  if ((outputMode === 'combined' || outputMode === 'both' || outputMode === 'split') && !outputFilename) {
-    const timestamp = Math.floor(Date.now() / 1000);
-    const extension = outputFormat === 'json' ? 'json' : 'txt';
-    outputFilename = `${timestamp}-address.${extension}`;
-    
-    // For split mode, also generate secret filename
-    if (outputMode === 'split') {
-      const secretType = outputPrivateKeys ? 'privatekeys' : 'mnemonics';
-      secretFilename = `${timestamp}-secret-${secretType}.${extension}`;
+    // Add expected attempts, luck and ETA for pattern searches
+    const odds = calculateSearchOdds(grandTotalAddresses, speed);
+    if (odds) {
+      statusText += formatSearchOdds(odds).join('\n') + '\n';
     }
-  }
 
-  // Process filename for file output modes
-  if (outputMode === 'combined' || outputMode === 'both' || outputMode === 'split') {
-    // Extract basename if path is included
-    if (outputFilename.includes(path.sep)) {
-      outputFilename = path.basename(outputFilename);
+    // Add performance stats if enabled
+    if (collectStats && performanceData && performanceData.samples > 0) {
+      statusText += chalk.dim(`\n≡ Performance (ms):\n`
+        + `   Time per address: ${performanceData.total.toFixed(2)}\n`
+        + `   ${seedStageLabel}: ${chalk.dim(performanceData.seed.toFixed(2))} (${chalk.dim((performanceData.seed / performanceData.total * 100).toFixed(1))}%)\n`
+        + (rawMode ? '' : `   Derive: ${chalk.dim(performanceData.derive.toFixed(2))} (${chalk.dim((performanceData.derive / performanceData.total * 100).toFixed(1))}%)\n`)
+        + `   Keypair: ${chalk.dim(performanceData.keypair.toFixed(2))} (${chalk.dim((performanceData.keypair / performanceData.total * 100).toFixed(1))}%)\n`
+        + (formatPrefilterSavings() ? `   ${formatPrefilterSavings()}\n` : '')
+        + formatTuningDecisions('   ', 5).map(line => line + '\n').join(''));
     }
 
-    // Ensure correct file extension
-    const currentExt = path.extname(outputFilename).toLowerCase();
-    const expectedExt = outputFormat === 'json' ? '.json' : '.txt';
+    spinner.text = statusText;
+  }, CONFIG.UPDATE_INTERVAL);
 
-    if (currentExt !== expectedExt) {
-      const baseName = path.basename(outputFilename, currentExt);
-      outputFilename = baseName + expectedExt;
+  // Periodically save progress so a crash loses at most one interval of work
+  const checkpointInterval = checkpointFilename ? setInterval(() => {
+    saveCheckpoint(false).catch(err => {
+      console.warn(chalk.yellow(`\nWarning: Could not save checkpoint: ${err.message}`));
+    });
+  }, CONFIG.CHECKPOINT_INTERVAL) : null;
+
+  /**
+   * Handles completion of address generation
+   * Saves remaining data, displays results, and shuts down
+   */
+  const handleCompletion = async () => {
+    // Prevent multiple executions
+    if (hasCompleted) return;
+    hasCompleted = true;
+    autoTuner?.stop();
+
+    // Calculate final statistics once the workers have finished their last batch
+    // Totals include earlier sessions of a resumed search; speed covers this session only
+    const sessionSeconds = (Bun.nanoseconds() - startTimeNs) / 1_000_000_000;
+    await workerManager.shutdown();
+    const sessionAddresses = workerManager.getTotalAddresses();
+    const grandTotalAddresses = previousAttempts + sessionAddresses;
+    const elapsedSeconds = previousElapsedSeconds + sessionSeconds;
+    const finalSpeed = Math.floor(sessionAddresses / sessionSeconds);
+    const totalFound = previouslyFound + results.length;
+
+    // Stop UI updates
+    clearInterval(updateInterval);
+    clearInterval(checkpointInterval);
+    spinner.stop();
+
+    // IMPORTANT: Force flush any remaining buffered addresses before displaying results
+    // This ensures all found addresses are saved to file
+    await closeOutputFiles();
+    await saveCheckpoint(true);
+
+    // Display performance statistics if enabled
+    if (collectStats && performanceData && performanceData.samples > 0) {
+      console.log(chalk.dim('Performance data:'));
+      console.log(chalk.dim(`  Average time per address: ${performanceData.total.toFixed(3)} ms`));
+      if (rawMode) {
+        console.log(chalk.dim(`  Random seed: ${performanceData.seed.toFixed(3)} ms (${(performanceData.seed / performanceData.total * 100).toFixed(1)}%)`));
+      } else {
+        console.log(chalk.dim(`  Seed generation: ${performanceData.seed.toFixed(3)} ms (${(performanceData.seed / performanceData.total * 100).toFixed(1)}%)`));
+        console.log(chalk.dim(`  Key derivation: ${performanceData.derive.toFixed(3)} ms (${(performanceData.derive / performanceData.total * 100).toFixed(1)}%)`));
+      }
+      console.log(chalk.dim(`  Keypair creation (${keyBackend.name}): ${performanceData.keypair.toFixed(3)} ms (${(performanceData.keypair / performanceData.total * 100).toFixed(1)}%)`));
+      if (formatPrefilterSavings()) {
+        console.log(chalk.dim(`  ${formatPrefilterSavings()}`));
+      }
+      formatTuningDecisions('  ').forEach(line => console.log(chalk.dim(line)));
+      console.log();
     }
 
-    // Add address directory prefix
-    outputFilename = path.join(addressDir, outputFilename);
-    
-    // Process secret filename for split mode
-    if (outputMode === 'split' && secretFilename) {
-      secretFilename = path.join(addressDir, secretFilename);
+    // Display completion summary based on generation mode
+    if (isRandomGeneration) {
+      console.log(chalk.dim.green.bold(`✔ Generated ${chalk.white(totalFound)} random addresses in ${chalk.white(elapsedSeconds.toFixed(2))} seconds\n`));
+    } else {
+      console.log(chalk.dim.green.bold(`✔ Done in ${chalk.white(elapsedSeconds.toFixed(2))} seconds after processing ${chalk.white(grandTotalAddresses.toLocaleString())} addresses, with an average of ${chalk.white(finalSpeed.toLocaleString())} addr/s\n`));
+
+      // Compare the run against the expected odds
+      const odds = calculateSearchOdds(grandTotalAddresses, finalSpeed);
+      if (odds) {
+        console.log(chalk.bold(`≡ Statistics:`));
+        formatSearchOdds(odds).forEach(line => console.log(line));
+        console.log();
+      }
     }
-  }
 
-  // Initialize file operation queue
-  const fileQueue = new FileOperationQueue();
-  const secretQueue = outputMode === 'split' ? new FileOperationQueue() : null;
-  
-  // Set up the save callback for automatic flushing (combined and both modes)
-  if (outputMode === 'combined' || outputMode === 'both') {
-    fileQueue.setSaveCallback(async (dataToWrite) => {
-      if (!dataToWrite || dataToWrite.length === 0) return;
+    // Display file save confirmation
+    if (isMultiPattern && outputMode !== 'display') {
+      printPatternFiles(chalk.cyan(`Results have been saved by pattern:\n`));
+      if (outputPrivateKeys) {
+        console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
+        console.log(chalk.yellow(`   Keep these files secure and never share them.\n`));
+      }
+    } else if (outputMode === 'combined' || outputMode === 'both') {
+      console.log(chalk.cyan(`Results have been saved to file: ${chalk.white(describeOutput(outputFilename))}\n`));
+      if (outputPrivateKeys) {
+        console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
+        console.log(chalk.yellow(`   Keep this file secure and never share it.\n`));
+      }
+    } else if (outputMode === 'split') {
+      console.log(chalk.cyan(`Results have been saved to files:\n`));
+      console.log(chalk.white(`  • Addresses: ${outputFilename}`));
+      console.log(chalk.white(`  • Secrets: ${secretFilename}\n`));
+      if (outputPrivateKeys) {
+        console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
+        console.log(chalk.yellow(`   Keep the secret file secure and never share it.\n`));
+      }
+    }
 
-      await fileQueue.enqueue(async () => {
-        if (outputFormat === 'json') {
-          // Read existing data
-          const fileContent = await fs.promises.readFile(outputFilename, 'utf8');
-          let data = [];
-          try {
-            data = JSON.parse(fileContent);
-            if (!Array.isArray(data)) data = [];
-          } catch (err) {
-            data = [];
-          }
+    if (encrypt) {
+      console.log(chalk.dim(`🔒 Secrets are encrypted. Read them with: solvanity decrypt <file>\n`));
+    } else if (recipients.length > 0) {
+      console.log(chalk.dim(`🔒 Secrets are encrypted to the recipients. Read them with: solvanity decrypt <file> --identity <identity file>\n`));
+    }
 
-          // Append new data
-          data.push(...dataToWrite);
+    // The passphrase is deliberately never saved, so remind the user they need it
+    if (passphrase && !outputPrivateKeys) {
+      console.log(chalk.yellow(`🔑 The BIP39 passphrase was not saved. Each mnemonic restores its address only together with it.\n`));
+    }
 
-          // Write atomically
-          await writeFileAtomic(outputFilename, JSON.stringify(data, null, 2));
-        } else {
-          // For TXT format, append lines
-          const lines = dataToWrite.map(item => {
-            // Determine which secret to use for TXT format
-            const secret = item.privateKey || item.mnemonic;
-            return `${item.address}:${secret}`;
-          }).join('\n') + '\n';
-          
-          // Append to file
-          await fs.promises.appendFile(outputFilename, lines);
-        }
-      });
-    });
-  }
-  
-  // Set up callbacks for split mode
-  if (outputMode === 'split') {
-    // Address file callback
-    fileQueue.setSaveCallback(async (dataToWrite) => {
-      if (!dataToWrite || dataToWrite.length === 0) return;
+    // Partial keys are useless alone; only the holder of the split key can finish them
+    if (splitKey) {
+      console.log(chalk.yellow(`🔑 These are partial keys. Send the results to the owner of the split key, who completes them with: solvanity splitkey combine <file> --key <splitkey file>\n`));
+    }
 
-      await fileQueue.enqueue(async () => {
-        if (outputFormat === 'json') {
-          // Read existing data
-          const fileContent = await fs.promises.readFile(outputFilename, 'utf8');
-          let data = [];
-          try {
-            data = JSON.parse(fileContent);
-            if (!Array.isArray(data)) data = [];
-          } catch (err) {
-            data = [];
-          }
+    // Display results on screen if requested
+    if (outputMode === 'display' || outputMode === 'both') {
+      printGeneratedAddresses();
+    }
+
+    // Shutdown workers and exit
+    await workerManager.shutdown();
+    process.exit(EXIT_CODES.COMPLETE);
+  };
 
-          // Append only addresses
-          data.push(...dataToWrite.map(item => item.address));
+  // Start worker threads
+  await workerManager.start();
+  autoTuner?.start();
+};
 
-          // Write atomically
-          await writeFileAtomic(outputFilename, JSON.stringify(data, null, 2));
-        } else {
-          // For TXT format, append addresses only
-          const lines = dataToWrite.map(item => item.address).join('\n') + '\n';
-          await fs.promises.appendFile(outputFilename, lines);
-        }
-      });
-    });
-    
-    // Secret file callback
-    secretQueue.setSaveCallback(async (dataToWrite) => {
-      if (!dataToWrite || dataToWrite.length === 0) return;
-
-      await secretQueue.enqueue(async () => {
-        if (outputFormat === 'json') {
-          // Read existing data
-          const fileContent = await fs.promises.readFile(secretFilename, 'utf8');
-          let data = [];
-          try {
-            data = JSON.parse(fileContent);
-            if (!Array.isArray(data)) data = [];
-          } catch (err) {
-            data = [];
-          }
+/**
+ * Measures address generation throughput with the regular worker code
+ * Workers run with no pending patterns, so every candidate is generated and discarded
+ * @param {number} threadCount - Number of worker threads
+ * @param {number} durationSeconds - Measurement duration in seconds
+ * @param {boolean} rawMode - Benchmark raw keypair generation
+ * @param {boolean} collectStats - Also collect the per-stage timing breakdown
+ * @param {string} [keyBackend='web3'] - Keypair backend the workers use
+ * @returns {Promise<{speed: number, performance: Object|null}>} Addresses per second and stage timings (ms)
+ */
+const measureThroughput = async (threadCount, durationSeconds, rawMode, collectStats = false, keyBackend = 'web3') => {
+  const performanceData = {total: 0, seed: 0, derive: 0, keypair: 0, samples: 0};
+
+  const workerManager = new WorkerManager(
+    threadCount,
+    {patterns: [], ignoreCase: false, regex: null, collectStats, blacklist: new Set(), outputPrivateKeys: rawMode, rawMode, isRandomGeneration: false, keyBackend},
+    (message) => {
+      if (message.type !== 'performance') return;
+
+      // Weighted average across workers, as in generateVanityAddresses
+      const oldSamples = performanceData.samples;
+      const newSamples = oldSamples + CONFIG.PERFORMANCE_SAMPLE_SIZE;
+      for (const stage of ['total', 'seed', 'derive', 'keypair']) {
+        performanceData[stage] = (performanceData[stage] * oldSamples + message.metrics[stage] * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
+      }
+      performanceData.samples = newSamples;
+    }
+  );
 
-          // Append only secrets
-          const secrets = dataToWrite.map(item => item.privateKey || item.mnemonic);
-          data.push(...secrets);
+  await workerManager.start();
 
-          // Write atomically
-          await writeFileAtomic(secretFilename, JSON.stringify(data, null, 2));
-        } else {
-          // For TXT format, append secrets only
-          const lines = dataToWrite.map(item => item.privateKey || item.mnemonic).join('\n') + '\n';
-          await fs.promises.appendFile(secretFilename, lines);
-        }
-      });
+  // Skip worker startup before sampling
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  const startTotal = workerManager.getTotalAddresses();
+  const startTime = performance.now();
+
+  await new Promise(resolve => setTimeout(resolve, durationSeconds * 1000));
+  const generated = workerManager.getTotalAddresses() - startTotal;
+  const elapsedSeconds = (performance.now() - startTime) / 1000;
+
+  await workerManager.shutdown();
+  return {
+    speed: generated / elapsedSeconds,
+    performance: collectStats && performanceData.samples > 0 ? performanceData : null
+  };
+};
+
+/**
+ * Benchmarks generation at increasing thread counts and recommends one
+ * @param {Object} options - Benchmark options from command line
+ */
+const runBenchmark = async (options) => {
+  const cpuCount = os.cpus().length;
+  const maxThreads = options.maxThreads || cpuCount * CONFIG.THREAD_MULTIPLIER;
+  const duration = options.duration || 5;
+  const rawMode = options.raw || false;
+
+  let keyBackend;
+  try {
+    keyBackend = selectKeyBackend(options.backend);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid --backend: ${err.message}`));
+    process.exit(1);
+  }
+
+  // 1, 2, 4, ... up to the maximum, always including the maximum itself
+  const threadCounts = [];
+  for (let threads = 1; threads < maxThreads; threads *= 2) {
+    threadCounts.push(threads);
+  }
+  threadCounts.push(maxThreads);
+
+  console.log(chalk.dim(`CPU: ${chalk.cyan(os.cpus()[0].model + " [" + os.machine() + "]")}`));
+  console.log(chalk.dim(`CPU cores: ${chalk.cyan(cpuCount)}`));
+  console.log(chalk.dim(`Thread counts: ${chalk.cyan(threadCounts.join(', '))}`));
+  console.log(chalk.dim(`Duration per step: ${chalk.cyan(duration + 's')}`));
+  console.log(chalk.dim(`Mode: ${chalk.cyan(rawMode ? 'Raw keypairs' : 'Mnemonic keypairs')}`));
+  console.log(chalk.dim(`Key backend: ${chalk.cyan(keyBackend.label)}`));
+  console.log();
+
+  const spinner = ora({text: 'Benchmarking...', color: 'cyan'}).start();
+  const results = [];
+
+  for (const threads of threadCounts) {
+    spinner.text = `Benchmarking ${threads} thread(s) for ${duration}s...`;
+    const {speed, performance} = await measureThroughput(threads, duration, rawMode, true, keyBackend.name);
+    const baseline = results.length > 0 ? results[0].speed : speed;
+    results.push({
+      threads,
+      speed: Math.floor(speed),
+      efficiency: parseFloat((speed / (baseline * threads) * 100).toFixed(1)),
+      performance: performance && {
+        total: parseFloat(performance.total.toFixed(4)),
+        seed: parseFloat(performance.seed.toFixed(4)),
+        derive: parseFloat(performance.derive.toFixed(4)),
+        keypair: parseFloat(performance.keypair.toFixed(4))
+      }
     });
   }
 
-  // Initialize output file
-  if (outputMode === 'combined' || outputMode === 'both' || outputMode === 'split') {
+  spinner.stop();
+
+  // Recommend the fewest threads within 5% of the best speed
+  const bestSpeed = Math.max(...results.map(result => result.speed));
+  const recommended = results.find(result => result.speed >= bestSpeed * 0.95);
+
+  const percent = (part, total) => `${(part / total * 100).toFixed(1)}%`;
+  const stageHeader = rawMode ? 'Entropy  Keypair' : 'Seed     Derive   Keypair';
+
+  console.log(chalk.bold(`≡ Benchmark:`));
+  console.log(chalk.dim(`   ${'Threads'.padEnd(9)}${'addr/s'.padEnd(11)}${'Scaling'.padEnd(10)}${'ms/addr'.padEnd(10)}${stageHeader}`));
+  results.forEach(result => {
+    const stats = result.performance;
+    const stages = !stats ? '-' : (rawMode
+      ? `${percent(stats.seed, stats.total).padEnd(9)}${percent(stats.keypair, stats.total)}`
+      : `${percent(stats.seed, stats.total).padEnd(9)}${percent(stats.derive, stats.total).padEnd(9)}${percent(stats.keypair, stats.total)}`);
+    const line = `   ${String(result.threads).padEnd(9)}${result.speed.toLocaleString().padEnd(11)}${(result.efficiency.toFixed(1) + '%').padEnd(10)}${(stats ? stats.total.toFixed(3) : '-').padEnd(10)}${stages}`;
+    console.log(result === recommended ? chalk.green(line) : line);
+  });
+  console.log();
+  console.log(chalk.dim.green.bold(`✔ Recommended thread count: ${chalk.white(recommended.threads)} (${chalk.white(recommended.speed.toLocaleString())} addr/s)\n`));
+  console.log(chalk.dim(`Use it with: solvanity -t ${recommended.threads} ...\n`));
+
+  // Save results for comparing machines
+  if (options.save) {
+    const addressDir = 'address';
     try {
-      if (outputFormat === 'json') {
-        // Initialize main file
-        if (fs.existsSync(outputFilename)) {
-          try {
-            const fileContent = await fs.promises.readFile(outputFilename, 'utf8');
-            const existingData = JSON.parse(fileContent);
-            if (!Array.isArray(existingData)) {
-              await writeFileAtomic(outputFilename, JSON.stringify([], null, 2));
-            }
-          } catch (err) {
-            console.warn(chalk.yellow(`Warning: Could not parse existing file ${outputFilename}, creating new file`));
-            await writeFileAtomic(outputFilename, JSON.stringify([], null, 2));
-          }
-        } else {
-          // Create new empty JSON array file
-          await writeFileAtomic(outputFilename, JSON.stringify([], null, 2));
-        }
-        
-        // Initialize secret file for split mode
-        if (outputMode === 'split' && secretFilename) {
-          if (fs.existsSync(secretFilename)) {
-            try {
-              const fileContent = await fs.promises.readFile(secretFilename, 'utf8');
-              const existingData = JSON.parse(fileContent);
-              if (!Array.isArray(existingData)) {
-                await writeFileAtomic(secretFilename, JSON.stringify([], null, 2));
-              }
-            } catch (err) {
-              console.warn(chalk.yellow(`Warning: Could not parse existing file ${secretFilename}, creating new file`));
-              await writeFileAtomic(secretFilename, JSON.stringify([], null, 2));
-            }
-          } else {
-            await writeFileAtomic(secretFilename, JSON.stringify([], null, 2));
-          }
-        }
-      } else {
-        // For TXT format, create empty files
-        await fs.promises.writeFile(outputFilename, '');
-        
-        if (outputMode === 'split' && secretFilename) {
-          await fs.promises.writeFile(secretFilename, '');
-        }
-      }
+      await fs.promises.mkdir(addressDir, { recursive: true });
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const filename = path.join(addressDir, typeof options.save === 'string'
+        ? path.basename(options.save, path.extname(options.save)) + '.json'
+        : `${timestamp}-benchmark.json`);
+
+      const jsonData = {
+        metadata: {
+          timestamp: timestamp,
+          version: version,
+          cpu: os.cpus()[0].model,
+          cores: cpuCount,
+          arch: os.machine(),
+          platform: os.platform(),
+          runtime: `bun ${Bun.version}`,
+          mode: rawMode ? 'raw' : 'mnemonic',
+          backend: keyBackend.name,
+          durationSeconds: duration
+        },
+        recommendedThreads: recommended.threads,
+        results: results
+      };
+      await writeFileAtomic(filename, JSON.stringify(jsonData, null, 2));
+      console.log(chalk.cyan(`Results saved to: ${chalk.white(filename)}\n`));
     } catch (err) {
-      console.error(chalk.red(`Error initializing output file: ${err.message}`));
+      console.error(chalk.red(`Error saving benchmark: ${err.message}`));
       process.exit(1);
     }
   }
 
-  // Validate prefix/suffix constraints
-  if (prefix.length > 7) {
-    console.error('Error: Prefix must be 7 characters or less');
+  process.exit(0);
+};
+
+/**
+ * Estimates difficulty, probability and time to find vanity addresses
+ * @param {Object} options - Estimate options from command line
+ */
+const estimateGeneration = async (options) => {
+  const prefix = options.prefix || '';
+  const suffix = options.suffix || '';
+  const ignoreCase = options.ignoreCase || false;
+  const count = options.count || 1;
+  const threadCount = options.threads || os.cpus().length;
+  const duration = options.duration || 5;
+  const rawMode = options.raw || false;
+
+  if (!prefix && !suffix) {
+    console.error(chalk.red('Error: Provide a prefix (-p) and/or suffix (-x) to estimate'));
     process.exit(1);
   }
 
-  if (suffix.length > 7) {
-    console.error('Error: Suffix must be 7 characters or less');
+  let prefixPositions;
+  let suffixPositions;
+  try {
+    prefixPositions = parseVanityPattern(prefix, ignoreCase);
+    suffixPositions = parseVanityPattern(suffix, ignoreCase);
+  } catch (err) {
+    console.error(chalk.red(`Error: Prefix and suffix must contain only valid Base58 characters (${err.message})`));
     process.exit(1);
   }
 
-  if (!isValidBase58(prefix) || !isValidBase58(suffix)) {
-    console.error('Error: Prefix and suffix must contain only valid Base58 characters');
+  const probability = calculateMatchProbability(prefixPositions, suffixPositions);
+  const uniformDifficulty = [...prefixPositions, ...suffixPositions]
+    .reduce((difficulty, allowed) => difficulty * (BASE58_ALPHABET.length / allowed.length), 1);
+
+  console.log(chalk.dim(`Prefix: ${chalk.cyan(prefix || '-')}`));
+  console.log(chalk.dim(`Suffix: ${chalk.cyan(suffix || '-')}`));
+  if (ignoreCase) {
+    console.log(chalk.dim(`Case: ${chalk.cyan('insensitive')}`));
+  }
+  console.log(chalk.dim(`Addresses: ${chalk.cyan(count)}`));
+  console.log(chalk.dim(`Threads: ${chalk.cyan(threadCount)}`));
+  if (rawMode) {
+    console.log(chalk.dim(`Key source: ${chalk.cyan('Raw ed25519 seed (BIP39/PBKDF2 skipped)')}`));
+  }
+  console.log();
+
+  if (probability === 0) {
+    console.log(chalk.red(`✖ No Solana address can match this pattern.\n`));
     process.exit(1);
   }
 
-  // Warn about large generation counts
-  if (count > 1000) {
-    console.warn(chalk.yellow(`Warning: Generating a large number of addresses (${count}). This may take a while.`));
+  // Measure speed unless the user already knows it
+  let speed = options.speed;
+  if (!speed) {
+    let keyBackend;
+    try {
+      keyBackend = selectKeyBackend(options.backend);
+    } catch (err) {
+      console.error(chalk.red(`Error: Invalid --backend: ${err.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.dim(`Key backend: ${chalk.cyan(keyBackend.label)}\n`));
+
+    const spinner = ora({text: `Benchmarking ${threadCount} thread(s) for ${duration}s...`, color: 'cyan'}).start();
+    ({speed} = await measureThroughput(threadCount, duration, rawMode, false, keyBackend.name));
+    spinner.stop();
   }
 
-  // Initialize tracking variables
-  const results = [];
-  const startTimeNs = Bun.nanoseconds();
-  const startTimeMs = performance.now();
-  let isCompleting = false; // Flag to prevent multiple completion calls
-  let hasCompleted = false; // Flag to track if we've already completed
+  const expectedAttempts = count / probability;
 
-  // Initialize performance tracking
-  let performanceData = collectStats ? {
-    total: 0,
-    seed: 0,
-    derive: 0,
-    keypair: 0,
-    samples: 0
-  } : null;
+  console.log(chalk.bold(`≡ Estimate:`));
+  console.log(`   Difficulty: ${chalk.yellow('1 in ' + Math.round(1 / probability).toLocaleString())}`);
+  if (Math.abs(uniformDifficulty * probability - 1) > 0.01) {
+    console.log(chalk.dim(`   (a uniform-character estimate would say 1 in ${Math.round(uniformDifficulty).toLocaleString()})`));
+  }
+  console.log(`   Expected attempts: ${chalk.yellow(Math.round(expectedAttempts).toLocaleString())}`);
+  console.log(`   Speed (addr/s): ${chalk.cyan(Math.floor(speed).toLocaleString())}${options.speed ? '' : chalk.dim(' (measured)')}`);
+  console.log(`   Expected time: ${chalk.magenta(formatDuration(expectedAttempts / speed))}`);
+  for (const confidence of [0.5, 0.9, 0.99]) {
+    const seconds = attemptsForConfidence(probability, count, confidence) / speed;
+    console.log(`   ${(confidence * 100).toFixed(0)}% chance within: ${chalk.magenta(formatDuration(seconds))}`);
+  }
+  console.log();
+
+  process.exit(0);
+};
+
+/**
+ * Grinds a variable seed until its program-derived address matches a vanity pattern
+ * PDAs have no private key, so results hold only the seeds, bump and address
+ * @param {Object} options - PDA options from command line
+ */
+const grindProgramAddresses = async (options) => {
+  const prefix = options.prefix || '';
+  const suffix = options.suffix || '';
+  const ignoreCase = options.ignoreCase || false;
+  const count = options.count || 1;
+  const threadCount = options.threads || os.cpus().length;
 
-  // Display system information
-  console.log(chalk.dim(`CPU: ${chalk.cyan(os.cpus()[0].model + " [" + os.machine() + "]")}`));
-  console.log(chalk.dim(`CPU cores: ${chalk.cyan(os.cpus().length)}`));
-  
-  // Show thread count - for random generation it's always 1
-  if (isRandomGeneration) {
-    console.log(chalk.dim(`Threads spawned: ${chalk.cyan('1')} (optimized for random generation)`));
-  } else {
-    console.log(chalk.dim(`Threads spawned: ${chalk.cyan(threadCount)}`));
+  if (!prefix && !suffix) {
+    console.error(chalk.red('Error: Provide a prefix (-p) and/or suffix (-x) for the program address'));
+    process.exit(1);
   }
-  
-  console.log(chalk.dim(`Prefix: ${chalk.cyan(prefix || '-')}`));
-  console.log(chalk.dim(`Suffix: ${chalk.cyan(suffix || '-')}`));
-  console.log(chalk.dim(`Addresses: ${chalk.cyan(count)}`));
-  if (outputPrivateKeys) {
-    console.log(chalk.dim(`Secret format: ${chalk.cyan('Private Keys')}`));
+
+  if (!Number.isInteger(count) || count < 1 || !Number.isInteger(threadCount) || threadCount < 1) {
+    console.error(chalk.red('Error: Count and thread count must be positive numbers'));
+    process.exit(1);
   }
 
-  // Load blacklist if available
-  let blacklist = new Set();
-  const blacklistFile = 'blacklist';
+  let programId;
+  try {
+    programId = new PublicKey(options.program);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid program ID: ${options.program}`));
+    process.exit(1);
+  }
 
+  let prefixPositions;
+  let suffixPositions;
   try {
-    if (fs.existsSync(blacklistFile)) {
-      const blacklistContent = await fs.promises.readFile(blacklistFile, 'utf8');
-      const words = blacklistContent
-        .split('\n')
-        .map(word => word.trim().toLowerCase())
-        .filter(word => word.length > 0);
+    prefixPositions = parseVanityPattern(prefix, ignoreCase);
+    suffixPositions = parseVanityPattern(suffix, ignoreCase);
+  } catch (err) {
+    console.error(chalk.red(`Error: Prefix and suffix must contain only valid Base58 characters (${err.message})`));
+    process.exit(1);
+  }
 
-      blacklist = new Set(words);
-      if (blacklist.size > 0) {
-        console.log(chalk.dim(`Blacklist: ${chalk.cyan(blacklist.size + " words")}`));
-      }
+  if (prefixPositions.length > 7 || suffixPositions.length > 7) {
+    console.error(chalk.red('Error: Prefix and suffix must be 7 characters or less'));
+    process.exit(1);
+  }
+
+  // Fixed seeds in order, with the variable seed at "var" or appended at the end
+  let seeds;
+  let variable;
+  let start;
+  try {
+    seeds = (options.seed || []).map(parsePdaSeed);
+    if (seeds.filter(seed => seed.variable).length > 1) {
+      throw new Error('Only one "var" seed is allowed');
     }
+    if (!seeds.some(seed => seed.variable)) {
+      seeds.push({variable: true});
+    }
+    if (seeds.length > PDA_MAX_SEEDS) {
+      throw new Error(`At most ${PDA_MAX_SEEDS} seeds are allowed, including the variable one`);
+    }
+    variable = parsePdaVariable(options.vary || 'u64');
+    if (!/^\d+$/.test(String(options.start ?? 0))) {
+      throw new Error(`--start must be a non-negative whole number, got "${options.start}"`);
+    }
+    start = BigInt(options.start ?? 0);
   } catch (err) {
-    console.warn(chalk.yellow(`\nWarning: Could not load blacklist file: ${err.message}`));
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
   }
 
-  // Display output configuration
-  if (showQRCodes && (outputMode === 'display' || outputMode === 'both')) {
-    console.log(chalk.dim(`QR codes: ${chalk.cyan('enabled')}`));
+  const probability = calculateMatchProbability(prefixPositions, suffixPositions);
+  if (probability === 0) {
+    console.error(chalk.red('Error: No Solana address can match this pattern'));
+    process.exit(1);
   }
 
-  console.log(chalk.dim(`Output mode: ${chalk.cyan(outputMode)}`));
+  const variableLabel = variable.kind === 'bytes' ? `${variable.size} random bytes` : `${variable.kind} counter from ${start}`;
+  const seedsLabel = seeds.map(seed => seed.variable ? chalk.yellow('<var>') : seed.spec).join(', ');
 
-  if (outputMode === 'combined' || outputMode === 'both') {
-    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
-    console.log(chalk.dim(`Output file: ${chalk.cyan(outputFilename)}`));
-  } else if (outputMode === 'split') {
-    console.log(chalk.dim(`Output format: ${chalk.cyan(outputFormat)}`));
-    console.log(chalk.dim(`Address file: ${chalk.cyan(outputFilename)}`));
-    console.log(chalk.dim(`Secret file: ${chalk.cyan(secretFilename)}`));
+  console.log(chalk.dim(`Program: ${chalk.cyan(programId.toBase58())}`));
+  console.log(chalk.dim(`Seeds: ${chalk.cyan(seedsLabel)}`));
+  console.log(chalk.dim(`Variable seed: ${chalk.cyan(variableLabel)}`));
+  console.log(chalk.dim(`Prefix: ${chalk.cyan(prefix || '-')}`));
+  console.log(chalk.dim(`Suffix: ${chalk.cyan(suffix || '-')}`));
+  if (ignoreCase) {
+    console.log(chalk.dim(`Case: ${chalk.cyan('insensitive')}`));
   }
+  console.log(chalk.dim(`Difficulty: ${chalk.cyan('1 in ' + Math.round(1 / probability).toLocaleString())}`));
+  console.log(chalk.dim(`Addresses: ${chalk.cyan(count)}`));
+  console.log(chalk.dim(`Threads spawned: ${chalk.cyan(threadCount)}`));
 
-  // Add mode information for clarity
-  if (isRandomGeneration) {
-    console.log(chalk.dim(`Mode: ${chalk.cyan('Random address generation')}`));
-  } else {
-    console.log(chalk.dim(`Mode: ${chalk.cyan('Vanity address generation')}`));
+  // Small counters can run out long before a match is likely
+  if (variable.kind in PDA_INTEGER_SIZES) {
+    const available = Number((1n << BigInt(PDA_INTEGER_SIZES[variable.kind] * 8)) - start);
+    if (available < count / probability) {
+      console.warn(chalk.yellow(`Warning: A ${variable.kind} counter has only ${Math.max(0, available).toLocaleString()} values left, but ${Math.round(count / probability).toLocaleString()} attempts are expected`));
+    }
   }
-
   console.log();
 
-  // Show note about thread usage for random generation if user tried to set threads manually
-  if (isRandomGeneration && options.threads && options.threads !== 1) {
-    console.log(chalk.yellow(`Note: Random address generation (no prefix/suffix) always uses 1 thread for optimal performance.\n`));
+  // Matches are appended as they are found, so a crash keeps everything found before it
+  const outputFilename = path.join('address', options.filename
+    ? path.basename(options.filename, path.extname(options.filename)) + '.json'
+    : `${Math.floor(Date.now() / 1000)}-pda.json`);
+  const outputWriter = new AddressFileWriter(outputFilename, 'json');
+  const fileQueue = new FileOperationQueue();
+  try {
+    await fs.promises.mkdir('address', {recursive: true});
+    await outputWriter.open(true);
+  } catch (err) {
+    console.error(chalk.red(`Error initializing output file: ${err.message}`));
+    process.exit(1);
   }
 
-  // Initialize progress spinner
-  const spinner = ora({
-    text: `Processing addresses...`,
-    color: 'cyan'
-  }).start();
+  const results = [];
+  let exhaustedWorkers = 0;
+  let isFinishing = false;
+  const startTime = performance.now();
+
+  const spinner = ora({text: 'Searching program addresses...', color: 'cyan'}).start();
 
   /**
-   * Saves buffered addresses to file
-   * Called periodically and at completion
+   * Closes the output file and prints results, then shuts the workers down
+   * @param {string|null} reason - Why the search stopped early, or null when complete
+   * @param {number} exitCode - Process exit code
    */
-  const saveBufferedAddresses = async () => {
-    if (outputMode === 'display') return;
-
-    if (outputMode === 'split') {
-      // For split mode, save addresses and secrets separately
-      const dataToWrite = await fileQueue.forceFlush();
-      const secretDataToWrite = await secretQueue.forceFlush();
-      
-      if (dataToWrite && dataToWrite.length > 0) {
-        await fileQueue.enqueue(async () => {
-          if (outputFormat === 'json') {
-            // Read existing data
-            const fileContent = await fs.promises.readFile(outputFilename, 'utf8');
-            let data = [];
-            try {
-              data = JSON.parse(fileContent);
-              if (!Array.isArray(data)) data = [];
-            } catch (err) {
-              data = [];
-            }
-
-            // Append only addresses
-            data.push(...dataToWrite.map(item => item.address));
-
-            // Write atomically
-            await writeFileAtomic(outputFilename, JSON.stringify(data, null, 2));
-          } else {
-            // For TXT format, append addresses only
-            const lines = dataToWrite.map(item => item.address).join('\n') + '\n';
-            await fs.promises.appendFile(outputFilename, lines);
-          }
-        });
-      }
-      
-      if (secretDataToWrite && secretDataToWrite.length > 0) {
-        await secretQueue.enqueue(async () => {
-          if (outputFormat === 'json') {
-            // Read existing data
-            const fileContent = await fs.promises.readFile(secretFilename, 'utf8');
-            let data = [];
-            try {
-              data = JSON.parse(fileContent);
-              if (!Array.isArray(data)) data = [];
-            } catch (err) {
-              data = [];
-            }
-
-            // Append only secrets
-            const secrets = secretDataToWrite.map(item => item.privateKey || item.mnemonic);
-            data.push(...secrets);
+  const finish = async (reason, exitCode) => {
+    if (isFinishing) return;
+    isFinishing = true;
+    clearInterval(updateInterval);
+    spinner.stop();
+    await workerManager.shutdown();
 
-            // Write atomically
-            await writeFileAtomic(secretFilename, JSON.stringify(data, null, 2));
-          } else {
-            // For TXT format, append secrets only
-            const lines = secretDataToWrite.map(item => item.privateKey || item.mnemonic).join('\n') + '\n';
-            await fs.promises.appendFile(secretFilename, lines);
-          }
-        });
-      }
-    } else if (outputMode === 'combined' || outputMode === 'both') {
-      // For combined and both modes, save address:secret pairs
-      const dataToWrite = await fileQueue.forceFlush();
-      if (!dataToWrite || dataToWrite.length === 0) return;
+    const generated = workerManager.getTotalAddresses();
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
+    console.log(chalk.bold(`≡ Statistics:`));
+    console.log(`   ${chalk.bold('Found:')} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}`);
+    console.log(`   Generated: ${chalk.yellow(generated.toLocaleString())}`);
+    console.log(`   Speed (addr/s): ${chalk.cyan(Math.floor(generated / elapsedSeconds).toLocaleString())}`);
+    console.log(`   Time elapsed: ${chalk.magenta(formatDuration(elapsedSeconds))}\n`);
 
-      await fileQueue.enqueue(async () => {
-        if (outputFormat === 'json') {
-          // Read existing data
-          const fileContent = await fs.promises.readFile(outputFilename, 'utf8');
-          let data = [];
-          try {
-            data = JSON.parse(fileContent);
-            if (!Array.isArray(data)) data = [];
-          } catch (err) {
-            data = [];
-          }
+    if (reason) {
+      console.log(chalk.yellow(`${reason}\n`));
+    }
 
-          // Append new data
-          data.push(...dataToWrite);
+    try {
+      await fileQueue.enqueue(() => outputWriter.close());
+    } catch (err) {
+      console.error(chalk.red(`Error: Could not save results: ${err.message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
 
-          // Write atomically
-          await writeFileAtomic(outputFilename, JSON.stringify(data, null, 2));
-        } else {
-          // For TXT format, append lines
-          const lines = dataToWrite.map(item => {
-            // Determine which secret to use for TXT format
-            const secret = item.privateKey || item.mnemonic;
-            return `${item.address}:${secret}`;
-          }).join('\n') + '\n';
-          
-          // Append to file
-          await fs.promises.appendFile(outputFilename, lines);
-        }
+    if (results.length > 0) {
+      console.log(chalk.dim.blue.bold(`PROGRAM ADDRESSES:\n`));
+      results.forEach(({address, seeds, bump}, index) => {
+        console.log(chalk.underline.cyan(`Address ${index + 1}`));
+        console.log(address);
+        console.log(chalk.dim(`Seeds: ${seeds.join(', ')}`));
+        console.log(chalk.dim(`Bump: ${bump}\n`));
       });
+      console.log(chalk.cyan(`Results have been saved to file: ${chalk.white(outputFilename)}\n`));
     }
+
+    process.exit(exitCode);
   };
 
-  // Create worker manager with message handler
   const workerManager = new WorkerManager(
     threadCount,
-    {prefix, suffix, collectStats, blacklist, outputPrivateKeys, isRandomGeneration, targetCount: count},
-    async (message, workerId) => {
-      // Handle performance metrics
-      if (message.type === 'performance' && collectStats) {
-        const metrics = message.metrics;
-        const oldSamples = performanceData.samples;
-        const newSamples = oldSamples + CONFIG.PERFORMANCE_SAMPLE_SIZE;
-
-        // Calculate weighted average
-        performanceData.total = (performanceData.total * oldSamples + metrics.total * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
-        performanceData.seed = (performanceData.seed * oldSamples + metrics.seed * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
-        performanceData.derive = (performanceData.derive * oldSamples + metrics.derive * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
-        performanceData.keypair = (performanceData.keypair * oldSamples + metrics.keypair * CONFIG.PERFORMANCE_SAMPLE_SIZE) / newSamples;
-        performanceData.samples = newSamples;
+    {
+      // Random seeds may repeat and duplicates are dropped here, so only counters cap the matches workers report
+      patterns: [{prefix, suffix, remaining: variable.kind === 'bytes' ? Infinity : count}],
+      ignoreCase, regex: null, collectStats: false, blacklist: new Set(),
+      outputPrivateKeys: false, rawMode: false, isRandomGeneration: false,
+      pda: {
+        programId: programId.toBase58(),
+        seeds: seeds.map(seed => seed.variable ? null : seed.bytes.toString('hex')),
+        variable,
+        start: start.toString()
       }
-      // Handle found addresses
-      else if (message.type === 'result') {
-        // Skip if we've already reached the target or are completing
-        if (results.length >= count || isCompleting) {
-          return;
-        }
+    },
+    async (message) => {
+      if (message.type === 'result' && !isFinishing) {
+        // Random seeds can repeat in theory, counters never do
+        if (results.some(result => result.address === message.address)) return;
 
-        // Determine which secret to use (private key or mnemonic)
-        const secret = outputPrivateKeys && message.privateKey ? message.privateKey : message.mnemonic;
-
-        // Add to results
-        results.push({
+        const result = {
           address: message.address,
-          mnemonic: message.mnemonic,
-          privateKey: message.privateKey,
-          secret: secret
+          programId: programId.toBase58(),
+          seeds: seeds.map(seed => seed.variable ? message.seed : seed.spec),
+          bump: message.bump
+        };
+        results.push(result);
+        fileQueue.enqueue(() => outputWriter.append([result])).catch((err) => {
+          console.error(chalk.red(`\nError: Could not save results: ${err.message}`));
+          process.exit(EXIT_CODES.ERROR);
         });
 
-        // Buffer for file output
-        if (outputMode === 'combined' || outputMode === 'both') {
-          const dataItem = outputPrivateKeys
-            ? {address: message.address, privateKey: message.privateKey || secret}
-            : {address: message.address, mnemonic: message.mnemonic};
-          fileQueue.addToBuffer(dataItem);
-        } else if (outputMode === 'split') {
-          // Buffer addresses and secrets separately
-          fileQueue.addToBuffer({address: message.address});
-          secretQueue.addToBuffer({
-            privateKey: outputPrivateKeys ? (message.privateKey || secret) : null,
-            mnemonic: !outputPrivateKeys ? message.mnemonic : null
-          });
+        if (results.length >= count) {
+          await finish(null, EXIT_CODES.COMPLETE);
         }
-
-        // Check if we've reached the target count
-        if (results.length >= count && !isCompleting) {
-          isCompleting = true; // Set flag to prevent multiple calls
-          await handleCompletion();
+      } else if (message.type === 'exhausted') {
+        exhaustedWorkers++;
+        if (exhaustedWorkers >= threadCount) {
+          await finish(`✖ The ${variable.kind} counter ran out of values`, results.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.NONE_FOUND);
         }
       }
     }
   );
 
-  /**
-   * Cleanup function for graceful shutdown
-   * @param {string} signal - Signal name that triggered shutdown
-   */
-  const cleanupAndExit = async (signal) => {
-    // Stop the update interval first to freeze the display
-    clearInterval(updateInterval);
+  process.on('SIGINT', () => finish('❌ Interrupted by SIGINT', EXIT_CODES.ERROR));
+  process.on('SIGTERM', () => finish('❌ Interrupted by SIGTERM', EXIT_CODES.ERROR));
 
-    // Stop spinner without clearing the output
-    spinner.stop();
+  const updateInterval = setInterval(() => {
+    const generated = workerManager.getTotalAddresses();
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
+    const speed = generated / elapsedSeconds;
+    const remainingAttempts = (count - results.length) / probability;
+
+    spinner.text = chalk.bold(`Searching program addresses...\n`)
+      + `   ${chalk.bold('Found:')} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}\n`
+      + `   Generated: ${chalk.yellow(generated.toLocaleString())}\n`
+      + `   Speed (addr/s): ${chalk.cyan(Math.floor(speed).toLocaleString())}\n`
+      + `   Time elapsed: ${chalk.magenta(formatDuration(elapsedSeconds))}\n`
+      + `   ETA: ${chalk.magenta(formatDuration(speed > 0 ? remainingAttempts / speed : Infinity))}\n`;
+  }, CONFIG.UPDATE_INTERVAL);
 
-    // Calculate final statistics
-    const grandTotalAddresses = workerManager.getTotalAddresses();
-    const elapsedNs = Bun.nanoseconds() - startTimeNs;
-    const elapsedSeconds = elapsedNs / 1_000_000_000;
-    const finalSpeed = Math.floor(grandTotalAddresses / elapsedSeconds);
+  await workerManager.start();
+};
 
-    // Format elapsed time
-    const minutes = Math.floor(elapsedSeconds / 60);
-    const seconds = Math.floor(elapsedSeconds % 60);
-    const timeFormatted = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+/**
+ * Grinds createWithSeed seed strings until the derived account address matches a vanity pattern
+ * The base key signs for these accounts, so results hold only seeds and addresses
+ * @param {Object} options - Seed grind options from command line
+ */
+const grindSeedAddresses = async (options) => {
+  const prefix = options.prefix || '';
+  const suffix = options.suffix || '';
+  const ignoreCase = options.ignoreCase || false;
+  const count = options.count || 1;
+  const threadCount = options.threads || os.cpus().length;
+  const outputMode = options.output || 'combined';
+  const outputFormat = options.format || 'json';
+  const seedPrefix = options.seedPrefix || '';
+  const random = options.random || false;
+  const seedLength = options.length === undefined ? 16 : Number(options.length);
+
+  if (!prefix && !suffix) {
+    console.error(chalk.red('Error: Provide a prefix (-p) and/or suffix (-x) for the account address'));
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(count) || count < 1 || !Number.isInteger(threadCount) || threadCount < 1) {
+    console.error(chalk.red('Error: Count and thread count must be positive numbers'));
+    process.exit(1);
+  }
+
+  if (!['display', 'combined', 'split', 'both'].includes(outputMode)) {
+    console.error(chalk.red('Error: Output mode must be "display", "combined", "split", or "both"'));
+    process.exit(1);
+  }
+
+  if (!Object.hasOwn(FORMAT_EXTENSIONS, outputFormat)) {
+    console.error(chalk.red('Error: Format must be "json", "ndjson", "txt" or "csv"'));
+    process.exit(1);
+  }
+
+  let base;
+  let owner;
+  try {
+    base = new PublicKey(options.base);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid base public key: ${options.base}`));
+    process.exit(1);
+  }
+  try {
+    owner = new PublicKey(SEED_OWNER_PROGRAMS[options.owner] || options.owner);
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid owner: ${options.owner} (use ${Object.keys(SEED_OWNER_PROGRAMS).join(', ')} or a program ID)`));
+    process.exit(1);
+  }
+
+  let prefixPositions;
+  let suffixPositions;
+  try {
+    prefixPositions = parseVanityPattern(prefix, ignoreCase);
+    suffixPositions = parseVanityPattern(suffix, ignoreCase);
+  } catch (err) {
+    console.error(chalk.red(`Error: Prefix and suffix must contain only valid Base58 characters (${err.message})`));
+    process.exit(1);
+  }
+
+  if (prefixPositions.length > 7 || suffixPositions.length > 7) {
+    console.error(chalk.red('Error: Prefix and suffix must be 7 characters or less'));
+    process.exit(1);
+  }
+
+  // The fixed seed text must leave room for the part that varies
+  const seedPrefixLength = Buffer.byteLength(seedPrefix);
+  if (random) {
+    if (!Number.isInteger(seedLength) || seedLength <= seedPrefixLength || seedLength > ACCOUNT_SEED_MAX_LENGTH) {
+      console.error(chalk.red(`Error: --length must be longer than --seed-prefix and at most ${ACCOUNT_SEED_MAX_LENGTH}`));
+      process.exit(1);
+    }
+  } else {
+    if (!/^\d+$/.test(String(options.start ?? 0))) {
+      console.error(chalk.red(`Error: --start must be a non-negative whole number, got "${options.start}"`));
+      process.exit(1);
+    }
+    if (seedPrefixLength + String(BigInt(options.start ?? 0)).length > ACCOUNT_SEED_MAX_LENGTH) {
+      console.error(chalk.red(`Error: Seeds are limited to ${ACCOUNT_SEED_MAX_LENGTH} bytes, --seed-prefix and --start leave no room`));
+      process.exit(1);
+    }
+  }
+  const start = random ? 0n : BigInt(options.start ?? 0);
+
+  const probability = calculateMatchProbability(prefixPositions, suffixPositions);
+  if (probability === 0) {
+    console.error(chalk.red('Error: No Solana address can match this pattern'));
+    process.exit(1);
+  }
+
+  // Output files: addresses (with seeds unless split) and, in split mode, seeds alongside
+  let outputFilename = null;
+  let seedFilename = null;
+  if (outputMode !== 'display') {
+    const extension = FORMAT_EXTENSIONS[outputFormat];
+    const baseName = options.filename
+      ? path.basename(options.filename, path.extname(options.filename))
+      : `${Math.floor(Date.now() / 1000)}-seed-address`;
+    outputFilename = path.join('address', baseName + extension);
+    if (outputMode === 'split') {
+      seedFilename = path.join('address', `${baseName}-seeds${extension}`);
+    }
+  }
+
+  const seedLabel = random
+    ? `${seedPrefix}${'*'.repeat(seedLength - seedPrefixLength)} (random)`
+    : `${seedPrefix}${start}, ${seedPrefix}${start + 1n}, ...`;
+  const ownerName = Object.keys(SEED_OWNER_PROGRAMS).find(name => SEED_OWNER_PROGRAMS[name] === owner.toBase58());
+
+  console.log(chalk.dim(`Base: ${chalk.cyan(base.toBase58())}`));
+  console.log(chalk.dim(`Owner: ${chalk.cyan(owner.toBase58())}${ownerName ? ` (${ownerName})` : ''}`));
+  console.log(chalk.dim(`Seeds: ${chalk.cyan(seedLabel)}`));
+  console.log(chalk.dim(`Prefix: ${chalk.cyan(prefix || '-')}`));
+  console.log(chalk.dim(`Suffix: ${chalk.cyan(suffix || '-')}`));
+  if (ignoreCase) {
+    console.log(chalk.dim(`Case: ${chalk.cyan('insensitive')}`));
+  }
+  console.log(chalk.dim(`Difficulty: ${chalk.cyan('1 in ' + Math.round(1 / probability).toLocaleString())}`));
+  console.log(chalk.dim(`Addresses: ${chalk.cyan(count)}`));
+  console.log(chalk.dim(`Threads spawned: ${chalk.cyan(threadCount)}`));
+  console.log(chalk.dim(`Output mode: ${chalk.cyan(outputMode)}`));
+  console.log();
+
+  // Matches are appended as they are found, so a crash keeps everything found before it
+  const outputWriter = outputFilename ? new AddressFileWriter(outputFilename, outputFormat) : null;
+  const seedWriter = seedFilename ? new AddressFileWriter(seedFilename, outputFormat, {column: 'seed'}) : null;
+  const fileQueue = new FileOperationQueue();
+  if (outputWriter) {
+    try {
+      await fs.promises.mkdir('address', {recursive: true});
+      await outputWriter.open(true);
+      await seedWriter?.open(true);
+    } catch (err) {
+      console.error(chalk.red(`Error initializing output file: ${err.message}`));
+      process.exit(1);
+    }
+  }
+
+  const results = [];
+  let exhaustedWorkers = 0;
+  let isFinishing = false;
+  const startTime = performance.now();
+
+  const spinner = ora({text: 'Searching seeds...', color: 'cyan'}).start();
+
+  /**
+   * Appends one match to the output files in the selected output mode and format
+   * @param {Object} result - Match with address, seed, base and owner
+   */
+  const writeResult = async (result) => {
+    if (outputMode === 'split') {
+      await outputWriter.append([result.address]);
+      await seedWriter.append([result.seed]);
+    } else {
+      await outputWriter.append([outputFormat === 'txt' ? `${result.address}:${result.seed}` : result]);
+    }
+  };
+
+  /**
+   * Closes the output files and prints results, then shuts the workers down
+   * @param {string|null} reason - Why the search stopped early, or null when complete
+   * @param {number} exitCode - Process exit code
+   */
+  const finish = async (reason, exitCode) => {
+    if (isFinishing) return;
+    isFinishing = true;
+    clearInterval(updateInterval);
+    spinner.stop();
+    await workerManager.shutdown();
 
-    // Display final statistics
+    const generated = workerManager.getTotalAddresses();
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
     console.log(chalk.bold(`≡ Statistics:`));
-    console.log(`   ${chalk.bold(`Found:`)} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}`);
-    console.log(`   Generated: ${chalk.yellow(grandTotalAddresses.toLocaleString())}`);
-    if (!isRandomGeneration) {
-      console.log(`   Success rate: ${chalk.green((results.length / grandTotalAddresses * 100).toFixed(5) + '%')}`);
+    console.log(`   ${chalk.bold('Found:')} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}`);
+    console.log(`   Generated: ${chalk.yellow(generated.toLocaleString())}`);
+    console.log(`   Speed (addr/s): ${chalk.cyan(Math.floor(generated / elapsedSeconds).toLocaleString())}`);
+    console.log(`   Time elapsed: ${chalk.magenta(formatDuration(elapsedSeconds))}\n`);
+
+    if (reason) {
+      console.log(chalk.yellow(`${reason}\n`));
     }
-    console.log(`   Speed (addr/s): ${chalk.cyan(finalSpeed.toLocaleString())}`);
-    console.log(`   Time elapsed: ${chalk.magenta(timeFormatted)}`);
 
-    // Display performance data if it was being collected
-    if (collectStats && performanceData && performanceData.samples > 0) {
-      console.log(chalk.dim(`\n≡ Performance (ms):`));
-      console.log(chalk.dim(`   Time per address: ${performanceData.total.toFixed(2)}`));
-      console.log(chalk.dim(`   Seed: ${performanceData.seed.toFixed(2)} (${(performanceData.seed / performanceData.total * 100).toFixed(1)}%)`));
-      console.log(chalk.dim(`   Derive: ${performanceData.derive.toFixed(2)} (${(performanceData.derive / performanceData.total * 100).toFixed(1)}%)`));
-      console.log(chalk.dim(`   Keypair: ${performanceData.keypair.toFixed(2)} (${(performanceData.keypair / performanceData.total * 100).toFixed(1)}%)`));
+    if (outputWriter) {
+      try {
+        await fileQueue.enqueue(async () => {
+          await outputWriter.close();
+          await seedWriter?.close();
+        });
+      } catch (err) {
+        console.error(chalk.red(`Error: Could not save results: ${err.message}`));
+        process.exit(EXIT_CODES.ERROR);
+      }
     }
 
-    // Now show the interruption message
-    console.log(chalk.red(`\n❌ Interrupted by ${signal}\n`));
+    if (results.length > 0 && outputFilename) {
+      if (seedFilename) {
+        console.log(chalk.cyan(`Results have been saved to files:\n`));
+        console.log(chalk.white(`  • Addresses: ${outputFilename}`));
+        console.log(chalk.white(`  • Seeds: ${seedFilename}\n`));
+      } else {
+        console.log(chalk.cyan(`Results have been saved to file: ${chalk.white(outputFilename)}\n`));
+      }
+    }
 
-    // IMPORTANT: Force flush any buffered data before exiting
-    await saveBufferedAddresses();
+    if (results.length > 0 && (outputMode === 'display' || outputMode === 'both')) {
+      console.log(chalk.dim.blue.bold(`SEED ADDRESSES:\n`));
+      results.forEach(({address, seed}, index) => {
+        console.log(chalk.underline.cyan(`Address ${index + 1}`));
+        console.log(address);
+        console.log(chalk.dim(`Seed: ${seed}\n`));
+      });
+    }
 
-    // If any results were saved, notify the user
-    if (results.length > 0 && (outputMode === 'combined' || outputMode === 'both')) {
-      console.log(chalk.yellow(`💾 Partial results (${results.length} addresses) have been saved to: ${chalk.white(outputFilename)}\n`));
-    } else if (results.length > 0 && outputMode === 'split') {
-      console.log(chalk.yellow(`💾 Partial results (${results.length} addresses) have been saved to:`));
-      console.log(chalk.white(`  • Addresses: ${outputFilename}`));
-      console.log(chalk.white(`  • Secrets: ${secretFilename}\n`));
+    if (results.length > 0) {
+      console.log(chalk.dim(`Create these accounts with createAccountWithSeed, signed by the base key ${base.toBase58()}\n`));
     }
 
-    // Shutdown workers
-    await workerManager.shutdown();
-    process.exit(1);
+    process.exit(exitCode);
   };
 
-  // Register signal handlers for graceful shutdown
-  process.on('SIGINT', () => cleanupAndExit('SIGINT'));
-  process.on('SIGTERM', () => cleanupAndExit('SIGTERM'));
+  const workerManager = new WorkerManager(
+    threadCount,
+    {
+      // Random seeds may repeat and duplicates are dropped here, so only counters cap the matches workers report
+      patterns: [{prefix, suffix, remaining: random ? Infinity : count}],
+      ignoreCase, regex: null, collectStats: false, blacklist: new Set(),
+      outputPrivateKeys: false, rawMode: false, isRandomGeneration: false,
+      seedGrind: {
+        base: base.toBase58(),
+        owner: owner.toBase58(),
+        prefix: seedPrefix,
+        random,
+        length: seedLength,
+        start: start.toString()
+      }
+    },
+    async (message) => {
+      if (message.type === 'result' && !isFinishing) {
+        // Random seeds can repeat in theory, counters never do
+        if (results.some(result => result.address === message.address)) return;
+
+        const result = {address: message.address, seed: message.seed, base: base.toBase58(), owner: owner.toBase58()};
+        results.push(result);
+        if (outputWriter) {
+          fileQueue.enqueue(() => writeResult(result)).catch((err) => {
+            console.error(chalk.red(`\nError: Could not save results: ${err.message}`));
+            process.exit(EXIT_CODES.ERROR);
+          });
+        }
+
+        if (results.length >= count) {
+          await finish(null, EXIT_CODES.COMPLETE);
+        }
+      } else if (message.type === 'exhausted') {
+        exhaustedWorkers++;
+        if (exhaustedWorkers >= threadCount) {
+          await finish(`✖ Seed counters ran past ${ACCOUNT_SEED_MAX_LENGTH} bytes`, results.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.NONE_FOUND);
+        }
+      }
+    }
+  );
+
+  process.on('SIGINT', () => finish('❌ Interrupted by SIGINT', EXIT_CODES.ERROR));
+  process.on('SIGTERM', () => finish('❌ Interrupted by SIGTERM', EXIT_CODES.ERROR));
 
-  // Update spinner with progress information
   const updateInterval = setInterval(() => {
-    const grandTotalAddresses = workerManager.getTotalAddresses();
-    const elapsedNs = Bun.nanoseconds() - startTimeNs;
-    const elapsedSeconds = elapsedNs / 1_000_000_000;
-    const speed = Math.floor(grandTotalAddresses / elapsedSeconds);
+    const generated = workerManager.getTotalAddresses();
+    const elapsedSeconds = (performance.now() - startTime) / 1000;
+    const speed = generated / elapsedSeconds;
+    const remainingAttempts = (count - results.length) / probability;
+
+    spinner.text = chalk.bold(`Searching seeds...\n`)
+      + `   ${chalk.bold('Found:')} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}\n`
+      + `   Generated: ${chalk.yellow(generated.toLocaleString())}\n`
+      + `   Speed (addr/s): ${chalk.cyan(Math.floor(speed).toLocaleString())}\n`
+      + `   Time elapsed: ${chalk.magenta(formatDuration(elapsedSeconds))}\n`
+      + `   ETA: ${chalk.magenta(formatDuration(speed > 0 ? remainingAttempts / speed : Infinity))}\n`;
+  }, CONFIG.UPDATE_INTERVAL);
 
-    // Format elapsed time as MM:SS
-    const minutes = Math.floor(elapsedSeconds / 60);
-    const seconds = Math.floor(elapsedSeconds % 60);
-    const timeFormatted = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  await workerManager.start();
+};
 
-    // Build status text
-    let statusText = chalk.bold(`Processing addresses...\n`);
-    statusText += `   ${chalk.bold(`Found:`)} ${results.length > 0 ? chalk.dim.green.bold(results.length) : chalk.dim.red.bold(results.length)}\n   Generated: ${chalk.yellow(grandTotalAddresses.toLocaleString())}\n   Speed (addr/s): ${chalk.cyan(speed.toLocaleString())}\n   Time elapsed: ${chalk.magenta(timeFormatted)}\n`;
+/**
+ * Creates the requester's half of a split key
+ * Only the public point is shared with the grinder; the secret scalar stays in the saved file
+ * @param {Object} options - Command options (filename)
+ */
+const initSplitKey = async (options) => {
+  const addressDir = 'address';
+  const filename = path.join(addressDir, options.filename
+    ? path.basename(options.filename, path.extname(options.filename)) + '.json'
+    : `${Math.floor(Date.now() / 1000)}-splitkey.json`);
 
-    // Add performance stats if enabled
-    if (collectStats && performanceData && performanceData.samples > 0) {
-      statusText += chalk.dim(`\n≡ Performance (ms):\n`
-        + `   Time per address: ${performanceData.total.toFixed(2)}\n`
-        + `   Seed: ${chalk.dim(performanceData.seed.toFixed(2))} (${chalk.dim((performanceData.seed / performanceData.total * 100).toFixed(1))}%)\n`
-        + `   Derive: ${chalk.dim(performanceData.derive.toFixed(2))} (${chalk.dim((performanceData.derive / performanceData.total * 100).toFixed(1))}%)\n`
-        + `   Keypair: ${chalk.dim(performanceData.keypair.toFixed(2))} (${chalk.dim((performanceData.keypair / performanceData.total * 100).toFixed(1))}%)\n`);
-    }
+  if (fs.existsSync(filename)) {
+    console.error(chalk.red(`Error: ${filename} already exists and holds a secret; choose another --filename`));
+    process.exit(1);
+  }
 
-    spinner.text = statusText;
-  }, CONFIG.UPDATE_INTERVAL);
+  const secretScalar = randomScalar();
+  const publicKey = bs58.encode(ed25519.ExtendedPoint.BASE.multiply(secretScalar).toRawBytes());
 
-  /**
-   * Handles completion of address generation
-   * Saves remaining data, displays results, and shuts down
-   */
-  const handleCompletion = async () => {
-    // Prevent multiple executions
-    if (hasCompleted) return;
-    hasCompleted = true;
+  try {
+    await fs.promises.mkdir(addressDir, {recursive: true});
+    // Readable only by the owner, and never written over a split key created meanwhile
+    await fs.promises.writeFile(filename, JSON.stringify({publicKey, secretKey: bs58.encode(scalarToBytes(secretScalar))}, null, 2), {mode: 0o600, flag: 'wx'});
+  } catch (err) {
+    console.error(chalk.red(`Error: Could not save split key: ${err.message}`));
+    process.exit(1);
+  }
 
-    // Calculate final statistics
-    const grandTotalAddresses = workerManager.getTotalAddresses();
-    const elapsedNs = Bun.nanoseconds() - startTimeNs;
-    const elapsedSeconds = elapsedNs / 1_000_000_000;
-    const finalSpeed = Math.floor(grandTotalAddresses / elapsedSeconds);
+  console.log(chalk.dim.green.bold(`✔ Split key created\n`));
+  console.log(`   Public key: ${chalk.cyan(publicKey)}`);
+  console.log(`   Secret half: ${chalk.white(filename)}\n`);
+  console.log(chalk.yellow(`⚠️  Keep ${filename} private. It is needed to finish every address ground for this key.\n`));
+  console.log(chalk.bold('Give the grinder only the public key:'));
+  console.log(`   solvanity generate --split-key ${publicKey} -p <prefix>\n`);
+  console.log(chalk.bold('Then complete the results it sends back:'));
+  console.log(`   solvanity splitkey combine <results file> --key ${path.basename(filename)}\n`);
+};
 
-    // Stop UI updates
-    clearInterval(updateInterval);
-    spinner.stop();
+/**
+ * Completes partial keys from a split-key search with the requester's secret half
+ * Every combined key is checked against the address the grinder reported
+ * @param {string} file - Results file from generate --split-key (JSON, NDJSON, TXT or CSV)
+ * @param {Object} options - Command options (key, format, filename, passwordFd, identity)
+ */
+const combineSplitKeys = async (file, options) => {
+  const addressDir = 'address';
 
-    // IMPORTANT: Force flush any remaining buffered addresses before displaying results
-    // This ensures all found addresses are saved to file
-    await saveBufferedAddresses();
+  // Look in the address directory first, like split and convert
+  const locate = (name) => {
+    const fullPath = path.join(addressDir, name);
+    if (fs.existsSync(fullPath)) return fullPath;
+    if (fs.existsSync(name)) return name;
+    console.error(chalk.red(`Error: File not found: ${fullPath}`));
+    process.exit(1);
+  };
+  const resultsPath = locate(file);
+  const keyPath = locate(options.key);
 
-    // Display performance statistics if enabled
-    if (collectStats && performanceData && performanceData.samples > 0) {
-      console.log(chalk.dim('Performance data:'));
-      console.log(chalk.dim(`  Average time per address: ${performanceData.total.toFixed(3)} ms`));
-      console.log(chalk.dim(`  Seed generation: ${performanceData.seed.toFixed(3)} ms (${(performanceData.seed / performanceData.total * 100).toFixed(1)}%)`));
-      console.log(chalk.dim(`  Key derivation: ${performanceData.derive.toFixed(3)} ms (${(performanceData.derive / performanceData.total * 100).toFixed(1)}%)`));
-      console.log(chalk.dim(`  Keypair creation: ${performanceData.keypair.toFixed(3)} ms (${(performanceData.keypair / performanceData.total * 100).toFixed(1)}%)\n`));
+  let publicKey;
+  let secretScalar;
+  try {
+    const keyFile = JSON.parse(await fs.promises.readFile(keyPath, 'utf8'));
+    secretScalar = bytesToScalar(bs58.decode(keyFile.secretKey));
+    publicKey = keyFile.publicKey;
+    if (secretScalar === 0n || secretScalar >= ED25519_ORDER
+      || bs58.encode(ed25519.ExtendedPoint.BASE.multiply(secretScalar).toRawBytes()) !== publicKey) {
+      throw new Error('secret and public key do not belong together');
     }
+  } catch (err) {
+    console.error(chalk.red(`Error: Invalid split key file ${keyPath}: ${err.message}`));
+    process.exit(1);
+  }
 
-    // Display completion summary based on generation mode
-    if (isRandomGeneration) {
-      console.log(chalk.dim.green.bold(`✔ Generated ${chalk.white(count)} random addresses in ${chalk.white(elapsedSeconds.toFixed(2))} seconds\n`));
-    } else {
-      console.log(chalk.dim.green.bold(`✔ Done in ${chalk.white(elapsedSeconds.toFixed(2))} seconds after processing ${chalk.white(grandTotalAddresses.toLocaleString())} addresses, with an average of ${chalk.white(finalSpeed.toLocaleString())} addr/s\n`));
-    }
+  // Results are read in any format generate writes, and combined into the same format
+  const inputFormat = formatOfExtension(path.extname(resultsPath));
+  if (!inputFormat) {
+    console.error(chalk.red('Error: Unsupported file format. Only .json, .ndjson, .txt and .csv files are supported.'));
+    process.exit(1);
+  }
 
-    // Display file save confirmation
-    if (outputMode === 'combined' || outputMode === 'both') {
-      console.log(chalk.cyan(`Results have been saved to file: ${chalk.white(outputFilename)}\n`));
-      if (outputPrivateKeys) {
-        console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
-        console.log(chalk.yellow(`   Keep this file secure and never share it.\n`));
-      }
-    } else if (outputMode === 'split') {
-      console.log(chalk.cyan(`Results have been saved to files:\n`));
-      console.log(chalk.white(`  • Addresses: ${outputFilename}`));
-      console.log(chalk.white(`  • Secrets: ${secretFilename}\n`));
-      if (outputPrivateKeys) {
-        console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
-        console.log(chalk.yellow(`   Keep the secret file secure and never share it.\n`));
-      }
+  // An address:key line cannot say that the key is expanded, and wallets would reject it
+  const outputFormat = options.format || inputFormat;
+  if (outputFormat === 'txt') {
+    console.error(chalk.red('Error: Combined keys are expanded ed25519 keys that TXT lines cannot mark as such. Save them with -f json, ndjson or csv'));
+    process.exit(1);
+  }
+  if (!Object.hasOwn(FORMAT_EXTENSIONS, outputFormat)) {
+    console.error(chalk.red('Error: Output format must be "json", "ndjson" or "csv"'));
+    process.exit(1);
+  }
+  let items;
+  let createSealer;
+  try {
+    let content;
+    ({content, createSealer} = await readAddressFile(resultsPath, options));
+    let column;
+    ({entries: items, column} = parseAddressEntries(content, inputFormat));
+
+    // Only combined results pair each partial key with the address to check it against
+    const variant = detectAddressVariant(items, column, resultsPath);
+    if (variant.split || variant.field !== 'partialKey') {
+      throw new Error(`expected combined split-key results, found a ${variant.description} file`);
     }
+  } catch (err) {
+    console.error(chalk.red(`Error: Could not read ${resultsPath}: ${err.message}`));
+    process.exit(1);
+  }
 
-    // Display results on screen if requested
-    if (outputMode === 'display' || outputMode === 'both') {
-      console.log(chalk.dim.blue.bold(`GENERATED ADDRESSES:\n`));
-
-      results.slice(0, count).forEach(({address, secret}, index) => {
-        console.log(chalk.underline.cyan(`Address ${index + 1}`));
+  const combined = [];
+  for (const [index, item] of items.entries()) {
+    const label = `Result ${index + 1} (${item.address})`;
+    if (item.splitKey && item.splitKey !== publicKey) {
+      console.error(chalk.red(`Error: ${label} was ground for split key ${item.splitKey}, not ${publicKey}`));
+      process.exit(1);
+    }
 
-        // Display QR code if enabled
-        if (showQRCodes) {
-          qrcode.generate(address, {small: true});
-        }
+    let result;
+    try {
+      const partialBytes = bs58.decode(item.partialKey || '');
+      if (partialBytes.length !== 32) throw new Error('bad length');
+      result = combineSplitKey(secretScalar, bytesToScalar(partialBytes));
+    } catch (err) {
+      console.error(chalk.red(`Error: ${label} has no valid partial key`));
+      process.exit(1);
+    }
 
-        console.log(address);
-        console.log(chalk.dim(secret));
-        console.log();
-      });
+    // A mismatch means a wrong key file or a tampered result, never save it
+    if (result.address !== item.address) {
+      console.error(chalk.red(`Error: ${label} does not match the combined key. Check that the results belong to this split key.`));
+      process.exit(1);
     }
+    // CSV labels stay with their keys
+    combined.push(item.label ? {label: item.label, ...result} : result);
+  }
 
-    // Shutdown workers and exit
-    await workerManager.shutdown();
-    process.exit(0);
-  };
+  const extension = FORMAT_EXTENSIONS[outputFormat];
+  const outputFilename = path.join(addressDir, options.filename
+    ? path.basename(options.filename, path.extname(options.filename)) + extension
+    : `${path.basename(resultsPath, path.extname(resultsPath))}-combined${extension}`);
 
-  // Start worker threads
-  await workerManager.start();
+  // Keys completed from encrypted partial keys are encrypted the same way
+  const seal = createSealer ? await createSealer() : (secret) => secret;
+  try {
+    await writeFileAtomic(outputFilename, formatAddressFile(combined.map(item => sealItem(item, seal)), outputFormat));
+  } catch (err) {
+    console.error(chalk.red(`Error: Could not save ${outputFilename}: ${err.message}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.dim.green.bold(`✔ Combined ${chalk.white(combined.length)} keys, every address verified\n`));
+  console.log(chalk.cyan(`Results have been saved to file: ${chalk.white(outputFilename)}\n`));
+  console.log(chalk.yellow(`⚠️  Warning: Private keys have been saved!`));
+  console.log(chalk.yellow(`   Keep this file secure and never share it.\n`));
+  console.log(chalk.dim(`Split keys are expanded ed25519 keys (scalar + nonce prefix), not seeds. Wallets that import`));
+  console.log(chalk.dim(`Solana private keys cannot load them; sign with a library that accepts expanded keys.\n`));
 };
 
 /**
@@ -1810,120 +5715,424 @@ const distributeTokens = async (options) => {
     // Display file save confirmation
     console.log(chalk.cyan(`\nResults saved to: ${chalk.white(filename)}\n`));
 
-  } catch (err) {
-    console.error(chalk.red(`Error saving distribution: ${err.message}`));
-    process.exit(1);
-  }
-};
+  } catch (err) {
+    console.error(chalk.red(`Error saving distribution: ${err.message}`));
+    process.exit(1);
+  }
+};
+
+// Worker thread code - runs in separate thread context
+if (!isMainThread) {
+  const {patterns, ignoreCase, regex, collectStats, blacklist, outputPrivateKeys, rawMode, isRandomGeneration, mnemonicStrength, passphrase, accountCount = 1, derivation = parseDerivation(), pda = null, ata = null, seedGrind = null, splitKey = null, keyBackend = 'web3', workerId = 0, workerCount = 1, previousAttempts = '0'} = workerData;
+  const createKeypair = KEY_BACKENDS[keyBackend];
+  const control = openControlBlock(workerData.control, patterns.length, workerData.controlSlots);
+  let shouldShutdown = false; // Set when this worker runs out of seeds to try or fills the last pattern
+
+  /**
+   * Counts one generated candidate in this worker's shared attempt counter
+   */
+  const countAttempt = () => {
+    Atomics.add(control.attempts, workerId, 1n);
+  };
+
+  /**
+   * Checks whether this worker should stop: it ran out of work, the main
+   * thread retired it, or the main thread or another worker raised the
+   * shared stop flag
+   * @returns {boolean} True if the worker should stop
+   */
+  const stopRequested = () => shouldShutdown || Atomics.load(control.flags, CONTROL_STOP) === 1
+    || Atomics.load(control.retired, workerId) === 1;
+
+  /**
+   * Claims one of a pattern's remaining matches in the shared found counter,
+   * so workers together never report more matches than were asked for
+   * The claim that fills the last pattern raises the stop flag for every worker
+   * @param {number} id - Pattern index
+   * @returns {boolean} True if the match should be reported
+   */
+  const claimMatch = (id) => {
+    if (Atomics.add(control.found, id, 1) >= patterns[id].remaining) {
+      pendingPatterns.delete(id);
+      return false;
+    }
+    if (patterns.every(({remaining}, index) => Atomics.load(control.found, index) >= remaining)) {
+      Atomics.store(control.flags, CONTROL_STOP, 1);
+      shouldShutdown = true;
+    }
+    return true;
+  };
+
+  /**
+   * Stops checking candidates against patterns other workers have already filled
+   */
+  const dropFilledPatterns = () => {
+    for (const id of pendingPatterns.keys()) {
+      if (Atomics.load(control.found, id) >= patterns[id].remaining) {
+        pendingPatterns.delete(id);
+      }
+    }
+  };
+
+  // Initialize performance tracking with bounded arrays
+  const performanceMetrics = collectStats ? {
+    total: [],
+    seed: [],
+    derive: [],
+    keypair: [],
+    maxSamples: CONFIG.PERFORMANCE_SAMPLE_SIZE
+  } : null;
+
+  /**
+   * Records one timing sample and reports averages to the main thread
+   * once the bounded sample buffer is full
+   * @param {number} totalTime - Total time for the candidate in ms
+   * @param {number} seedTime - Seed stage time in ms
+   * @param {number} deriveTime - HD derivation stage time in ms
+   * @param {number} keypairTime - Keypair creation stage time in ms
+   */
+  const recordPerformanceSample = (totalTime, seedTime, deriveTime, keypairTime) => {
+    // Remove oldest sample if at capacity
+    if (performanceMetrics.total.length >= performanceMetrics.maxSamples) {
+      performanceMetrics.total.shift();
+      performanceMetrics.seed.shift();
+      performanceMetrics.derive.shift();
+      performanceMetrics.keypair.shift();
+    }
+
+    // Add new sample
+    performanceMetrics.total.push(totalTime);
+    performanceMetrics.seed.push(seedTime);
+    performanceMetrics.derive.push(deriveTime);
+    performanceMetrics.keypair.push(keypairTime);
+
+    // Report averages when buffer is full
+    if (performanceMetrics.total.length === performanceMetrics.maxSamples) {
+      const avgTotal = performanceMetrics.total.reduce((a, b) => a + b, 0) / performanceMetrics.total.length;
+      const avgSeed = performanceMetrics.seed.reduce((a, b) => a + b, 0) / performanceMetrics.seed.length;
+      const avgDerive = performanceMetrics.derive.reduce((a, b) => a + b, 0) / performanceMetrics.derive.length;
+      const avgKeypair = performanceMetrics.keypair.reduce((a, b) => a + b, 0) / performanceMetrics.keypair.length;
+
+      // Send performance report to main thread
+      parentPort.postMessage({
+        type: 'performance',
+        metrics: {
+          total: avgTotal,
+          seed: avgSeed,
+          derive: avgDerive,
+          keypair: avgKeypair
+        },
+        prefilter: {...prefilterStats, encodeTime}
+      });
+      prefilterStats.checked = 0;
+      prefilterStats.skipped = 0;
+      prefilterStats.time = 0;
+
+      // Clear arrays for next batch
+      performanceMetrics.total = [];
+      performanceMetrics.seed = [];
+      performanceMetrics.derive = [];
+      performanceMetrics.keypair = [];
+    }
+  };
+
+  /**
+   * Generates one keypair per account index from a mnemonic phrase
+   * The expensive seed step runs once and is shared by every account
+   * Tracks performance metrics if enabled
+   * @param {string} mnemonic - BIP39 mnemonic phrase
+   * @returns {Keypair[]} Solana keypairs for accounts 0..accountCount-1
+   */
+  const generateKeypairsFromMnemonic = (mnemonic) => {
+    // Step 1: Convert mnemonic (and optional passphrase) to seed
+    const startSeed = collectStats ? performance.now() : 0;
+    const seed = bip39.mnemonicToSeed(mnemonic, passphrase);
+    // Each address carries an equal share of the seed cost
+    const seedTime = collectStats ? (performance.now() - startSeed) / accountCount : 0;
+
+    const keypairs = [];
+    for (let accountIndex = 0; accountIndex < accountCount; accountIndex++) {
+      // Step 2: Derive key using HD path
+      const startDerive = collectStats ? performance.now() : 0;
+      const derivedSeed = deriveKeySeed(seed, derivation, accountIndex);
+      const deriveTime = collectStats ? performance.now() - startDerive : 0;
+
+      // Step 3: Create keypair
+      const startKeypair = collectStats ? performance.now() : 0;
+      keypairs.push(createKeypair(derivedSeed));
+      const keypairTime = collectStats ? performance.now() - startKeypair : 0;
+
+      // Track performance metrics with bounded arrays
+      if (collectStats) {
+        recordPerformanceSample(seedTime + deriveTime + keypairTime, seedTime, deriveTime, keypairTime);
+      }
+    }
+
+    return keypairs;
+  };
+
+  /**
+   * Generates a keypair directly from 32 random seed bytes
+   * Skips BIP39 and PBKDF2 entirely, so no mnemonic exists for the result
+   * Tracks performance metrics if enabled
+   * @returns {Keypair} Solana keypair
+   */
+  const generateRawKeypair = () => {
+    const startTotal = collectStats ? performance.now() : 0;
+
+    // Step 1: Draw random seed bytes
+    const startSeed = collectStats ? performance.now() : 0;
+    const seed = crypto.randomBytes(32);
+    const seedTime = collectStats ? performance.now() - startSeed : 0;
+
+    // Step 2: Create keypair
+    const startKeypair = collectStats ? performance.now() : 0;
+    const keypair = createKeypair(seed);
+    const keypairTime = collectStats ? performance.now() - startKeypair : 0;
+
+    const totalTime = collectStats ? performance.now() - startTotal : 0;
+
+    if (collectStats) {
+      recordPerformanceSample(totalTime, seedTime, 0, keypairTime);
+    }
+
+    return keypair;
+  };
+
+  /**
+   * Compiles a parsed pattern into per-position character lookup tables
+   * @param {string[]} positions - Allowed characters for each position
+   * @returns {Uint8Array[]} Lookup table per position, indexed by char code
+   */
+  const compilePatternTables = (positions) => positions.map(allowed => {
+    const table = new Uint8Array(128);
+    for (const char of allowed) {
+      table[char.charCodeAt(0)] = 1;
+    }
+    return table;
+  });
+
+  // Compile prefix/suffix patterns once per worker, keyed by pattern index
+  // Patterns already satisfied before a resume are never searched
+  const pendingPatterns = new Map();
+  patterns.forEach(({prefix, suffix, remaining}, index) => {
+    if (remaining <= 0) return;
+    const prefixPositions = parseVanityPattern(prefix, ignoreCase);
+    const suffixPositions = parseVanityPattern(suffix, ignoreCase);
+    pendingPatterns.set(index, {
+      prefixTables: compilePatternTables(prefixPositions),
+      suffixTables: compilePatternTables(suffixPositions),
+      prefilter: compileKeyPrefilter(prefixPositions, suffixPositions)
+    });
+  });
+
+  // Prefilter counters since the last performance report, plus the measured cost of one
+  // Base58 encoding, so --stats can show how much encoding work was skipped
+  const prefilterStats = collectStats ? {checked: 0, skipped: 0, time: 0} : null;
+  const encodeTime = collectStats ? (() => {
+    const samples = Array.from({length: 1000}, () => crypto.randomBytes(32));
+    const start = performance.now();
+    samples.forEach(bytes => bs58.encode(bytes));
+    return (performance.now() - start) / samples.length;
+  })() : 0;
+
+  /**
+   * Checks raw public key bytes against every pending pattern's prefilter
+   * Candidates that fail cannot match any pattern, so they are never Base58-encoded
+   * @param {Uint8Array} bytes - 32-byte public key
+   * @returns {boolean} True if some pending pattern may still match
+   */
+  const passesPrefilter = (bytes) => {
+    const start = collectStats ? performance.now() : 0;
+    let passed = false;
+    for (const {prefilter} of pendingPatterns.values()) {
+      if (!prefilter || keyMayMatch(bytes, prefilter)) {
+        passed = true;
+        break;
+      }
+    }
+
+    if (collectStats) {
+      prefilterStats.checked++;
+      if (!passed) prefilterStats.skipped++;
+      prefilterStats.time += performance.now() - start;
+    }
+    return passed;
+  };
+
+  // Compile the optional regular expression once per worker
+  const addressRegex = regex ? new RegExp(regex.source, regex.flags) : null;
 
-// Worker thread code - runs in separate thread context
-if (!isMainThread) {
-  const {prefix, suffix, collectStats, blacklist, outputPrivateKeys, isRandomGeneration, targetCount} = workerData;
-  let totalAddressesGenerated = 0;
-  let shouldShutdown = false;
-  let foundCount = 0; // Track found addresses for random generation
-  let hasReceivedShutdown = false; // Track if we've received shutdown message
+  /**
+   * Checks if an address matches the vanity pattern
+   * @param {string} address - Solana address to check
+   * @param {Uint8Array[]} prefixTables - Compiled prefix pattern
+   * @param {Uint8Array[]} suffixTables - Compiled suffix pattern
+   * @returns {boolean} True if address matches pattern
+   */
+  const matchesVanity = (address, prefixTables, suffixTables) => {
+    for (let i = 0; i < prefixTables.length; i++) {
+      if (!prefixTables[i][address.charCodeAt(i)]) return false;
+    }
+    const offset = address.length - suffixTables.length;
+    for (let i = 0; i < suffixTables.length; i++) {
+      if (!suffixTables[i][address.charCodeAt(offset + i)]) return false;
+    }
+    return true;
+  };
 
-  // Initialize performance tracking with bounded arrays
-  const performanceMetrics = collectStats ? {
-    total: [],
-    seed: [],
-    derive: [],
-    keypair: [],
-    maxSamples: CONFIG.PERFORMANCE_SAMPLE_SIZE
-  } : null;
+  // ATA mode matches each owner's token account instead of the owner address
+  const ataMint = ata ? new PublicKey(ata.mint) : null;
+  const ataTokenProgram = ata ? new PublicKey(ata.tokenProgram) : null;
 
-  // Listen for shutdown message from main thread
-  parentPort.on('message', (message) => {
-    if (message.type === 'shutdown' && !hasReceivedShutdown) {
-      hasReceivedShutdown = true;
-      shouldShutdown = true;
+  // Program-derived address search state; null in a seed marks the variable slot
+  const pdaProgramId = pda ? new PublicKey(pda.programId) : null;
+  const pdaSeeds = pda ? pda.seeds.map(seed => seed === null ? null : Buffer.from(seed, 'hex')) : null;
+  // Workers count through interleaved values so no two of them try the same seed; every
+  // value is one attempt, so a restarted worker skips the values its slot already tried
+  let pdaCounter = pda ? BigInt(pda.start) + BigInt(workerId) + BigInt(previousAttempts) * BigInt(workerCount) : 0n;
+
+  /**
+   * Produces the next value for the variable PDA seed
+   * @returns {Object|null} {bytes, spec}, or null once a counter runs out of values
+   */
+  const nextVariableSeed = () => {
+    const {kind, size} = pda.variable;
+    if (kind === 'bytes') {
+      const bytes = crypto.randomBytes(size);
+      return {bytes, spec: `hex:${bytes.toString('hex')}`};
     }
-  });
+
+    const value = pdaCounter;
+    pdaCounter += BigInt(workerCount);
+    const bytes = kind === 'str' ? Buffer.from(value.toString()) : encodeSeedInteger(value, kind);
+    if (!bytes || bytes.length > PDA_MAX_SEED_LENGTH) return null;
+    return {bytes, spec: `${kind}:${value}`};
+  };
 
   /**
-   * Generates a keypair from a mnemonic phrase
-   * Tracks performance metrics if enabled
-   * @param {string} mnemonic - BIP39 mnemonic phrase
-   * @returns {Keypair} Solana keypair
+   * Derives one program address from the next variable seed and reports a match
    */
-  const generateKeypairFromMnemonic = (mnemonic) => {
-    const startTotal = collectStats ? performance.now() : 0;
+  const checkNextProgramAddress = () => {
+    const variable = nextVariableSeed();
+    if (!variable) {
+      parentPort.postMessage({type: 'exhausted'});
+      shouldShutdown = true;
+      return;
+    }
+    countAttempt();
 
-    // Step 1: Convert mnemonic to seed
-    const startSeed = collectStats ? performance.now() : 0;
-    const seed = bip39.mnemonicToSeed(mnemonic);
-    const seedTime = collectStats ? performance.now() - startSeed : 0;
+    let programAddress, bump;
+    try {
+      [programAddress, bump] = PublicKey.findProgramAddressSync(pdaSeeds.map(seed => seed || variable.bytes), pdaProgramId);
+    } catch (err) {
+      // No bump yields an off-curve address for these seeds; extremely rare
+      return;
+    }
 
-    // Step 2: Derive key using HD path
-    const startDerive = collectStats ? performance.now() : 0;
-    const derivedPath = "m/44'/501'/0'/0'";
-    const derivedSeed = derivePath(derivedPath, Buffer.from(seed).toString('hex')).key;
-    const deriveTime = collectStats ? performance.now() - startDerive : 0;
+    if (!passesPrefilter(programAddress.toBytes())) return;
 
-    // Step 3: Create keypair
-    const startKeypair = collectStats ? performance.now() : 0;
-    const keypair = Keypair.fromSeed(derivedSeed);
-    const keypairTime = collectStats ? performance.now() - startKeypair : 0;
+    const address = programAddress.toBase58();
 
-    const totalTime = collectStats ? performance.now() - startTotal : 0;
+    for (const [id, {prefixTables, suffixTables}] of pendingPatterns) {
+      if (matchesVanity(address, prefixTables, suffixTables)) {
+        if (claimMatch(id)) {
+          parentPort.postMessage({type: 'result', address, bump, seed: variable.spec, patternId: id});
+        }
+        return;
+      }
+    }
+  };
 
-    // Track performance metrics with bounded arrays
-    if (collectStats) {
-      // Remove oldest sample if at capacity
-      if (performanceMetrics.total.length >= performanceMetrics.maxSamples) {
-        performanceMetrics.total.shift();
-        performanceMetrics.seed.shift();
-        performanceMetrics.derive.shift();
-        performanceMetrics.keypair.shift();
-      }
-
-      // Add new sample
-      performanceMetrics.total.push(totalTime);
-      performanceMetrics.seed.push(seedTime);
-      performanceMetrics.derive.push(deriveTime);
-      performanceMetrics.keypair.push(keypairTime);
-
-      // Report averages when buffer is full
-      if (performanceMetrics.total.length === performanceMetrics.maxSamples) {
-        const avgTotal = performanceMetrics.total.reduce((a, b) => a + b, 0) / performanceMetrics.total.length;
-        const avgSeed = performanceMetrics.seed.reduce((a, b) => a + b, 0) / performanceMetrics.seed.length;
-        const avgDerive = performanceMetrics.derive.reduce((a, b) => a + b, 0) / performanceMetrics.derive.length;
-        const avgKeypair = performanceMetrics.keypair.reduce((a, b) => a + b, 0) / performanceMetrics.keypair.length;
-
-        // Send performance report to main thread
-        parentPort.postMessage({
-          type: 'performance',
-          metrics: {
-            total: avgTotal,
-            seed: avgSeed,
-            derive: avgDerive,
-            keypair: avgKeypair
-          }
-        });
+  // createWithSeed search state; counters interleave across workers like PDA seeds, and a
+  // restarted worker likewise skips the values its slot already tried
+  const seedBase = seedGrind ? new PublicKey(seedGrind.base).toBuffer() : null;
+  const seedOwner = seedGrind ? new PublicKey(seedGrind.owner).toBuffer() : null;
+  let seedCounter = seedGrind ? BigInt(seedGrind.start) + BigInt(workerId) + BigInt(previousAttempts) * BigInt(workerCount) : 0n;
 
-        // Clear arrays for next batch
-        performanceMetrics.total = [];
-        performanceMetrics.seed = [];
-        performanceMetrics.derive = [];
-        performanceMetrics.keypair = [];
+  /**
+   * Produces the next seed string to try
+   * @returns {string|null} Seed, or null once a counter no longer fits in 32 bytes
+   */
+  const nextAccountSeed = () => {
+    if (seedGrind.random) {
+      let seed = seedGrind.prefix;
+      for (const byte of crypto.randomBytes(seedGrind.length - Buffer.byteLength(seedGrind.prefix))) {
+        seed += ACCOUNT_SEED_ALPHABET[byte & 63];
       }
+      return seed;
     }
 
-    return keypair;
+    const seed = seedGrind.prefix + seedCounter.toString();
+    seedCounter += BigInt(workerCount);
+    return Buffer.byteLength(seed) <= ACCOUNT_SEED_MAX_LENGTH ? seed : null;
   };
 
   /**
-   * Checks if an address matches the vanity pattern
-   * @param {string} address - Solana address to check
-   * @param {string} prefix - Required prefix
-   * @param {string} suffix - Required suffix
-   * @returns {boolean} True if address matches pattern
+   * Derives one createWithSeed address from the next seed and reports a match
    */
-  const matchesVanity = (address, prefix, suffix) => {
-    if (prefix && !address.startsWith(prefix)) return false;
-    if (suffix && !address.endsWith(suffix)) return false;
-    return true;
+  const checkNextSeedAddress = () => {
+    const seed = nextAccountSeed();
+    if (seed === null) {
+      parentPort.postMessage({type: 'exhausted'});
+      shouldShutdown = true;
+      return;
+    }
+
+    const bytes = createAddressWithSeed(seedBase, seed, seedOwner);
+    countAttempt();
+    if (!passesPrefilter(bytes)) return;
+
+    const address = bs58.encode(bytes);
+
+    for (const [id, {prefixTables, suffixTables}] of pendingPatterns) {
+      if (matchesVanity(address, prefixTables, suffixTables)) {
+        if (claimMatch(id)) {
+          parentPort.postMessage({type: 'result', address, seed, patternId: id});
+        }
+        return;
+      }
+    }
+  };
+
+  // Split-key search state: each worker walks partial scalars upward from a random start,
+  // so every next candidate is one point addition away from the last
+  let splitPartial = splitKey ? randomScalar() : 0n;
+  let splitCandidate = splitKey ? parseSplitKeyPoint(splitKey).add(ed25519.ExtendedPoint.BASE.multiply(splitPartial)) : null;
+
+  /**
+   * Checks the next split-key candidate (shared point + partial scalar) and reports a match
+   */
+  const checkNextSplitKeyCandidate = () => {
+    const bytes = splitCandidate.toRawBytes();
+    const partialScalar = splitPartial % ED25519_ORDER;
+    splitPartial += 1n;
+    splitCandidate = splitCandidate.add(ed25519.ExtendedPoint.BASE);
+    countAttempt();
+    if (!isRandomGeneration && !passesPrefilter(bytes)) return;
+
+    const address = bs58.encode(bytes);
+
+    let patternId = isRandomGeneration ? 0 : -1;
+    if (!isRandomGeneration) {
+      for (const [id, {prefixTables, suffixTables}] of pendingPatterns) {
+        if (matchesVanity(address, prefixTables, suffixTables) && (!addressRegex || addressRegex.test(address))) {
+          patternId = id;
+          break;
+        }
+      }
+    }
+    if (patternId === -1 || !claimMatch(patternId)) return;
+
+    parentPort.postMessage({
+      type: 'result',
+      address,
+      mnemonic: null,
+      privateKey: null,
+      partialKey: bs58.encode(scalarToBytes(partialScalar)),
+      accountIndex: 0,
+      patternId
+    });
   };
 
   /**
@@ -1943,67 +6152,99 @@ if (!isMainThread) {
     return false;
   };
 
-  // Periodically report progress to main thread
-  setInterval(() => {
-    parentPort.postMessage({
-      type: 'progress',
-      total: totalAddressesGenerated
-    });
-  }, 500);
-
   // Main generation loop
   try {
-    while (!shouldShutdown) {
-      // Process addresses in batches
-      for (let i = 0; i < CONFIG.BATCH_SIZE && !shouldShutdown; i++) {
-        // Generate random mnemonic
-        const mnemonic = bip39.generateMnemonic();
-
-        // Skip if contains blacklisted words (applies to both random and vanity generation)
-        if (containsBlacklistedWords(mnemonic)) {
-          totalAddressesGenerated++;
+    while (!stopRequested()) {
+      // The batch size can change while running; keep batches about the same
+      // number of addresses when each mnemonic yields several
+      const batchSize = Math.max(1, Math.ceil(Atomics.load(control.flags, CONTROL_BATCH_SIZE) / accountCount));
+
+      // Process addresses in batches; shared flags are polled between batches
+      for (let i = 0; i < batchSize && !shouldShutdown; i++) {
+        // PDA and createWithSeed searches grind a seed instead of generating keypairs
+        if (pda) {
+          checkNextProgramAddress();
+          continue;
+        }
+        if (seedGrind) {
+          checkNextSeedAddress();
           continue;
         }
+        if (splitKey) {
+          checkNextSplitKeyCandidate();
+          continue;
+        }
+
+        let mnemonic = null;
+        let keypairs;
+
+        if (rawMode) {
+          // Raw mode: no mnemonic, so there is nothing to blacklist
+          keypairs = [generateRawKeypair()];
+        } else {
+          // Generate random mnemonic (128 bits = 12 words, 256 bits = 24 words)
+          mnemonic = bip39.generateMnemonic(mnemonicStrength);
+
+          // Skip if contains blacklisted words (applies to both random and vanity generation)
+          if (containsBlacklistedWords(mnemonic)) {
+            countAttempt();
+            continue;
+          }
+
+          // Generate one keypair per account index
+          keypairs = generateKeypairsFromMnemonic(mnemonic);
+        }
 
-        // Generate keypair
-        const keypair = generateKeypairFromMnemonic(mnemonic);
-        const address = keypair.publicKey.toString();
+        for (let accountIndex = 0; accountIndex < keypairs.length && !shouldShutdown; accountIndex++) {
+          const keypair = keypairs[accountIndex];
+          const tokenAccountKey = ata ? findAssociatedTokenAddress(keypair.publicKey, ataMint, ataTokenProgram) : null;
 
-        totalAddressesGenerated++;
+          countAttempt();
 
-        // For random generation mode, every address (that passes blacklist) is a match
-        // For vanity mode, check if it matches the pattern
-        const isMatch = isRandomGeneration ? true : matchesVanity(address, prefix, suffix);
+          // Reject most candidates on the raw key bytes, before paying for Base58 encoding
+          if (!isRandomGeneration && !passesPrefilter(tokenAccountKey ? tokenAccountKey.toBytes() : keypair.secretKey.subarray(32))) {
+            continue;
+          }
 
-        if (isMatch) {
-          // Convert to private key if requested
-          let privateKey = null;
-          if (outputPrivateKeys) {
-            privateKey = bs58.encode(keypair.secretKey);
+          const address = keypair.publicKey.toString();
+          const tokenAccount = tokenAccountKey ? tokenAccountKey.toBase58() : null;
+          const candidate = tokenAccount || address;
+
+          // For random generation mode, every address (that passes blacklist) is a match
+          // For vanity mode, find the first pending pattern it satisfies
+          let patternId = isRandomGeneration ? 0 : -1;
+          if (!isRandomGeneration) {
+            for (const [id, {prefixTables, suffixTables}] of pendingPatterns) {
+              if (matchesVanity(candidate, prefixTables, suffixTables) && (!addressRegex || addressRegex.test(candidate))) {
+                patternId = id;
+                break;
+              }
+            }
           }
 
-          // Send result to main thread (only if not shutting down)
-          if (!shouldShutdown) {
+          // Report the match only if it is still wanted; other workers may have filled the pattern
+          if (patternId !== -1 && claimMatch(patternId)) {
+            // Convert to private key if requested
+            let privateKey = null;
+            if (outputPrivateKeys) {
+              privateKey = bs58.encode(keypair.secretKey);
+            }
+
             parentPort.postMessage({
               type: 'result',
               address,
               mnemonic,
-              privateKey
+              privateKey,
+              accountIndex,
+              ata: tokenAccount,
+              patternId
             });
-
-            foundCount++;
-            
-            // For random generation, check if we've reached the target
-            if (isRandomGeneration && foundCount >= targetCount) {
-              shouldShutdown = true;
-              break;
-            }
           }
         }
       }
 
-      // Yield to event loop to handle messages
-      await new Promise(resolve => setTimeout(resolve, 0));
+      // No need to yield for messages: stop and found counts arrive through the control block
+      dropFilledPatterns();
     }
   } catch (error) {
     // Report errors to main thread
@@ -2037,6 +6278,7 @@ A high-performance Solana vanity address generator/____/
 ${chalk.bold('Quick Start:')}
   $ solvanity -p sol                    Generate address starting with "sol"
   $ solvanity -p abc -n 5               Generate 5 addresses with prefix "abc"
+  $ solvanity estimate -p sola          Estimate time for a 4-char prefix
   $ solvanity distribute -a 1000 -w 10  Distribute 1000 tokens to 10 wallets
 
 ${chalk.bold('Important Notes:')}
@@ -2058,13 +6300,35 @@ ${chalk.bold('Documentation:')}
     .option('-n, --count <number>', 'number of addresses to generate', (value) => parseInt(value), 1)
     .option('-p, --prefix <string>', 'prefix for the address', '')
     .option('-x, --suffix <string>', 'suffix for the address', '')
+    .option('-i, --ignore-case', 'match prefix and suffix in any letter case', false)
+    .option('-r, --regex <expr>', 'regular expression the address must match (bare or /expr/flags)')
+    .option('-P, --patterns <file>', 'search for every pattern in a file (one "prefix[:suffix] [count]" per line)')
     .option('-s, --stats', 'show performance statistics', false)
     .option('-t, --threads <number>', 'number of worker threads', (value) => parseInt(value), os.cpus().length)
+    .option('--auto-tune', 'adjust thread count and batch size while running, starting from --threads', false)
     .option('-o, --output <mode>', 'output mode: display, combined, split, or both', 'combined')
-    .option('-f, --format <type>', 'file format: json or txt', 'json')
-    .option('--filename <n>', 'custom filename for output')
+    .option('-f, --format <type>', 'file format: json, ndjson, txt, csv or keypair (Solana CLI keypair files, implies -k)', 'json')
+    .option('--label <text>', 'add a label column to CSV files; "{n}" is replaced by the row number')
+    .option('--filename <n>', 'custom filename for output (with -f keypair, a subdirectory of address/)')
     .option('-q, --qr', 'display QR codes for addresses', false)
     .option('-k, --privatekey', 'generate private keys instead of mnemonic phrases', false)
+    .option('--raw', 'generate raw keypairs without mnemonics (implies -k, much faster)', false)
+    .option('--backend <name>', 'keypair backend: auto (fastest that passes a self-check), web3 or native', 'auto')
+    .option('-w, --words <number>', 'mnemonic length: 12, 15, 18, 21 or 24 words (default: 12)', (value) => parseInt(value))
+    .option('--passphrase <text>', 'BIP39 passphrase ("25th word") used to derive keys; never saved')
+    .option('--passphrase-file <file>', 'read the BIP39 passphrase from the first line of a file')
+    .option('--encrypt', 'encrypt mnemonics and private keys in output files with a password (AES-256-GCM)', false)
+    .option('--password-fd <fd>', 'read the encryption password from the first line of this file descriptor instead of prompting')
+    .option('--recipient <recipient>', 'encrypt secrets to this age X25519 recipient (age1...), repeatable', (value, previous = []) => [...previous, value])
+    .option('--recipients-file <file>', 'encrypt secrets to the age recipients listed in a file, one per line')
+    .option('-a, --accounts <number>', 'check each mnemonic at this many account indexes (default: 1)', (value) => parseInt(value))
+    .option('--derivation <preset|path>', 'key derivation: phantom (default), ledger, keygen or a path like "m/44\'/501\'/{account}\'"')
+    .option('--ata-mint <mint>', 'match the associated token account of each wallet for this mint instead of the wallet address')
+    .option('--token-2022', 'derive token accounts for the Token-2022 program (with --ata-mint)', false)
+    .option('--split-key <pubkey>', 'grind for someone else: search partial keys for the public key from "splitkey init"')
+    .option('--checkpoint <file>', 'save progress to a checkpoint file so the search can be resumed')
+    .option('--timeout <duration>', 'stop after this long, e.g. 90s, 30m or 2h (partial results are saved)')
+    .option('--max-attempts <number>', 'stop after generating this many addresses (partial results are saved)')
     .addHelpText('after', `
 ${chalk.bold('Examples:')}
   ${chalk.dim('# Generate one random address')}
@@ -2077,10 +6341,47 @@ ${chalk.bold('Examples:')}
   ${chalk.dim('# Generate with suffix')}
   $ solvanity -x xyz -n 5
 
+  ${chalk.dim('# Case-insensitive and pattern matching')}
+  $ solvanity -p sol -i                ${chalk.dim('# Matches sol, SoL, SOL, ...')}
+  $ solvanity -p "[Ss]?\\d"             ${chalk.dim('# S or s, any char, then a digit')}
+
+  ${chalk.dim('# Regular expressions')}
+  $ solvanity -r "^pay.*42"            ${chalk.dim('# Starts with pay, contains 42')}
+  $ solvanity -r "(.)\\1\\1$"            ${chalk.dim('# Ends with three identical characters')}
+
+  ${chalk.dim('# Many patterns in one run')}
+  $ solvanity -P patterns.txt          ${chalk.dim('# Lines like "pay 5", "sol:xyz", ":end 2"')}
+
   ${chalk.dim('# Advanced options')}
   $ solvanity -p pay -o both -q        ${chalk.dim('# Display + save with QR codes')}
   $ solvanity -n 20 -o split -f txt    ${chalk.dim('# Split output as TXT files')}
+  $ solvanity -n 100000 -f ndjson      ${chalk.dim('# One JSON object per line, for huge runs')}
+  $ solvanity -n 50 -f csv --label "Wallet {n}"  ${chalk.dim('# Spreadsheet with a numbered label column')}
+  $ solvanity -p sol -f keypair --raw  ${chalk.dim('# Solana CLI keypair files (see: solvanity export)')}
   $ solvanity -p sol -s                ${chalk.dim('# Show performance statistics')}
+  $ solvanity -p sola --raw            ${chalk.dim('# Fast raw keypairs (private keys only)')}
+  $ solvanity -p sol --backend web3    ${chalk.dim('# Force the pure-JS ed25519 backend')}
+  $ solvanity -p sola --auto-tune -s   ${chalk.dim('# Tune threads while running, show decisions')}
+  $ solvanity -p sol -w 24 --passphrase-file pass.txt  ${chalk.dim('# 24 words + passphrase')}
+  $ solvanity -p sol --encrypt         ${chalk.dim('# Password-encrypted secrets (see: solvanity decrypt)')}
+  $ solvanity -p sol --recipient age1...  ${chalk.dim('# Encrypted to a public key (see: solvanity keygen-recipient)')}
+  $ solvanity -p sola -a 20            ${chalk.dim('# Check accounts 0-19 of every mnemonic')}
+  $ solvanity -p sol --derivation ledger  ${chalk.dim('# Addresses as shown by Ledger Live')}
+
+  ${chalk.dim('# Vanity token account (ATA) for a mint')}
+  $ solvanity -p pay --ata-mint EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v
+  $ solvanity -p pay --ata-mint <MINT> --token-2022
+
+  ${chalk.dim('# Grind for someone else without learning their key')}
+  $ solvanity -p sol --split-key <PUBLIC_KEY>   ${chalk.dim('# See: solvanity splitkey --help')}
+
+  ${chalk.dim('# Long searches that survive restarts')}
+  $ solvanity -p solana --checkpoint job.json
+  $ solvanity resume job.json          ${chalk.dim('# Continue after Ctrl-C or a crash')}
+
+  ${chalk.dim('# Budgets for CI and shared machines')}
+  $ solvanity -p sola --timeout 30m    ${chalk.dim('# Give up after 30 minutes')}
+  $ solvanity -p sol --max-attempts 1000000
 
 ${chalk.bold('Output Modes:')}
   ${chalk.cyan('display')}   - Show on screen only (no files)
@@ -2088,11 +6389,28 @@ ${chalk.bold('Output Modes:')}
   ${chalk.cyan('split')}     - Save address and secret in separate files
   ${chalk.cyan('both')}      - Display on screen AND save to files
 
+${chalk.bold('Derivation Presets:')}
+  ${chalk.cyan('phantom')}   - m/44'/501'/{account}'/0' (Phantom, Solflare, Backpack)
+  ${chalk.cyan('ledger')}    - m/44'/501'/{account}' (Ledger Live, Trust Wallet, older Solflare)
+  ${chalk.cyan('keygen')}    - No derivation, bare seed (solana-keygen recover)
+
+${chalk.bold('Exit Codes:')}
+  ${chalk.cyan('0')} - All requested addresses found
+  ${chalk.cyan('1')} - Error or interrupted (Ctrl-C)
+  ${chalk.cyan('2')} - Stopped by --timeout/--max-attempts with some addresses found
+  ${chalk.cyan('3')} - Stopped by --timeout/--max-attempts before any address was found
+
+${chalk.bold('Pattern Syntax:')}
+  ${chalk.cyan('?')}         - Any Base58 character
+  ${chalk.cyan('[Ss]')}      - Any character from the set (ranges like ${chalk.cyan('[a-k]')} allowed)
+  ${chalk.cyan('\\d')}        - Any digit (1-9)
+
 ${chalk.bold('Performance Tips:')}
   • 1-2 char prefix: seconds
   • 3 char prefix: 10-60 seconds
   • 4 char prefix: 5-30 minutes
   • 5+ char prefix: hours to days
+  • Run ${chalk.cyan('solvanity estimate -p <prefix>')} for exact odds and times on this machine
 `)
     .action(async (options) => {
       // Validate options
@@ -2111,7 +6429,7 @@ ${chalk.bold('Performance Tips:')}
         const maxRecommendedThreads = cpuCount * CONFIG.THREAD_MULTIPLIER;
         
         // Check if user is trying to set threads for random generation
-        if (!options.prefix && !options.suffix && options.threads !== 1) {
+        if (!options.prefix && !options.suffix && !options.regex && !options.patterns && options.threads !== 1) {
           // This message will be shown later, after the main info output
         } else if (options.threads > maxRecommendedThreads) {
           console.warn(chalk.yellow(`Note: You're using ${options.threads} threads. Recommended maximum for your ${cpuCount}-core CPU is ${maxRecommendedThreads}.`));
@@ -2123,8 +6441,8 @@ ${chalk.bold('Performance Tips:')}
         process.exit(1);
       }
 
-      if (!['json', 'txt'].includes(options.format)) {
-        console.error(chalk.red('Error: Format must be "json" or "txt"'));
+      if (!Object.hasOwn(FORMAT_EXTENSIONS, options.format) && options.format !== 'keypair') {
+        console.error(chalk.red('Error: Format must be "json", "ndjson", "txt", "csv" or "keypair"'));
         process.exit(1);
       }
 
@@ -2136,8 +6454,14 @@ ${chalk.bold('Performance Tips:')}
   program
     .command('split <file>')
     .description('Split a file into separate address and mnemonic/private key files')
-    .option('-f, --format <type>', 'output file format: json or txt (defaults to input format)')
+    .option('-f, --format <type>', 'output file format: json, ndjson, txt or csv (defaults to input format)')
+    .option('--label <text>', 'add a label column to CSV files; "{n}" is replaced by the row number')
     .option('-k, --privatekey', 'convert mnemonics to private keys when splitting', false)
+    .option('--passphrase <text>', 'BIP39 passphrase the mnemonics were generated with')
+    .option('--derivation <preset|path>', 'derivation for entries that do not record one: phantom (default), ledger, keygen or a path')
+    .option('--passphrase-file <file>', 'read the BIP39 passphrase from the first line of a file')
+    .option('--password-fd <fd>', 'read the password of encrypted files from the first line of this file descriptor')
+    .option('--identity <file>', 'age identity file for secrets encrypted with --recipient')
     .addHelpText('after', `
 ${chalk.bold('Examples:')}
   ${chalk.dim('# Split combined file into addresses and mnemonics')}
@@ -2149,8 +6473,17 @@ ${chalk.bold('Examples:')}
   ${chalk.dim('# Split with specific output format')}
   $ solvanity split address/addresses.json -f txt
 
+  ${chalk.dim('# Spreadsheet files with a numbered label column')}
+  $ solvanity split address/addresses.json -f csv --label "Wallet {n}"
+
+  ${chalk.dim('# Convert TXT mnemonics that were generated for Ledger Live')}
+  $ solvanity split address/addresses.txt -k --derivation ledger
+
+  ${chalk.dim('# Convert mnemonics that were generated with a passphrase')}
+  $ solvanity split address/addresses.json -k --passphrase-file pass.txt
+
 ${chalk.bold('What it does:')}
-  Takes a combined file (address + mnemonic) and creates two separate files:
+  Takes a combined file (address + mnemonic or private key) and creates two separate files:
   • ${chalk.cyan('TIMESTAMP-address.json')} - Public addresses only
   • ${chalk.cyan('TIMESTAMP-secret-mnemonics.json')} - Mnemonic phrases
 
@@ -2161,10 +6494,201 @@ ${chalk.bold('What it does:')}
       await splitFile(file, options);
     });
 
+  // PDA command
+  program
+    .command('pda')
+    .description('Find program-derived addresses (PDAs) with a vanity prefix or suffix')
+    .requiredOption('--program <id>', 'program ID the address is derived from')
+    .option('-p, --prefix <string>', 'prefix for the address', '')
+    .option('-x, --suffix <string>', 'suffix for the address', '')
+    .option('-i, --ignore-case', 'match prefix and suffix in any letter case', false)
+    .option('-n, --count <number>', 'number of addresses to find', (value) => parseInt(value), 1)
+    .option('-t, --threads <number>', 'number of worker threads', (value) => parseInt(value), os.cpus().length)
+    .option('--seed <spec>', 'fixed seed, repeatable and in order: str:<text>, hex:<bytes>, pubkey:<key>, u8-u64:<n>, or var', (value, previous) => [...previous, value], [])
+    .option('--vary <kind>', 'variable seed: u8, u16, u32, u64 or str counter, or bytes:N random bytes', 'u64')
+    .option('--start <number>', 'first value of a counter', '0')
+    .option('--filename <name>', 'custom filename for output')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Seeds ["vault", <u64 counter>], address starting with "Vau"')}
+  $ solvanity pda --program <PROGRAM_ID> --seed str:vault -p Vau
+
+  ${chalk.dim('# Variable seed in the middle, 8 random bytes')}
+  $ solvanity pda --program <PROGRAM_ID> --seed str:pool --seed var --seed pubkey:<MINT> --vary bytes:8 -p pay
+
+  ${chalk.dim('# Counter as a decimal string seed')}
+  $ solvanity pda --program <PROGRAM_ID> --seed str:user- --vary str -x xyz
+
+${chalk.bold('Seed Types:')}
+  ${chalk.cyan('str:<text>')}     - UTF-8 bytes, like b"vault" in Anchor
+  ${chalk.cyan('hex:<bytes>')}    - Raw bytes in hex
+  ${chalk.cyan('pubkey:<key>')}   - 32-byte public key, like user.key().as_ref()
+  ${chalk.cyan('u64:<n>')}        - Little-endian integer, like n.to_le_bytes() (also u8, u16, u32)
+  ${chalk.cyan('var')}            - Position of the variable seed (default: last)
+
+${chalk.bold('Output:')}
+  Every result lists the full seeds (with the variable one filled in) and the
+  bump, ready for findProgramAddressSync or Anchor. No private key exists.
+`)
+    .action(async (options) => {
+      await grindProgramAddresses(options);
+    });
+
+  // Split-key commands
+  const splitkey = program
+    .command('splitkey')
+    .description('Outsource vanity grinding without revealing the final private key')
+    .addHelpText('after', `
+${chalk.bold('Workflow:')}
+  ${chalk.dim('# 1. Requester: create a split key and share only its public key')}
+  $ solvanity splitkey init --filename mykey
+
+  ${chalk.dim('# 2. Grinder: search partial keys for that public key')}
+  $ solvanity generate --split-key <PUBLIC_KEY> -p sol --filename parts
+
+  ${chalk.dim('# 3. Requester: complete the partial keys')}
+  $ solvanity splitkey combine parts.json --key mykey.json
+`);
+
+  splitkey
+    .command('init')
+    .description('Create the secret half of a split key and print its public key')
+    .option('--filename <name>', 'custom filename for the split key (default: TIMESTAMP-splitkey.json)')
+    .action(async (options) => {
+      await initSplitKey(options);
+    });
+
+  splitkey
+    .command('combine <file>')
+    .description('Complete partial keys from generate --split-key')
+    .requiredOption('--key <file>', 'split key file created by splitkey init')
+    .option('-f, --format <type>', 'output format: json, ndjson or csv (default: the format of <file>)')
+    .option('--filename <name>', 'custom filename for output (default: <file>-combined)')
+    .option('--password-fd <fd>', 'read the password of encrypted files from the first line of this file descriptor')
+    .option('--identity <file>', 'age identity file for secrets encrypted with --recipient')
+    .action(async (file, options) => {
+      await combineSplitKeys(file, options);
+    });
+
+  // Seed grind command
+  program
+    .command('seed-grind')
+    .description('Find createWithSeed account addresses with a vanity prefix or suffix')
+    .requiredOption('--base <pubkey>', 'base public key that will sign for the accounts')
+    .option('--owner <program>', 'owner program: system, stake, vote or a program ID', 'system')
+    .option('-p, --prefix <string>', 'prefix for the address', '')
+    .option('-x, --suffix <string>', 'suffix for the address', '')
+    .option('-i, --ignore-case', 'match prefix and suffix in any letter case', false)
+    .option('-n, --count <number>', 'number of addresses to find', (value) => parseInt(value), 1)
+    .option('-t, --threads <number>', 'number of worker threads', (value) => parseInt(value), os.cpus().length)
+    .option('-o, --output <mode>', 'output mode: display, combined, split, or both', 'combined')
+    .option('-f, --format <type>', 'file format: json, ndjson, txt or csv', 'json')
+    .option('--filename <name>', 'custom filename for output')
+    .option('--seed-prefix <text>', 'fixed text every seed starts with', '')
+    .option('--random', 'try random seeds instead of counting up', false)
+    .option('--length <number>', 'length of random seeds, at most 32 (default: 16)')
+    .option('--start <number>', 'first value of the seed counter', '0')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Seeds 0, 1, 2, ... for a system-owned account')}
+  $ solvanity seed-grind --base <PUBKEY> -p pay
+
+  ${chalk.dim('# Stake account with seeds stake-0, stake-1, ...')}
+  $ solvanity seed-grind --base <PUBKEY> --owner stake --seed-prefix stake- -p Stk
+
+  ${chalk.dim('# Random 20-character seeds, split output')}
+  $ solvanity seed-grind --base <PUBKEY> --random --length 20 -p sol -o split
+
+${chalk.bold('Notes:')}
+  No keys are generated: the address is sha256(base + seed + owner), which is
+  much cheaper to compute. The base key must sign createAccountWithSeed.
+`)
+    .action(async (options) => {
+      await grindSeedAddresses(options);
+    });
+
+  // Resume command
+  program
+    .command('resume <file>')
+    .description('Continue a vanity search from a checkpoint file')
+    .option('-t, --threads <number>', 'number of worker threads (defaults to the checkpointed value)', (value) => parseInt(value))
+    .option('-s, --stats', 'show performance statistics')
+    .option('--auto-tune', 'adjust thread count and batch size while running')
+    .option('--timeout <duration>', 'stop this session after this long, e.g. 90s, 30m or 2h')
+    .option('--max-attempts <number>', 'stop this session after generating this many addresses')
+    .option('--passphrase <text>', 'BIP39 passphrase, required if the search was started with one')
+    .option('--passphrase-file <file>', 'read the BIP39 passphrase from the first line of a file')
+    .option('--password-fd <fd>', 'read the encryption password from the first line of this file descriptor instead of prompting')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Start a long search with a checkpoint')}
+  $ solvanity -p solana --checkpoint job.json
+
+  ${chalk.dim('# Continue it after Ctrl-C, a crash or a reboot')}
+  $ solvanity resume job.json
+  $ solvanity resume job.json -t 16    ${chalk.dim('# On a bigger machine')}
+  $ solvanity resume job.json --timeout 8h  ${chalk.dim('# One nightly slice of the search')}
+
+${chalk.bold('What it does:')}
+  Restores the patterns, target count, attempts and elapsed time saved by
+  ${chalk.yellow('--checkpoint')}, then keeps searching for the missing addresses.
+  New matches are appended to the original output files and the checkpoint
+  keeps cumulative statistics. Checkpoints never contain secrets.
+`)
+    .action(async (file, options) => {
+      const addressDir = 'address';
+      let fullPath = path.join(addressDir, file);
+
+      // Check if file exists
+      if (!fs.existsSync(fullPath)) {
+        if (fs.existsSync(file) && file.startsWith(addressDir)) {
+          fullPath = file;
+        } else {
+          console.error(chalk.red(`Error: File not found: ${fullPath}`));
+          process.exit(1);
+        }
+      }
+
+      if (options.threads !== undefined && (options.threads <= 0 || isNaN(options.threads))) {
+        console.error(chalk.red('Error: Thread count must be a positive number'));
+        process.exit(1);
+      }
+
+      let state;
+      try {
+        state = await readCheckpoint(fullPath);
+      } catch (err) {
+        console.error(chalk.red(`Error: Invalid checkpoint ${fullPath}: ${err.message}`));
+        process.exit(1);
+      }
+
+      if (state.completed) {
+        console.log(chalk.green(`✔ Search in ${fullPath} is already complete (${state.found.length} addresses found)`));
+        process.exit(0);
+      }
+
+      await generateVanityAddresses({
+        ...state.options,
+        threads: options.threads || state.options.threads,
+        stats: options.stats || state.options.stats,
+        autoTune: options.autoTune || state.options.autoTune,
+        timeout: options.timeout,
+        maxAttempts: options.maxAttempts,
+        passphrase: options.passphrase,
+        passphraseFile: options.passphraseFile,
+        passwordFd: options.passwordFd,
+        checkpoint: fullPath,
+        resumeState: state
+      });
+    });
+
   // Convert command
   program
     .command('convert <file> [targetFormat]')
-    .description('Convert between json and txt formats')
+    .description('Convert between json, ndjson, txt and csv formats')
+    .option('--label <text>', 'add a label column to a csv target; "{n}" is replaced by the row number')
+    .option('--password-fd <fd>', 'read the password of encrypted files from the first line of this file descriptor')
+    .option('--identity <file>', 'age identity file for secrets encrypted with --recipient')
     .addHelpText('after', `
 ${chalk.bold('Examples:')}
   ${chalk.dim('# Convert JSON to TXT')}
@@ -2176,18 +6700,199 @@ ${chalk.bold('Examples:')}
   ${chalk.dim('# Auto-detect target format')}
   $ solvanity convert address/addresses.json
 
+  ${chalk.dim('# Spreadsheet with a label column, e.g. for a bulk wallet import')}
+  $ solvanity convert address/addresses.json csv --label "Vault {n}"
+
 ${chalk.bold('Format Differences:')}
-  ${chalk.cyan('JSON')} - Structured data with metadata (default)
-  ${chalk.cyan('TXT')}  - Plain text, one entry per line
-           Combined: address:mnemonic
-           Split:    address or mnemonic only
+  ${chalk.cyan('JSON')}   - Structured data with metadata (default)
+  ${chalk.cyan('NDJSON')} - The same data, one JSON value per line
+  ${chalk.cyan('TXT')}    - Plain text, one entry per line
+             Combined: address:mnemonic or address:private key
+             Split:    address or secret only
+  ${chalk.cyan('CSV')}    - Header row, then one row per entry with every field;
+             quoted where needed, with an optional label column first
+
+${chalk.bold('Variants:')}
+  Combined mnemonic, private key and split-key files, and split address and
+  secret files are all converted. The variant is detected and reported.
+`)
+    .action(async (file, targetFormat, options) => {
+      if (targetFormat && !Object.hasOwn(FORMAT_EXTENSIONS, targetFormat.toLowerCase())) {
+        console.error(chalk.red('Error: Target format must be "json", "ndjson", "txt" or "csv"'));
+        process.exit(1);
+      }
+      await convertFile(file, targetFormat ? targetFormat.toLowerCase() : null, options);
+    });
+
+  // Decrypt command
+  program
+    .command('decrypt <file>')
+    .description('Write a plaintext copy of a file created with --encrypt or --recipient')
+    .option('--filename <name>', 'custom filename for output (default: <file>-decrypted)')
+    .option('--password-fd <fd>', 'read the password of encrypted files from the first line of this file descriptor')
+    .option('--identity <file>', 'age identity file for secrets encrypted with --recipient')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Prompt for the password')}
+  $ solvanity decrypt address/1234567890-address.json
+
+  ${chalk.dim('# Read the password from a file on descriptor 3')}
+  $ solvanity decrypt address/1234567890-address.json --password-fd 3 3<password.txt
+
+  ${chalk.dim('# Secrets encrypted with --recipient')}
+  $ solvanity decrypt address/1234567890-address.json --identity address/1234567890-identity.txt
+
+${chalk.bold('Notes:')}
+  split, convert and splitkey combine open encrypted files directly and keep
+  their secrets encrypted; decrypt is only needed for other tools. With
+  --identity, their output is encrypted to the identity's own recipient.
+`)
+    .action(async (file, options) => {
+      await decryptFile(file, options);
+    });
+
+  // Export command
+  program
+    .command('export <file>')
+    .description('Write a Solana CLI keypair file (<address>.json) for every address in a file')
+    .option('--filename <name>', 'subdirectory of address/ for the keypair files (default: address/ itself)')
+    .option('--passphrase <text>', 'BIP39 passphrase the mnemonics were generated with')
+    .option('--passphrase-file <file>', 'read the BIP39 passphrase from the first line of a file')
+    .option('--derivation <preset|path>', 'derivation for entries that do not record one: phantom (default), ledger, keygen or a path')
+    .option('--password-fd <fd>', 'read the password of encrypted files from the first line of this file descriptor')
+    .option('--identity <file>', 'age identity file for secrets encrypted with --recipient')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Keypair files for a mnemonic or private key file')}
+  $ solvanity export address/1234567890-address.json --filename keys
+
+  ${chalk.dim('# Then use one with the Solana CLI')}
+  $ solana program deploy program.so --program-id address/keys/<address>.json
+
+${chalk.bold('Notes:')}
+  Files have the solana-keygen layout: the 64-byte secret key as a JSON array.
+  Every key is checked against its address before its file is kept.
+`)
+    .action(async (file, options) => {
+      await exportKeypairs(file, options);
+    });
+
+  // Recipient key command
+  program
+    .command('keygen-recipient')
+    .description('Create an age X25519 identity whose recipient generate --recipient can encrypt to')
+    .option('--filename <name>', 'custom filename for the identity (default: TIMESTAMP-identity.txt)')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# On the machine that keeps the secrets')}
+  $ solvanity keygen-recipient --filename vault
+
+  ${chalk.dim('# On the build server: no password, nothing recoverable on disk')}
+  $ solvanity -p sol -n 10 --recipient age1...
+
+  ${chalk.dim('# Back on the first machine')}
+  $ solvanity decrypt <file> --identity address/vault.txt
+
+${chalk.bold('Notes:')}
+  Identities use the age-keygen file format and secrets are age files, so
+  ${chalk.cyan('age')} and ${chalk.cyan('age-keygen -y')} work with them as well.
+`)
+    .action(async (options) => {
+      await generateRecipientKey(options);
+    });
+
+  // Estimate command
+  program
+    .command('estimate')
+    .description('Estimate difficulty and time to find a vanity address')
+    .option('-p, --prefix <string>', 'prefix for the address', '')
+    .option('-x, --suffix <string>', 'suffix for the address', '')
+    .option('-i, --ignore-case', 'match prefix and suffix in any letter case', false)
+    .option('-n, --count <number>', 'number of addresses to find', (value) => parseInt(value), 1)
+    .option('-t, --threads <number>', 'number of worker threads to benchmark', (value) => parseInt(value), os.cpus().length)
+    .option('-d, --duration <seconds>', 'benchmark duration in seconds', (value) => parseFloat(value), 5)
+    .option('--raw', 'benchmark raw keypair generation (see generate --raw)', false)
+    .option('--backend <name>', 'keypair backend to benchmark: auto, web3 or native', 'auto')
+    .option('--speed <number>', 'skip the benchmark and assume this many addr/s', (value) => parseFloat(value))
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# How long will a 4-character prefix take on this machine?')}
+  $ solvanity estimate -p sola
+
+  ${chalk.dim('# 10 addresses, case-insensitive, on 8 threads')}
+  $ solvanity estimate -p pay -i -n 10 -t 8
+
+  ${chalk.dim('# Skip the benchmark with a known speed')}
+  $ solvanity estimate -p solana --speed 50000
+
+${chalk.bold('Notes:')}
+  • Difficulty is exact: leading characters are not uniformly distributed
+    (44-character addresses can only start with ${chalk.cyan('2')}-${chalk.cyan('J')})
+  • Times are for the measured speed; the 50/90/99% lines give the chance
+    of being done within that time
 `)
-    .action(async (file, targetFormat) => {
-      if (targetFormat && !['json', 'txt'].includes(targetFormat.toLowerCase())) {
-        console.error(chalk.red('Error: Target format must be "json" or "txt"'));
+    .action(async (options) => {
+      if (options.count < 1 || isNaN(options.count)) {
+        console.error(chalk.red('Error: Count must be a positive number'));
+        process.exit(1);
+      }
+
+      if (options.threads <= 0 || isNaN(options.threads)) {
+        console.error(chalk.red('Error: Thread count must be a positive number'));
+        process.exit(1);
+      }
+
+      if (options.duration <= 0 || isNaN(options.duration)) {
+        console.error(chalk.red('Error: Duration must be a positive number'));
+        process.exit(1);
+      }
+
+      if (options.speed !== undefined && (options.speed <= 0 || isNaN(options.speed))) {
+        console.error(chalk.red('Error: Speed must be a positive number'));
+        process.exit(1);
+      }
+
+      await estimateGeneration(options);
+    });
+
+  // Benchmark command
+  program
+    .command('benchmark')
+    .description('Benchmark generation speed at different thread counts')
+    .option('-d, --duration <seconds>', 'duration of each step in seconds', (value) => parseFloat(value), 5)
+    .option('-m, --max-threads <number>', 'highest thread count to test', (value) => parseInt(value), os.cpus().length * CONFIG.THREAD_MULTIPLIER)
+    .option('--raw', 'benchmark raw keypair generation (see generate --raw)', false)
+    .option('--backend <name>', 'keypair backend to benchmark: auto, web3 or native', 'auto')
+    .option('--save [filename]', 'save results as JSON in address/ for comparing machines')
+    .addHelpText('after', `
+${chalk.bold('Examples:')}
+  ${chalk.dim('# Benchmark 1, 2, 4, ... threads up to 2x CPU cores')}
+  $ solvanity benchmark
+
+  ${chalk.dim('# Longer steps and save the results')}
+  $ solvanity benchmark -d 15 --save
+
+  ${chalk.dim('# Benchmark raw keypair generation up to 8 threads')}
+  $ solvanity benchmark --raw -m 8 --save laptop
+
+${chalk.bold('Report:')}
+  ${chalk.cyan('addr/s')}   - Addresses generated per second
+  ${chalk.cyan('Scaling')}  - Speed relative to ${chalk.cyan('threads × single-thread speed')}
+  ${chalk.cyan('ms/addr')}  - Average time per address in one worker
+  Stages   - Share of time spent in each generation stage
+`)
+    .action(async (options) => {
+      if (options.duration <= 0 || isNaN(options.duration)) {
+        console.error(chalk.red('Error: Duration must be a positive number'));
+        process.exit(1);
+      }
+
+      if (options.maxThreads <= 0 || isNaN(options.maxThreads)) {
+        console.error(chalk.red('Error: Thread count must be a positive number'));
         process.exit(1);
       }
-      await convertFile(file, targetFormat ? targetFormat.toLowerCase() : null);
+
+      await runBenchmark(options);
     });
 
   // Distribute command
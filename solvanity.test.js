@@ -1,9 +1,11 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { spawn } from 'child_process';
-import { readFile, unlink, access } from 'fs/promises';
+import { readFile, unlink, access, stat } from 'fs/promises';
 import { join } from 'path';
 import bip39 from 'bip39-light';
 import bs58 from 'bs58';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { ed25519 } from '@noble/curves/ed25519';
 
 /**
  * Solvanity Test Suite
@@ -44,10 +46,15 @@ function runCLI(args, options = {}) {
       reject(error);
     });
 
-    // Allow process to be killed by tests
+    // Feed stdin, e.g. a password for --password-fd 0
+    if (options.input !== undefined) {
+      proc.stdin.end(options.input);
+    }
+
+    // Allow process to be killed by tests, e.g. with SIGKILL to simulate a crash
     if (options.timeout) {
       setTimeout(() => {
-        proc.kill('SIGTERM');
+        proc.kill(options.killSignal || 'SIGTERM');
       }, options.timeout);
     }
   });
@@ -169,6 +176,36 @@ describe('Input Validation', () => {
     expect(stderr.toLowerCase()).toMatch(/(base58|invalid)/i);
   });
 
+  it('should reject malformed pattern syntax', async () => {
+    const { code, stderr } = await runCLI(['-p', 'a[bc', '-n', '1', '--filename', 'badpattern']);
+
+    expect(code).not.toBe(0);
+    expect(stderr.toLowerCase()).toContain('unterminated');
+    expect(await fileExists(join('address', 'badpattern.json'))).toBe(false);
+  });
+
+  it('should reject regex that cannot match a Base58 address', async () => {
+    const { code, stderr } = await runCLI(['-r', '^0', '-n', '1']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('Base58');
+  });
+
+  it('should reject regex longer than an address', async () => {
+    const { code, stderr } = await runCLI(['-r', 'a{50}', '-n', '1']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('43-44');
+  });
+
+  it('should reject an invalid regex before creating output files', async () => {
+    const { code, stderr } = await runCLI(['-r', '^0', '-n', '1', '--filename', 'badregex']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('Invalid regex');
+    expect(await fileExists(join('address', 'badregex.json'))).toBe(false);
+  });
+
   it('should reject negative thread count', async () => {
     const { code, stderr } = await runCLI(['-t', '-5', '-n', '1']);
 
@@ -176,6 +213,42 @@ describe('Input Validation', () => {
     expect(stderr.toLowerCase()).toContain('thread');
   });
 
+  it('should reject an invalid timeout', async () => {
+    const { code, stderr } = await runCLI(['-p', 'a', '--timeout', '10 minutes', '--filename', 'badtimeout']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('--timeout');
+    expect(await fileExists(join('address', 'badtimeout.json'))).toBe(false);
+  });
+
+  it('should reject unsupported mnemonic lengths', async () => {
+    const { code, stderr } = await runCLI(['-n', '1', '-w', '13']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('--words');
+  });
+
+  it('should reject a passphrase in raw mode', async () => {
+    const { code, stderr } = await runCLI(['-n', '1', '--raw', '--passphrase', 'secret']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('--raw');
+  });
+
+  it('should reject derivation paths that are not fully hardened', async () => {
+    const { code, stderr } = await runCLI(['-n', '1', '--derivation', "m/44'/501'/0/0'"]);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('--derivation');
+  });
+
+  it('should reject unknown key backends', async () => {
+    const { code, stderr } = await runCLI(['-n', '1', '--backend', 'gpu']);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('--backend');
+  });
+
   it('should reject invalid output mode', async () => {
     const { code, stderr } = await runCLI(['-o', 'invalid', '-n', '1']);
 
@@ -281,6 +354,245 @@ describe('Address Generation', () => {
     expect(mnemonic.split(' ').length).toBe(12);
   }, 15000);
 
+  it('should generate raw keypairs without mnemonics', async () => {
+    const { code } = await runCLI(['-n', '2', '--raw', '-o', 'combined', '-f', 'json'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+
+    const { readdir } = await import('fs/promises');
+    const files = await readdir('address');
+    const addressFiles = files.filter(f => f.endsWith('-address.json'));
+    const data = JSON.parse(await readFile(join('address', addressFiles[0]), 'utf-8'));
+
+    expect(data.length).toBe(2);
+    data.forEach(item => {
+      expect(item).not.toHaveProperty('mnemonic');
+      // Private key must decode to a keypair for the saved address
+      const keypair = Keypair.fromSecretKey(bs58.decode(item.privateKey));
+      expect(keypair.publicKey.toBase58()).toBe(item.address);
+    });
+  }, 15000);
+
+  it('should derive 24-word mnemonics with a passphrase that is never saved', async () => {
+    const { code } = await runCLI(['-n', '1', '-w', '24', '--passphrase', 'tr3asury', '--filename', 'pass'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+
+    const content = await readFile(join('address', 'pass.json'), 'utf-8');
+    const [item] = JSON.parse(content);
+    expect(item.mnemonic.split(' ').length).toBe(24);
+    expect(bip39.validateMnemonic(item.mnemonic)).toBe(true);
+    expect(item.words).toBe(24);
+    expect(item.passphrase).toBe(true);
+    expect(content).not.toContain('tr3asury');
+
+    // Split needs the passphrase to recover the key for the saved address
+    const withoutPassphrase = await runCLI(['split', 'pass.json', '-k']);
+    expect(withoutPassphrase.code).not.toBe(0);
+
+    const split = await runCLI(['split', 'pass.json', '-k', '--passphrase', 'tr3asury']);
+    expect(split.code).toBe(0);
+
+    const [privateKey] = JSON.parse(await readFile(join('address', 'pass-privatekeys.json'), 'utf-8'));
+    expect(Keypair.fromSecretKey(bs58.decode(privateKey)).publicKey.toBase58()).toBe(item.address);
+  }, 20000);
+
+  it('should record the account index and honor it when splitting', async () => {
+    const { code } = await runCLI(['-p', 'a', '-n', '3', '-a', '10', '-t', '1', '--filename', 'accounts'], { timeout: 15000 });
+
+    expect(code).toBe(0);
+
+    const data = JSON.parse(await readFile(join('address', 'accounts.json'), 'utf-8'));
+    expect(data.length).toBe(3);
+    data.forEach(item => {
+      expect(item.accountIndex).toBeGreaterThanOrEqual(0);
+      expect(item.accountIndex).toBeLessThan(10);
+    });
+
+    const split = await runCLI(['split', 'accounts.json', '-k']);
+    expect(split.code).toBe(0);
+
+    const privateKeys = JSON.parse(await readFile(join('address', 'accounts-privatekeys.json'), 'utf-8'));
+    privateKeys.forEach((privateKey, index) => {
+      expect(Keypair.fromSecretKey(bs58.decode(privateKey)).publicKey.toBase58()).toBe(data[index].address);
+    });
+  }, 25000);
+
+  it('should save the derivation and honor it when splitting', async () => {
+    const { code } = await runCLI(['-n', '1', '--derivation', 'ledger', '--filename', 'ledger'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+
+    const [item] = JSON.parse(await readFile(join('address', 'ledger.json'), 'utf-8'));
+    expect(item.derivation).toBe('ledger');
+    expect(item.derivationPath).toBe("m/44'/501'/0'");
+
+    const split = await runCLI(['split', 'ledger.json', '-k']);
+    expect(split.code).toBe(0);
+
+    const [privateKey] = JSON.parse(await readFile(join('address', 'ledger-privatekeys.json'), 'utf-8'));
+    expect(Keypair.fromSecretKey(bs58.decode(privateKey)).publicKey.toBase58()).toBe(item.address);
+  }, 20000);
+
+  it('should derive solana-keygen compatible addresses from the bare seed', async () => {
+    const { code } = await runCLI(['-n', '1', '--derivation', 'keygen', '--filename', 'keygen'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+
+    const [item] = JSON.parse(await readFile(join('address', 'keygen.json'), 'utf-8'));
+    const seed = bip39.mnemonicToSeed(item.mnemonic);
+    expect(Keypair.fromSeed(seed.subarray(0, 32)).publicKey.toBase58()).toBe(item.address);
+  }, 15000);
+
+  it('should produce valid keys with each key backend', async () => {
+    for (const backend of ['web3', 'native']) {
+      const { code, stdout } = await runCLI(['-p', 'a', '--raw', '-t', '1', '--backend', backend, '--filename', backend], { timeout: 15000 });
+
+      expect(code).toBe(0);
+      expect(stdout).toContain(`Key backend: ${backend}`);
+
+      // Full validation re-derives the public key from the seed with web3.js
+      const [item] = JSON.parse(await readFile(join('address', `${backend}.json`), 'utf-8'));
+      expect(Keypair.fromSecretKey(bs58.decode(item.privateKey)).publicKey.toBase58()).toBe(item.address);
+    }
+  }, 35000);
+
+  it('should match the associated token account of the saved wallet', async () => {
+    const mint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+    const { code } = await runCLI(['-p', 'A', '--raw', '-t', '1', '--ata-mint', mint, '--token-2022', '--filename', 'ata'], { timeout: 15000 });
+
+    expect(code).toBe(0);
+
+    const [item] = JSON.parse(await readFile(join('address', 'ata.json'), 'utf-8'));
+    const owner = Keypair.fromSecretKey(bs58.decode(item.privateKey)).publicKey;
+    const tokenProgram = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+    const [ata] = PublicKey.findProgramAddressSync(
+      [owner.toBuffer(), tokenProgram.toBuffer(), new PublicKey(mint).toBuffer()],
+      new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL')
+    );
+
+    expect(owner.toBase58()).toBe(item.address);
+    expect(item.ata).toBe(ata.toBase58());
+    expect(item.ata.startsWith('A')).toBe(true);
+    expect(item.mint).toBe(mint);
+    expect(item.tokenProgram).toBe(tokenProgram.toBase58());
+  }, 20000);
+
+  it('should match character classes case-insensitively', async () => {
+    const { code, stdout } = await runCLI(['-p', '[ab]\\d', '-i', '--raw', '-n', '2', '-o', 'display'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Case: insensitive');
+
+    const addresses = stdout.split('\n').filter(line => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(line.trim()));
+    expect(addresses.length).toBe(2);
+    addresses.forEach(address => {
+      expect(address).toMatch(/^[abAB][1-9]/);
+    });
+  }, 15000);
+
+  it('should record the matched regex in combined output', async () => {
+    const { code } = await runCLI(['-r', '/^a.*[1-5]$/i', '--raw', '-n', '1', '-o', 'combined', '-f', 'json'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+
+    const { readdir } = await import('fs/promises');
+    const files = await readdir('address');
+    const addressFiles = files.filter(f => f.endsWith('-address.json'));
+    const data = JSON.parse(await readFile(join('address', addressFiles[0]), 'utf-8'));
+
+    expect(data[0].address).toMatch(/^a.*[1-5]$/i);
+    expect(data[0].regex).toBe('/^a.*[1-5]$/i');
+  }, 15000);
+
+  it('should save multi-pattern results to one file per pattern', async () => {
+    const { writeFile, readdir } = await import('fs/promises');
+    await writeFile(join('address', 'patterns.txt'), '# test patterns\na 2\n:b\n');
+
+    const { code, stdout } = await runCLI(['-P', join('address', 'patterns.txt'), '--raw', '-o', 'combined'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Patterns: 2');
+
+    const files = await readdir('address');
+    const prefixFile = files.find(f => f.endsWith('-address-01-a.json'));
+    const suffixFile = files.find(f => f.endsWith('-address-02-b.json'));
+
+    const prefixData = JSON.parse(await readFile(join('address', prefixFile), 'utf-8'));
+    const suffixData = JSON.parse(await readFile(join('address', suffixFile), 'utf-8'));
+
+    expect(prefixData.length).toBe(2);
+    prefixData.forEach(item => expect(item.address.startsWith('a')).toBe(true));
+    expect(suffixData.length).toBe(1);
+    expect(suffixData[0].address.endsWith('b')).toBe(true);
+  }, 25000);
+
+  it('should reject invalid pattern files with a line number', async () => {
+    const { writeFile } = await import('fs/promises');
+    await writeFile(join('address', 'patterns.txt'), 'abc 2\nab0\n');
+
+    const { code, stderr } = await runCLI(['-P', join('address', 'patterns.txt')]);
+
+    expect(code).not.toBe(0);
+    expect(stderr).toContain('Line 2');
+  });
+
+  it('should report expected attempts and luck in final statistics', async () => {
+    const { code, stdout } = await runCLI(['-p', 'A', '--raw', '-n', '1', '-o', 'display'], { timeout: 10000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Expected per match: 17');
+    expect(stdout).toMatch(/Luck: \d+\.\d% chance of a match by now/);
+  }, 15000);
+
+  it('should stop at the attempt limit with exit code 3 when nothing is found', async () => {
+    const { code, stdout } = await runCLI(['-p', 'abcd', '--raw', '-t', '1', '--max-attempts', '500', '-o', 'display'], { timeout: 15000 });
+
+    expect(code).toBe(3);
+    expect(stdout).toContain('attempt limit of 500 reached');
+  }, 20000);
+
+  it('should print display-mode matches when the attempt limit stops the run', async () => {
+    const { code, stdout } = await runCLI(['-p', 'A', '--raw', '-t', '1', '-n', '100000', '--max-attempts', '3000', '-o', 'display'], { timeout: 15000 });
+
+    expect(code).toBe(2);
+    expect(stdout).toContain('attempt limit of 3,000 reached');
+    expect(stdout).toContain('GENERATED ADDRESSES');
+    expect(stdout).toMatch(/Address 1\S*\n+A[1-9A-HJ-NP-Za-km-z]{31,43}\n/);
+  }, 20000);
+
+  it('should save partial results with exit code 2 at the time limit', async () => {
+    const { code, stdout } = await runCLI(['-p', 'A', '--raw', '-t', '1', '-n', '100000', '--timeout', '3s', '--filename', 'limited'], { timeout: 15000 });
+
+    expect(code).toBe(2);
+    expect(stdout).toContain('time limit of 3.0s reached');
+
+    const data = JSON.parse(await readFile(join('address', 'limited.json'), 'utf-8'));
+    expect(data.length).toBeGreaterThan(0);
+    data.forEach(item => expect(item.address.startsWith('A')).toBe(true));
+  }, 20000);
+
+  it('should stop all threads at the requested count with exact totals', async () => {
+    const { code, stdout } = await runCLI(['-p', 'A', '--raw', '-t', '3', '-n', '6', '--filename', 'shared', '--checkpoint', 'shared.checkpoint.json'], { timeout: 30000 });
+
+    expect(code).toBe(0);
+    const data = JSON.parse(await readFile(join('address', 'shared.json'), 'utf-8'));
+    expect(data).toHaveLength(6);
+
+    // The checkpoint and the summary read the same shared attempt counters
+    const checkpoint = JSON.parse(await readFile(join('address', 'shared.checkpoint.json'), 'utf-8'));
+    const processed = Number(stdout.match(/after processing ([\d,]+) addresses/)[1].replace(/,/g, ''));
+    expect(checkpoint.totalAttempts).toBe(processed);
+  }, 35000);
+
+  it('should show auto-tune decisions in the statistics', async () => {
+    const { code, stdout } = await runCLI(['-p', 'zzzzzz', '--raw', '-t', '1', '--auto-tune', '-s', '-o', 'display', '--timeout', '9s'], { timeout: 20000 });
+
+    expect(code).toBe(3);
+    expect(stdout).toMatch(/Auto-tune: \d+ threads?, batch \d+/);
+    expect(stdout).toMatch(/Warm-up: 1 thread, batch 100: [\d,]+ addr\/s/);
+  }, 25000);
+
   it('should generate addresses with 1-character prefix quickly', async () => {
     const startTime = Date.now();
     const { code, stdout } = await runCLI(['-p', 'a', '-n', '1', '-o', 'display'], { timeout: 10000 });
@@ -292,6 +604,415 @@ describe('Address Generation', () => {
   }, 15000);
 });
 
+describe('Estimate Command', () => {
+  it('should account for non-uniform first characters', async () => {
+    const { code, stdout } = await runCLI(['estimate', '-p', 'z', '--speed', '1000']);
+
+    expect(code).toBe(0);
+    // Lowercase first characters only occur in 43-character addresses
+    expect(stdout).toContain('Difficulty: 1 in 999');
+    expect(stdout).toContain('99% chance within');
+  });
+
+  it('should benchmark throughput when no speed is given', async () => {
+    const { code, stdout } = await runCLI(['estimate', '-p', 'A', '-t', '1', '-d', '1', '--raw'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('(measured)');
+  }, 25000);
+});
+
+describe('Benchmark Command', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should recommend a thread count and save results as JSON', async () => {
+    const { code, stdout } = await runCLI(['benchmark', '-d', '1', '-m', '1', '--raw', '--save', 'bench'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Recommended thread count: 1');
+
+    const data = JSON.parse(await readFile(join('address', 'bench.json'), 'utf-8'));
+    expect(data.metadata.mode).toBe('raw');
+    expect(data.recommendedThreads).toBe(1);
+    expect(data.results.length).toBe(1);
+    expect(data.results[0].speed).toBeGreaterThan(0);
+    expect(data.results[0].performance).toHaveProperty('keypair');
+  }, 25000);
+});
+
+describe('Checkpoint and Resume', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should save a completed checkpoint without secrets', async () => {
+    const { code } = await runCLI(['-p', 'a', '-n', '2', '--raw', '--checkpoint', 'job.json'], { timeout: 15000 });
+
+    expect(code).toBe(0);
+
+    const content = await readFile(join('address', 'job.json'), 'utf-8');
+    const state = JSON.parse(content);
+    expect(state.completed).toBe(true);
+    expect(state.patterns[0]).toMatchObject({ prefix: 'a', count: 2, found: 2 });
+    expect(state.found.length).toBe(2);
+    expect(state.totalAttempts).toBeGreaterThan(0);
+    expect(content).not.toContain('privateKey');
+
+    const resumed = await runCLI(['resume', 'job.json']);
+    expect(resumed.code).toBe(0);
+    expect(resumed.stdout).toContain('already complete');
+  }, 25000);
+
+  it('should resume a search and keep cumulative statistics', async () => {
+    const { writeFile } = await import('fs/promises');
+    const previous = { address: 'a'.repeat(44), privateKey: 'previous-session' };
+    await writeFile(join('address', 'resume-out.json'), JSON.stringify([previous]));
+    await writeFile(join('address', 'job.json'), JSON.stringify({
+      version: 1,
+      completed: false,
+      options: { prefix: 'a', suffix: '', threads: 1, output: 'combined', format: 'json', raw: true },
+      patterns: [{ prefix: 'a', suffix: '', count: 2, found: 1 }],
+      outputs: [{ outputFilename: join('address', 'resume-out.json'), secretFilename: null }],
+      found: [{ address: previous.address, pattern: 'a…' }],
+      totalAttempts: 5000,
+      elapsedSeconds: 60
+    }));
+
+    const { code, stdout } = await runCLI(['resume', 'job.json'], { timeout: 15000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('Resuming: 1 found');
+
+    const data = JSON.parse(await readFile(join('address', 'resume-out.json'), 'utf-8'));
+    expect(data.length).toBe(2);
+    expect(data[0]).toEqual(previous);
+    expect(data[1].address.startsWith('a')).toBe(true);
+
+    const state = JSON.parse(await readFile(join('address', 'job.json'), 'utf-8'));
+    expect(state.completed).toBe(true);
+    expect(state.found.length).toBe(2);
+    expect(state.totalAttempts).toBeGreaterThanOrEqual(5000);
+    expect(state.elapsedSeconds).toBeGreaterThan(60);
+  }, 25000);
+});
+
+describe('PDA Command', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should find program addresses that rederive from the saved seeds', async () => {
+    const programId = '11111111111111111111111111111111';
+    const { code } = await runCLI(['pda', '--program', programId, '--seed', 'str:vault', '-p', 'A', '-n', '2', '-t', '1', '--filename', 'pda'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+
+    const data = JSON.parse(await readFile(join('address', 'pda.json'), 'utf-8'));
+    expect(data.length).toBe(2);
+    for (const item of data) {
+      expect(item.address.startsWith('A')).toBe(true);
+      expect(item.seeds[0]).toBe('str:vault');
+      expect(item.seeds[1]).toMatch(/^u64:\d+$/);
+
+      const counter = Buffer.alloc(8);
+      counter.writeBigUInt64LE(BigInt(item.seeds[1].slice(4)));
+      const [address, bump] = PublicKey.findProgramAddressSync([Buffer.from('vault'), counter], new PublicKey(programId));
+      expect(address.toBase58()).toBe(item.address);
+      expect(bump).toBe(item.bump);
+    }
+  }, 25000);
+
+  it('should exit with code 3 when the counter runs out', async () => {
+    const { code, stdout } = await runCLI(['pda', '--program', '11111111111111111111111111111111', '--vary', 'u8', '--start', '250', '-p', 'abc', '-t', '1']);
+
+    expect(code).toBe(3);
+    expect(stdout).toContain('ran out of values');
+  }, 15000);
+
+  it('should keep the matches found before the process is killed', async () => {
+    await runCLI(['pda', '--program', '11111111111111111111111111111111', '-p', 'A', '-n', '100000', '-t', '1', '--filename', 'killed'], { timeout: 4000, killSignal: 'SIGKILL' });
+
+    // The array is left open, but every complete entry was written when it was found
+    const content = await readFile(join('address', 'killed.json'), 'utf-8');
+    expect(content.startsWith('[')).toBe(true);
+    expect(content).toMatch(/"address": "A/);
+  }, 10000);
+});
+
+describe('Seed Grind Command', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should find seeds whose createWithSeed address matches', async () => {
+    const base = Keypair.generate().publicKey;
+    const { code } = await runCLI(['seed-grind', '--base', base.toBase58(), '--owner', 'stake', '-p', 'A', '-n', '2', '-t', '1', '--filename', 'seeds'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+
+    const data = JSON.parse(await readFile(join('address', 'seeds.json'), 'utf-8'));
+    expect(data.length).toBe(2);
+    for (const item of data) {
+      const owner = new PublicKey('Stake11111111111111111111111111111111111111');
+      const address = await PublicKey.createWithSeed(base, item.seed, owner);
+      expect(address.toBase58()).toBe(item.address);
+      expect(item.address.startsWith('A')).toBe(true);
+      expect(item.owner).toBe(owner.toBase58());
+    }
+  }, 25000);
+
+  it('should save addresses and random seeds separately in split mode', async () => {
+    const base = Keypair.generate().publicKey.toBase58();
+    const { code } = await runCLI(['seed-grind', '--base', base, '--random', '--seed-prefix', 'v-', '--length', '10', '-p', 'A', '-t', '1', '-o', 'split', '-f', 'txt', '--filename', 'seeds'], { timeout: 20000 });
+
+    expect(code).toBe(0);
+
+    const [address] = (await readFile(join('address', 'seeds.txt'), 'utf-8')).trim().split('\n');
+    const [seed] = (await readFile(join('address', 'seeds-seeds.txt'), 'utf-8')).trim().split('\n');
+    expect(seed).toMatch(/^v-[A-Za-z0-9_-]{8}$/);
+    const derived = await PublicKey.createWithSeed(new PublicKey(base), seed, new PublicKey('11111111111111111111111111111111'));
+    expect(derived.toBase58()).toBe(address);
+  }, 25000);
+
+  it('should keep the seeds found before the process is killed', async () => {
+    const base = Keypair.generate().publicKey.toBase58();
+    await runCLI(['seed-grind', '--base', base, '-p', 'A', '-n', '100000', '-t', '1', '-f', 'ndjson', '--filename', 'killed'], { timeout: 4000, killSignal: 'SIGKILL' });
+
+    const lines = (await readFile(join('address', 'killed.ndjson'), 'utf-8')).trim().split('\n');
+    expect(lines.length).toBeGreaterThan(0);
+    const item = JSON.parse(lines[0]);
+    const derived = await PublicKey.createWithSeed(new PublicKey(base), item.seed, new PublicKey('11111111111111111111111111111111'));
+    expect(derived.toBase58()).toBe(item.address);
+  }, 10000);
+});
+
+describe('Split Key', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should grind partial keys that combine into the matching address', async () => {
+    const init = await runCLI(['splitkey', 'init', '--filename', 'requester']);
+    expect(init.code).toBe(0);
+
+    const keyFile = JSON.parse(await readFile(join('address', 'requester.json'), 'utf-8'));
+    const grind = await runCLI(['--split-key', keyFile.publicKey, '-p', 'A', '-n', '2', '-t', '1', '--filename', 'parts'], { timeout: 20000 });
+    expect(grind.code).toBe(0);
+
+    // The grinder's file holds no full secret
+    const parts = JSON.parse(await readFile(join('address', 'parts.json'), 'utf-8'));
+    expect(parts.length).toBe(2);
+    expect(parts[0].splitKey).toBe(keyFile.publicKey);
+    expect(parts[0]).not.toHaveProperty('privateKey');
+
+    const combine = await runCLI(['splitkey', 'combine', 'parts.json', '--key', 'requester.json']);
+    expect(combine.code).toBe(0);
+
+    const combined = JSON.parse(await readFile(join('address', 'parts-combined.json'), 'utf-8'));
+    combined.forEach((item, index) => {
+      const scalarBytes = Buffer.from(bs58.decode(item.expandedKey).subarray(0, 32)).reverse();
+      const scalar = BigInt('0x' + scalarBytes.toString('hex'));
+      const address = bs58.encode(ed25519.ExtendedPoint.BASE.multiply(scalar).toRawBytes());
+
+      expect(item.address).toBe(parts[index].address);
+      expect(item.keyType).toContain('not a Solana secret key');
+      expect(address).toBe(item.address);
+      expect(item.address.startsWith('A')).toBe(true);
+    });
+  }, 30000);
+
+  it('should save the split key readable only by its owner', async () => {
+    const { code } = await runCLI(['splitkey', 'init', '--filename', 'private']);
+
+    expect(code).toBe(0);
+    expect((await stat(join('address', 'private.json'))).mode & 0o777).toBe(0o600);
+
+    // An existing split key is never replaced
+    const again = await runCLI(['splitkey', 'init', '--filename', 'private']);
+    expect(again.code).toBe(1);
+    expect(again.stderr).toContain('already exists');
+  });
+
+  it('should refuse to combine results with the wrong split key', async () => {
+    await runCLI(['splitkey', 'init', '--filename', 'first']);
+    await runCLI(['splitkey', 'init', '--filename', 'second']);
+    const { publicKey } = JSON.parse(await readFile(join('address', 'first.json'), 'utf-8'));
+    await runCLI(['--split-key', publicKey, '-p', 'A', '-t', '1', '-f', 'txt', '--filename', 'parts'], { timeout: 20000 });
+
+    const { code, stderr } = await runCLI(['splitkey', 'combine', 'parts.txt', '--key', 'second.json', '-f', 'json']);
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('does not match');
+    expect(await fileExists(join('address', 'parts-combined.json'))).toBe(false);
+  }, 30000);
+
+  it('should refuse to save combined keys as TXT', async () => {
+    await runCLI(['splitkey', 'init', '--filename', 'requester']);
+    const { publicKey } = JSON.parse(await readFile(join('address', 'requester.json'), 'utf-8'));
+    await runCLI(['--split-key', publicKey, '-p', 'A', '-t', '1', '-f', 'txt', '--filename', 'parts'], { timeout: 20000 });
+
+    const { code, stderr } = await runCLI(['splitkey', 'combine', 'parts.txt', '--key', 'requester.json']);
+
+    expect(code).toBe(1);
+    expect(stderr).toContain('expanded ed25519 keys');
+    expect(await fileExists(join('address', 'parts-combined.txt'))).toBe(false);
+  }, 30000);
+
+  it('should combine NDJSON and TXT results from generate', async () => {
+    await runCLI(['splitkey', 'init', '--filename', 'requester']);
+    const { publicKey } = JSON.parse(await readFile(join('address', 'requester.json'), 'utf-8'));
+
+    // NDJSON keeps its format; TXT results need another output format
+    const cases = [
+      { format: 'ndjson', combineArgs: [], output: 'ndjson-combined.ndjson' },
+      { format: 'txt', combineArgs: ['-f', 'json'], output: 'txt-combined.json' }
+    ];
+    for (const { format, combineArgs, output } of cases) {
+      const grind = await runCLI(['--split-key', publicKey, '-p', 'A', '-n', '2', '-t', '1', '-f', format, '--filename', format], { timeout: 20000 });
+      expect(grind.code).toBe(0);
+
+      const combine = await runCLI(['splitkey', 'combine', `${format}.${format}`, '--key', 'requester.json', ...combineArgs]);
+      expect(combine.code).toBe(0);
+
+      const content = await readFile(join('address', output), 'utf-8');
+      const combined = output.endsWith('.ndjson') ? content.trim().split('\n').map(line => JSON.parse(line)) : JSON.parse(content);
+      expect(combined).toHaveLength(2);
+      combined.forEach((item) => {
+        const scalarBytes = Buffer.from(bs58.decode(item.expandedKey).subarray(0, 32)).reverse();
+        const scalar = BigInt('0x' + scalarBytes.toString('hex'));
+        expect(bs58.encode(ed25519.ExtendedPoint.BASE.multiply(scalar).toRawBytes())).toBe(item.address);
+        expect(item.address.startsWith('A')).toBe(true);
+      });
+    }
+  }, 60000);
+
+  it('should round-trip split-key results through CSV', async () => {
+    await runCLI(['splitkey', 'init', '--filename', 'requester']);
+    const { publicKey } = JSON.parse(await readFile(join('address', 'requester.json'), 'utf-8'));
+    const grind = await runCLI(['--split-key', publicKey, '-p', 'A', '-n', '2', '-t', '1', '-f', 'csv', '--label', 'part {n}', '--filename', 'parts'], { timeout: 20000 });
+    expect(grind.code).toBe(0);
+
+    const combine = await runCLI(['splitkey', 'combine', 'parts.csv', '--key', 'requester.json']);
+    expect(combine.code).toBe(0);
+
+    const [header, ...rows] = (await readFile(join('address', 'parts-combined.csv'), 'utf-8')).trim().split('\n');
+    expect(header).toBe('label,address,expandedKey,keyType');
+    expect(rows).toHaveLength(2);
+    rows.forEach((row, index) => {
+      const [label, address, expandedKey] = row.split(',');
+      const scalarBytes = Buffer.from(bs58.decode(expandedKey).subarray(0, 32)).reverse();
+      const scalar = BigInt('0x' + scalarBytes.toString('hex'));
+
+      expect(label).toBe(`part ${index + 1}`);
+      expect(bs58.encode(ed25519.ExtendedPoint.BASE.multiply(scalar).toRawBytes())).toBe(address);
+    });
+
+    // Split address files hold no partial keys to combine
+    await runCLI(['--split-key', publicKey, '-p', 'A', '-t', '1', '-o', 'split', '-f', 'csv', '--filename', 'halves'], { timeout: 20000 });
+    const { code, stderr } = await runCLI(['splitkey', 'combine', 'halves.csv', '--key', 'requester.json']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('split address file');
+  }, 30000);
+});
+
+describe('Encrypted Secrets', () => {
+  beforeEach(async () => {
+    await cleanupFiles();
+  });
+
+  afterEach(async () => {
+    await cleanupFiles();
+  });
+
+  it('should encrypt private keys and decrypt them only with the password', async () => {
+    const grind = await runCLI(['-n', '2', '--raw', '--encrypt', '--password-fd', '0', '--filename', 'sealed'], { input: 'correct horse\n', timeout: 20000 });
+    expect(grind.code).toBe(0);
+
+    const sealed = JSON.parse(await readFile(join('address', 'sealed.json'), 'utf-8'));
+    expect(sealed.length).toBe(2);
+    sealed.forEach(item => expect(item.privateKey).toMatch(/^\$svenc\$v1\$scrypt\$/));
+
+    const wrong = await runCLI(['decrypt', 'sealed.json', '--password-fd', '0'], { input: 'wrong horse\n' });
+    expect(wrong.code).toBe(1);
+    expect(wrong.stderr).toContain('wrong password');
+
+    const { code } = await runCLI(['decrypt', 'sealed.json', '--password-fd', '0'], { input: 'correct horse\n' });
+    expect(code).toBe(0);
+
+    const opened = JSON.parse(await readFile(join('address', 'sealed-decrypted.json'), 'utf-8'));
+    opened.forEach((item, index) => {
+      expect(item.address).toBe(sealed[index].address);
+      expect(Keypair.fromSecretKey(bs58.decode(item.privateKey)).publicKey.toBase58()).toBe(item.address);
+    });
+  }, 30000);
+
+  it('should split encrypted files and keep the secrets encrypted', async () => {
+    await runCLI(['-n', '1', '--encrypt', '--password-fd', '0', '--filename', 'sealed'], { input: 'pw\n', timeout: 20000 });
+
+    const split = await runCLI(['split', 'sealed.json', '-k', '--password-fd', '0'], { input: 'pw\n' });
+    expect(split.code).toBe(0);
+
+    const [address] = JSON.parse(await readFile(join('address', 'sealed-addresses.json'), 'utf-8'));
+    const [privateKey] = JSON.parse(await readFile(join('address', 'sealed-privatekeys.json'), 'utf-8'));
+    expect(address).toMatch(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/);
+    expect(privateKey).toMatch(/^\$svenc\$/);
+
+    await runCLI(['decrypt', 'sealed-privatekeys.json', '--password-fd', '0'], { input: 'pw\n' });
+    const [openedKey] = JSON.parse(await readFile(join('address', 'sealed-privatekeys-decrypted.json'), 'utf-8'));
+    expect(Keypair.fromSecretKey(bs58.decode(openedKey)).publicKey.toBase58()).toBe(address);
+  }, 30000);
+
+  it('should encrypt secrets to an age recipient and decrypt them with the identity', async () => {
+    await runCLI(['keygen-recipient', '--filename', 'vault']);
+    await runCLI(['keygen-recipient', '--filename', 'other']);
+    const identity = await readFile(join('address', 'vault.txt'), 'utf-8');
+    const recipient = identity.match(/^# public key: (age1[a-z0-9]+)$/m)[1];
+    expect(identity).toMatch(/^AGE-SECRET-KEY-1[A-Z0-9]+$/m);
+
+    const grind = await runCLI(['-n', '2', '--raw', '-o', 'split', '--recipient', recipient, '--filename', 'sealed'], { timeout: 20000 });
+    expect(grind.code).toBe(0);
+
+    const addresses = JSON.parse(await readFile(join('address', 'sealed.json'), 'utf-8'));
+    const sealed = JSON.parse(await readFile(join('address', 'sealed-privatekeys.json'), 'utf-8'));
+    addresses.forEach(address => expect(address).toMatch(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/));
+    sealed.forEach(privateKey => expect(privateKey).toMatch(/^\$svage\$v1\$/));
+    expect(Buffer.from(sealed[0].slice(10), 'base64').toString('latin1')).toMatch(/^age-encryption\.org\/v1\n-> X25519 /);
+
+    const wrong = await runCLI(['decrypt', 'sealed-privatekeys.json', '--identity', join('address', 'other.txt')]);
+    expect(wrong.code).toBe(1);
+
+    const { code } = await runCLI(['decrypt', 'sealed-privatekeys.json', '--identity', join('address', 'vault.txt')]);
+    expect(code).toBe(0);
+
+    const opened = JSON.parse(await readFile(join('address', 'sealed-privatekeys-decrypted.json'), 'utf-8'));
+    opened.forEach((privateKey, index) => {
+      expect(Keypair.fromSecretKey(bs58.decode(privateKey)).publicKey.toBase58()).toBe(addresses[index]);
+    });
+  }, 30000);
+});
+
 describe('Distribution Command', () => {
   beforeEach(async () => {
     await cleanupFiles();
@@ -384,6 +1105,111 @@ describe('File Format Support', () => {
 
     await cleanupFiles();
   }, 25000);
+
+  it('should write one JSON object per line in NDJSON format', async () => {
+    await cleanupFiles();
+
+    const { code } = await runCLI(['-n', '3', '--raw', '-f', 'ndjson', '-o', 'combined', '--filename', 'lines'], { timeout: 10000 });
+    expect(code).toBe(0);
+
+    const lines = (await readFile(join('address', 'lines.ndjson'), 'utf-8')).trim().split('\n');
+    expect(lines.length).toBe(3);
+    for (const line of lines) {
+      expect(JSON.parse(line)).toHaveProperty('privateKey');
+    }
+
+    await cleanupFiles();
+  }, 15000);
+
+  it('should repair a JSON array left open by a crash and append to it', async () => {
+    await cleanupFiles();
+
+    // An interrupted write: the array is never closed and its last entry is torn
+    const { writeFile } = await import('fs/promises');
+    await writeFile(join('address', 'crashed.json'), '[\n  {\n    "address": "kept"\n  },\n  {\n    "addr');
+
+    const { code } = await runCLI(['-n', '2', '--raw', '-o', 'combined', '--filename', 'crashed'], { timeout: 10000 });
+    expect(code).toBe(0);
+
+    const data = JSON.parse(await readFile(join('address', 'crashed.json'), 'utf-8'));
+    expect(data.length).toBe(3);
+    expect(data[0]).toEqual({ address: 'kept' });
+    expect(data[2]).toHaveProperty('privateKey');
+
+    await cleanupFiles();
+  }, 15000);
+
+  it('should write Solana CLI keypair files named after each address', async () => {
+    await cleanupFiles();
+
+    const { code } = await runCLI(['-n', '2', '-f', 'keypair'], { timeout: 10000 });
+    expect(code).toBe(0);
+
+    const { readdir } = await import('fs/promises');
+    const keyFiles = (await readdir('address')).filter(f => f.endsWith('.json'));
+    expect(keyFiles.length).toBe(2);
+
+    for (const file of keyFiles) {
+      const bytes = JSON.parse(await readFile(join('address', file), 'utf-8'));
+      expect(bytes.length).toBe(64);
+      expect(Keypair.fromSecretKey(Uint8Array.from(bytes)).publicKey.toBase58()).toBe(file.replace('.json', ''));
+    }
+
+    await cleanupFiles();
+  }, 15000);
+
+  it('should export keypair files from a mnemonic file into a subdirectory', async () => {
+    await cleanupFiles();
+    const { readdir, rm } = await import('fs/promises');
+
+    await runCLI(['-n', '2', '-w', '24', '--derivation', 'ledger', '--filename', 'wallets'], { timeout: 10000 });
+    const wallets = JSON.parse(await readFile(join('address', 'wallets.json'), 'utf-8'));
+
+    const { code } = await runCLI(['export', 'wallets.json', '--filename', 'keys']);
+    expect(code).toBe(0);
+
+    const keyFiles = await readdir(join('address', 'keys'));
+    expect(keyFiles.sort()).toEqual(wallets.map(({ address }) => `${address}.json`).sort());
+
+    await rm(join('address', 'keys'), { recursive: true, force: true });
+    await cleanupFiles();
+  }, 20000);
+
+  it('should write CSV with a header and a quoted, numbered label column', async () => {
+    await cleanupFiles();
+
+    const { code } = await runCLI(['-n', '2', '--raw', '-f', 'csv', '--label', 'Vault, "ops" {n}', '--filename', 'sheet'], { timeout: 10000 });
+    expect(code).toBe(0);
+
+    const lines = (await readFile(join('address', 'sheet.csv'), 'utf-8')).trim().split('\n');
+    expect(lines[0]).toBe('label,address,privateKey');
+    expect(lines[1]).toMatch(/^"Vault, ""ops"" 1",[1-9A-HJ-NP-Za-km-z]{32,44},[1-9A-HJ-NP-Za-km-z]{80,90}$/);
+    expect(lines[2]).toMatch(/^"Vault, ""ops"" 2",/);
+
+    await cleanupFiles();
+  }, 15000);
+
+  it('should detect and convert combined private key and split files', async () => {
+    await cleanupFiles();
+
+    await runCLI(['-n', '2', '--raw', '--filename', 'keys'], { timeout: 10000 });
+    const keys = JSON.parse(await readFile(join('address', 'keys.json'), 'utf-8'));
+
+    const combined = await runCLI(['convert', 'keys.json', 'txt']);
+    expect(combined.code).toBe(0);
+    expect(combined.stdout).toContain('combined private key');
+    const lines = (await readFile(join('address', 'keys-converted.txt'), 'utf-8')).trim().split('\n');
+    expect(lines).toEqual(keys.map(({ address, privateKey }) => `${address}:${privateKey}`));
+
+    await runCLI(['split', 'keys.json']);
+    const split = await runCLI(['convert', 'keys-privatekeys.json', 'csv']);
+    expect(split.code).toBe(0);
+    expect(split.stdout).toContain('split private key');
+    const rows = (await readFile(join('address', 'keys-privatekeys-converted.csv'), 'utf-8')).trim().split('\n');
+    expect(rows).toEqual(['privateKey', ...keys.map(({ privateKey }) => privateKey)]);
+
+    await cleanupFiles();
+  }, 20000);
 });
 
 describe('Performance and Statistics', () => {
@@ -394,4 +1220,13 @@ describe('Performance and Statistics', () => {
     // Statistics output includes timing information
     expect(stdout.toLowerCase()).toMatch(/(generated|seconds|cpu)/);
   }, 15000);
+  it('should report prefilter savings without dropping matches', async () => {
+    const { code, stdout } = await runCLI(['-p', 'A', '-x', 'b', '--raw', '-n', '3', '-s', '-o', 'display'], { timeout: 60000 });
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/Base58 prefilter: [\d.]+% of candidates skipped encoding/);
+
+    const addresses = stdout.match(/^A[1-9A-HJ-NP-Za-km-z]{30,42}b$/gm);
+    expect(addresses).toHaveLength(3);
+  }, 65000);
 });